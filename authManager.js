@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Optional accounts for persistent identity.
+ *
+ * Passwords are hashed with scrypt and a per-user salt and stored through the room
+ * storage backend. Logging in returns a token signed with HMAC-SHA256; clients pass it
+ * in the socket handshake (auth.token) or as a Bearer header. The signing secret comes
+ * from AUTH_SECRET, or is generated once and kept in storage so tokens survive restarts.
+ */
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,32}$/;
+const KEY_LENGTH = 64;
+const DEFAULT_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+
+class AuthManager {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.secret = options.secret || process.env.AUTH_SECRET || null;
+        this.tokenTtl = options.tokenTtl || DEFAULT_TOKEN_TTL;
+    }
+
+    async init() {
+        if (this.secret) return;
+
+        this.secret = await this.storage.loadSecret();
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            await this.storage.saveSecret(this.secret);
+        }
+    }
+
+    normalizeUsername(username) {
+        return typeof username === 'string' ? username.trim().toLowerCase() : '';
+    }
+
+    validateCredentials(username, password) {
+        if (!USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-32 lowercase letters, digits, dashes or underscores');
+        }
+        if (typeof password !== 'string' || password.length < 8 || password.length > 256) {
+            throw new AuthError('Password must be 8-256 characters');
+        }
+    }
+
+    async hashPassword(password, salt) {
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return hash.toString('hex');
+    }
+
+    /**
+     * Create an account; name and color become the user's identity in every room
+     */
+    async register(username, password, { name, color } = {}) {
+        username = this.normalizeUsername(username);
+        this.validateCredentials(username, password);
+
+        const displayName = typeof name === 'string' && name.trim() ? name.trim() : username;
+        if (displayName.length > 32) {
+            throw new AuthError('Name must be at most 32 characters');
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const user = {
+            id: `user-${crypto.randomUUID()}`,
+            username,
+            name: displayName,
+            color,
+            salt,
+            passwordHash: await this.hashPassword(password, salt),
+            createdAt: new Date().toISOString()
+        };
+
+        if (!await this.storage.createUser(user)) {
+            throw new AuthError('Username is already taken', 409);
+        }
+        return this.issueSession(user);
+    }
+
+    async login(username, password) {
+        username = this.normalizeUsername(username);
+        const user = USERNAME_PATTERN.test(username) ? await this.storage.loadUser(username) : null;
+
+        // Hash even for unknown users so response time doesn't reveal which usernames exist
+        const salt = user ? user.salt : crypto.randomBytes(16).toString('hex');
+        const hash = Buffer.from(await this.hashPassword(String(password || ''), salt), 'hex');
+        const expected = user ? Buffer.from(user.passwordHash, 'hex') : crypto.randomBytes(KEY_LENGTH);
+
+        if (!user || !crypto.timingSafeEqual(hash, expected)) {
+            throw new AuthError('Invalid username or password', 401);
+        }
+        return this.issueSession(user);
+    }
+
+    issueSession(user) {
+        const payload = {
+            sub: user.id,
+            username: user.username,
+            exp: Date.now() + this.tokenTtl
+        };
+        return { token: this.sign(payload), user: this.getPublicUser(user) };
+    }
+
+    sign(payload) {
+        const body = base64url(JSON.stringify(payload));
+        return `${body}.${this.signature(body)}`;
+    }
+
+    signature(body) {
+        return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+    }
+
+    /**
+     * The account a token belongs to, or null if the token is malformed, forged, expired or stale
+     */
+    async verifyToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [body, signature] = token.split('.');
+        if (!body || !signature) return null;
+
+        const expected = Buffer.from(this.signature(body));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (!payload || typeof payload.exp !== 'number' || payload.exp < Date.now()) {
+            return null;
+        }
+
+        const user = await this.storage.loadUser(payload.username);
+        return user && user.id === payload.sub ? user : null;
+    }
+
+    async updateName(user, name) {
+        const updated = { ...user, name };
+        await this.storage.saveUser(updated);
+        return updated;
+    }
+
+    getPublicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            color: user.color
+        };
+    }
+}
+
+module.exports = { AuthManager, AuthError };
@@ -0,0 +1,231 @@
+/**
+ * Stamp-based brushes; loads after strokeGeometry.js. Randomness comes from the stroke's seed,
+ * so a stroke looks the same on every client and in every replay.
+ */
+class BrushEngine {
+    static get BRUSH_TYPES() {
+        return ['round', 'calligraphy', 'oil', 'watercolor', 'spray', 'chalk'];
+    }
+    
+    /**
+     * Default parameters per brush. spacing is the distance between stamps as a fraction of
+     * the brush width, density the number of bristles, speckles or grains per stamp, angle
+     * the nib angle in degrees.
+     */
+    static get DEFAULTS() {
+        return {
+            round: { spacing: 0.25, opacity: 1, jitter: 0, density: 1, angle: 0 },
+            calligraphy: { spacing: 0.1, opacity: 1, jitter: 0, density: 1, angle: 45 },
+            oil: { spacing: 0.15, opacity: 0.6, jitter: 0.3, density: 12, angle: 0 },
+            watercolor: { spacing: 0.25, opacity: 0.06, jitter: 0.3, density: 1, angle: 0 },
+            spray: { spacing: 0.5, opacity: 0.7, jitter: 0, density: 24, angle: 0 },
+            chalk: { spacing: 0.3, opacity: 0.8, jitter: 0.5, density: 16, angle: 0 }
+        };
+    }
+    
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Parameters for a new stroke with this brush: the defaults and a fresh seed
+     */
+    static createParams(type) {
+        const defaults = BrushEngine.DEFAULTS[type] || BrushEngine.DEFAULTS.round;
+        return { seed: BrushEngine.createSeed(), ...defaults };
+    }
+    
+    /**
+     * The brush a stroke paints with: its type and parameters, defaults filled in.
+     * Strokes saved without parameters get a seed taken from their id.
+     */
+    static resolve(stroke) {
+        const type = BrushEngine.BRUSH_TYPES.includes(stroke.brushType) ? stroke.brushType : 'round';
+        const brush = { type, ...BrushEngine.DEFAULTS[type], ...(stroke.brushParams || {}) };
+        brush.seed = brush.seed !== undefined ? brush.seed >>> 0 : BrushEngine.hashString(stroke.id || '');
+        
+        if (type === 'oil') {
+            brush.bristles = BrushEngine.getBristles(brush);
+        }
+        return brush;
+    }
+    
+    static isStamped(brush) {
+        return brush.type !== 'round';
+    }
+    
+    // ===== RANDOMNESS =====
+    
+    /**
+     * mulberry32: a small, fast generator that gives the same numbers in every JavaScript engine
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    // A seed of its own for each segment of a stroke
+    static mixSeed(seed, value) {
+        let hash = (seed ^ Math.imul(value + 1, 0x9E3779B1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+    
+    // FNV-1a
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Oil bristles keep their place across the whole stroke, so they paint parallel streaks
+     */
+    static getBristles(brush) {
+        const random = BrushEngine.createRandom(brush.seed);
+        const count = Math.max(1, Math.round(brush.density));
+        const bristles = [];
+        
+        for (let i = 0; i < count; i++) {
+            bristles.push({
+                offset: (i + 0.5) / count - 0.5 + (random() - 0.5) * brush.jitter / count,
+                radius: (0.6 + 0.4 * random()) / count,
+                load: 1 - brush.jitter * random()
+            });
+        }
+        return bristles;
+    }
+    
+    // ===== STAMPS =====
+    
+    /**
+     * Stamps for one StrokeGeometry segment: { shape: 'circle' | 'ellipse' | 'square', x, y, alpha, ... }
+     */
+    static getStamps(segment, brush, width) {
+        // Each segment has its own generator, so drawing live and redrawing give the same stamps
+        const random = BrushEngine.createRandom(BrushEngine.mixSeed(brush.seed, segment.index || 0));
+        const pressure = segment.pressure !== undefined ? segment.pressure : 1;
+        const size = StrokeGeometry.pressureWidth(width, pressure);
+        const alpha = brush.opacity * StrokeGeometry.pressureAlpha(pressure);
+        
+        const step = Math.max(0.5, size * brush.spacing);
+        const count = Math.max(1, Math.ceil(StrokeGeometry.segmentLength(segment) / step));
+        const stamps = [];
+        let previous = segment.from;
+        
+        for (let i = 1; i <= count; i++) {
+            const point = StrokeGeometry.pointAt(segment, i / count);
+            const direction = Math.atan2(point.y - previous.y, point.x - previous.x);
+            BrushEngine.stamp(stamps, brush, point, direction, size, alpha, random);
+            previous = point;
+        }
+        return stamps;
+    }
+    
+    /**
+     * Stamps for a stroke's first point
+     */
+    static getPointStamps(point, brush, width) {
+        const random = BrushEngine.createRandom(BrushEngine.mixSeed(brush.seed, -1));
+        const pressure = StrokeGeometry.pressureOf(point);
+        const stamps = [];
+        
+        BrushEngine.stamp(
+            stamps, brush, point, 0,
+            StrokeGeometry.pressureWidth(width, pressure),
+            brush.opacity * StrokeGeometry.pressureAlpha(pressure),
+            random
+        );
+        return stamps;
+    }
+    
+    static stamp(stamps, brush, point, direction, size, alpha, random) {
+        const radius = size / 2;
+        
+        switch (brush.type) {
+            case 'calligraphy':
+                // A flat nib held at a fixed angle: thick one way, thin the other
+                stamps.push({
+                    shape: 'ellipse',
+                    x: point.x,
+                    y: point.y,
+                    radiusX: radius,
+                    radiusY: Math.max(0.5, size * 0.1),
+                    rotation: brush.angle * Math.PI / 180,
+                    alpha
+                });
+                break;
+            
+            case 'oil': {
+                const normal = direction + Math.PI / 2;
+                brush.bristles.forEach(bristle => {
+                    const offset = bristle.offset * size;
+                    stamps.push({
+                        shape: 'circle',
+                        x: point.x + Math.cos(normal) * offset,
+                        y: point.y + Math.sin(normal) * offset,
+                        radius: Math.max(0.5, bristle.radius * size),
+                        alpha: alpha * bristle.load * (1 - brush.jitter * 0.5 * random())
+                    });
+                });
+                break;
+            }
+            
+            case 'watercolor': {
+                // Faint, wobbly discs that build up where they overlap
+                const angle = random() * Math.PI * 2;
+                const distance = random() * brush.jitter * radius;
+                stamps.push({
+                    shape: 'circle',
+                    x: point.x + Math.cos(angle) * distance,
+                    y: point.y + Math.sin(angle) * distance,
+                    radius: Math.max(0.5, radius * (1 + brush.jitter * (random() * 2 - 1))),
+                    alpha
+                });
+                break;
+            }
+            
+            case 'spray':
+                // Speckles spread evenly over the nozzle's disc
+                for (let i = 0; i < brush.density; i++) {
+                    const angle = random() * Math.PI * 2;
+                    const distance = Math.sqrt(random()) * radius;
+                    stamps.push({
+                        shape: 'square',
+                        x: point.x + Math.cos(angle) * distance,
+                        y: point.y + Math.sin(angle) * distance,
+                        size: 1 + random(),
+                        alpha
+                    });
+                }
+                break;
+            
+            case 'chalk':
+                // Grains of varying size and strength, leaving gaps like paper texture
+                for (let i = 0; i < brush.density; i++) {
+                    const angle = random() * Math.PI * 2;
+                    const distance = Math.sqrt(random()) * radius;
+                    stamps.push({
+                        shape: 'square',
+                        x: point.x + Math.cos(angle) * distance,
+                        y: point.y + Math.sin(angle) * distance,
+                        size: Math.max(1, size * 0.12 * (0.5 + random())),
+                        alpha: alpha * (1 - brush.jitter * random())
+                    });
+                }
+                break;
+            
+            default:
+                stamps.push({ shape: 'circle', x: point.x, y: point.y, radius, alpha });
+        }
+    }
+}
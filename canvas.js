@@ -22,6 +22,33 @@ class DrawingCanvas {
         this.currentColor = '#ff4757';
         this.brushSize = 5;
         this.brushType = 'round';
+        this.smoothing = 'catmull-rom'; // one of StrokeGeometry.SMOOTHING_MODES, stored with each stroke
+        this.fillOptions = { ...FloodFill.DEFAULTS, sampleAllLayers: true };
+        
+        // Fill Style panel; buildPaint turns it into a PaintStyle paint for shapes and the bucket
+        this.paintSettings = {
+            type: 'solid',
+            angle: 0,
+            stops: [{ offset: 0, color: '#ff4757' }, { offset: 1, color: '#3742fa' }],
+            pattern: 'stripes',
+            patternSize: 12,
+            imageSrc: null,
+            imageRepeat: 'stretch'
+        };
+        
+        // Shape Properties panel: the style new shapes get; stroke color and width are currentColor and brushSize
+        this.shapeStyle = {
+            outline: true,
+            filled: false,
+            fillColor: '#ffffff',
+            fillOpacity: 1,
+            lineDash: 'solid',
+            lineJoin: 'round',
+            lineCap: 'round',
+            cornerRadius: 0,
+            arrowStart: 'none',
+            arrowEnd: 'open'
+        };
         this.currentShape = null;
         
         // Position tracking
@@ -35,16 +62,24 @@ class DrawingCanvas {
         this.localStrokes = new Map();
         this.remoteStrokes = new Map();
         
-        // History for undo/redo
-        this.strokeHistory = [];
-        this.historyIndex = -1;
-        this.maxHistorySize = 100;
+        // Operation log for undo/redo and replay (see history.js)
+        this.history = new OperationHistory({ checkpointInterval: 50, maxCheckpoints: 4 });
+        this.liveIds = new Set();
+        this.renderIncomplete = false;
         
-        // Objects and text management
+        // Objects and text management (derived from the operation log)
         this.objects = [];
         this.textElements = [];
         this.images = [];
+        this.imageCache = new Map();
+        this.fillCache = new WeakMap(); // fill action -> its region rendered onto a canvas
         this.selectedObject = null;
+        this.moveStartGeometry = null;
+        this.transformDrag = null; // the transform handle being dragged and the selection's matrix when it was grabbed
+        this.styleEditStart = null; // style of the selected shape before the Shape Properties edit in progress
+        
+        // Viewers can watch but not change anything
+        this.readOnly = false;
         
         // Selection state
         this.selectionType = 'rectangle';
@@ -99,10 +134,15 @@ class DrawingCanvas {
                 visible: true,
                 locked: false,
                 opacity: 1,
+                blendMode: 'normal',
                 order: 0
             }
         ];
         this.activeLayer = 'layer-1';
+        this.requestedLayerIds = new Set(); // layers this client added that the server hasn't confirmed yet
+        
+        // Offscreen surface per layer: layerId -> { canvas, ctx }
+        this.layerSurfaces = new Map();
         
         // Temporary shape for preview
         this.tempShape = null;
@@ -208,16 +248,12 @@ class DrawingCanvas {
      * Setup event listeners for user interaction
      */
     setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('mouseout', this.handleMouseOut.bind(this));
-        
-        // Touch events for mobile support
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        // Pointer events cover mouse, touch and pen alike
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerLeave.bind(this));
+        this.canvas.addEventListener('pointerleave', this.handlePointerLeave.bind(this));
         
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
@@ -254,6 +290,10 @@ class DrawingCanvas {
             this.setBrushType(e.target.value);
         });
         
+        document.getElementById('stroke-smoothing').addEventListener('change', (e) => {
+            this.setSmoothing(e.target.value);
+        });
+        
         // Brush size
         document.getElementById('brush-size').addEventListener('input', (e) => {
             this.setBrushSize(parseInt(e.target.value));
@@ -392,6 +432,96 @@ class DrawingCanvas {
             this.addLayer();
         });
         
+        document.getElementById('delete-layer-btn').addEventListener('click', () => {
+            this.deleteLayer(this.activeLayer);
+        });
+        
+        document.getElementById('merge-layers-btn').addEventListener('click', () => {
+            this.mergeLayerDown(this.activeLayer);
+        });
+        
+        document.getElementById('merge-visible-btn').addEventListener('click', () => {
+            this.mergeVisibleLayers();
+        });
+        
+        document.getElementById('layer-opacity').addEventListener('change', (e) => {
+            this.updateLayer(this.activeLayer, { opacity: parseInt(e.target.value) / 100 });
+        });
+        
+        document.getElementById('layer-blend-mode').addEventListener('change', (e) => {
+            this.updateLayer(this.activeLayer, { blendMode: e.target.value });
+        });
+        
+        // Fill options
+        document.getElementById('fill-tolerance').addEventListener('input', (e) => {
+            this.setFillOptions({ tolerance: parseInt(e.target.value) });
+        });
+        
+        document.getElementById('fill-mode').addEventListener('change', (e) => {
+            this.setFillOptions({ mode: e.target.value });
+        });
+        
+        document.getElementById('fill-gap-close').addEventListener('input', (e) => {
+            this.setFillOptions({ gapClose: parseInt(e.target.value) });
+        });
+        
+        document.getElementById('fill-sample-all').addEventListener('change', (e) => {
+            this.setFillOptions({ sampleAllLayers: e.target.checked });
+        });
+        
+        // Shape properties: 'input' previews a change on the selected shape, 'change' commits it
+        const shapeControls = {
+            'shape-stroke-color': ['color', (input) => input.value],
+            'shape-outline': ['outline', (input) => input.checked],
+            'shape-stroke-width': ['width', (input) => parseInt(input.value)],
+            'shape-fill': ['filled', (input) => input.checked],
+            'shape-fill-color': ['fillColor', (input) => input.value],
+            'shape-fill-opacity': ['fillOpacity', (input) => parseInt(input.value) / 100],
+            'shape-line-dash': ['lineDash', (input) => input.value],
+            'shape-line-join': ['lineJoin', (input) => input.value],
+            'shape-line-cap': ['lineCap', (input) => input.value],
+            'shape-corner-radius': ['cornerRadius', (input) => parseInt(input.value)],
+            'shape-arrow-start': ['arrowStart', (input) => input.value],
+            'shape-arrow-end': ['arrowEnd', (input) => input.value]
+        };
+        
+        Object.entries(shapeControls).forEach(([elementId, [property, readValue]]) => {
+            const input = document.getElementById(elementId);
+            input.addEventListener('input', () => this.setShapeProperty(property, readValue(input), false));
+            input.addEventListener('change', () => this.setShapeProperty(property, readValue(input), true));
+        });
+        
+        // Fill style
+        document.getElementById('paint-type').addEventListener('change', (e) => {
+            this.setPaintSettings({ type: e.target.value });
+        });
+        
+        document.getElementById('paint-angle').addEventListener('input', (e) => {
+            this.setPaintSettings({ angle: parseInt(e.target.value) });
+        });
+        
+        document.getElementById('gradient-stop-add').addEventListener('click', () => {
+            this.addGradientStop();
+        });
+        
+        document.getElementById('paint-pattern').addEventListener('change', (e) => {
+            this.setPaintSettings({ pattern: e.target.value });
+        });
+        
+        document.getElementById('paint-pattern-size').addEventListener('input', (e) => {
+            this.setPaintSettings({ patternSize: parseInt(e.target.value) });
+        });
+        
+        document.getElementById('paint-image-choose').addEventListener('click', () => {
+            document.getElementById('paint-image-upload').click();
+        });
+        
+        document.getElementById('paint-image-upload').addEventListener('change', this.handlePaintImageUpload.bind(this));
+        
+        document.getElementById('paint-image-repeat').addEventListener('change', (e) => {
+            this.setPaintSettings({ imageRepeat: e.target.value });
+        });
+        
         // Text styling
         document.getElementById('text-size').addEventListener('input', (e) => {
             this.setTextSize(parseInt(e.target.value));
@@ -423,7 +553,7 @@ class DrawingCanvas {
      */
     handleKeyDown(e) {
         // Ctrl/Cmd + Z for undo, Ctrl/Cmd + Y for redo
-        if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !this.readOnly) {
             switch(e.key.toLowerCase()) {
                 case 'z':
                     e.preventDefault();
@@ -456,7 +586,7 @@ class DrawingCanvas {
         }
         
         // Delete key for removing selected object
-        if (e.key === 'Delete' && this.selectedObject) {
+        if (e.key === 'Delete' && this.selectedObject && !this.readOnly) {
             this.deleteSelectedObject();
         }
         
@@ -494,8 +624,13 @@ class DrawingCanvas {
     
     // ===== DRAWING EVENT HANDLERS =====
     
-    handleMouseDown(e) {
-        const coords = this.getMouseCoordinates(e);
+    handlePointerDown(e) {
+        // A second finger or a right click doesn't start anything
+        if (this.readOnly || !e.isPrimary || e.button !== 0) return;
+        
+        // Keep receiving the pointer's events while it is pressed, even outside the canvas
+        this.canvas.setPointerCapture(e.pointerId);
+        const coords = this.getPointerCoordinates(e);
         
         if (this.cropMode) {
             this.startCrop(coords);
@@ -507,19 +642,19 @@ class DrawingCanvas {
             return;
         }
         
+        if (this.currentTool !== 'select' && this.isLayerLocked(this.activeLayer)) {
+            return;
+        }
+        
         if (this.currentTool === 'select') {
+            const handle = this.selectedObject ? this.getTransformHandleAt(coords.x, coords.y) : null;
+            if (handle) {
+                this.startObjectTransform(handle, coords);
+                return;
+            }
+            
             if (this.selectObject(coords.x, coords.y)) {
-                this.isMovingObject = true;
-                if (this.selectedObject.type === 'text') {
-                    this.dragOffset.x = coords.x - this.selectedObject.x;
-                    this.dragOffset.y = coords.y - this.selectedObject.y;
-                } else if (this.selectedObject.type === 'shape') {
-                    this.dragOffset.x = coords.x - this.selectedObject.startX;
-                    this.dragOffset.y = coords.y - this.selectedObject.startY;
-                } else if (this.selectedObject.type === 'image') {
-                    this.dragOffset.x = coords.x - this.selectedObject.x;
-                    this.dragOffset.y = coords.y - this.selectedObject.y;
-                }
+                this.startObjectMove(coords);
             } else {
                 this.startSelection(coords);
             }
@@ -549,8 +684,9 @@ class DrawingCanvas {
         this.startDrawing(coords);
     }
     
-    handleMouseMove(e) {
-        const coords = this.getMouseCoordinates(e);
+    handlePointerMove(e) {
+        if (!e.isPrimary) return;
+        const coords = this.getPointerCoordinates(e);
         
         // Update coordinates display
         this.updateCoordinatesDisplay(coords.x, coords.y);
@@ -565,6 +701,11 @@ class DrawingCanvas {
             return;
         }
         
+        if (this.transformDrag && this.selectedObject) {
+            this.updateObjectTransform(coords, e.shiftKey, e.altKey);
+            return;
+        }
+        
         if (this.isMovingObject && this.selectedObject) {
             this.moveSelectedObject(coords.x, coords.y);
             return;
@@ -579,15 +720,25 @@ class DrawingCanvas {
             if (this.currentShape) {
                 this.continueDrawingShape(coords);
             } else {
-                this.continueDrawing(coords);
+                // Pens report more positions than frames; every one of them goes into the stroke
+                const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+                if (events.length > 0) {
+                    events.forEach(event => this.continueDrawing(this.getPointerCoordinates(event)));
+                } else {
+                    this.continueDrawing(coords);
+                }
             }
         } else {
+            if (this.currentTool === 'select') {
+                this.updateHandleCursor(coords);
+            }
             this.updateCursor(coords);
         }
     }
     
-    handleMouseUp(e) {
-        const coords = this.getMouseCoordinates(e);
+    handlePointerUp(e) {
+        if (!e.isPrimary) return;
+        const coords = this.getPointerCoordinates(e);
         
         if (this.isCropping) {
             this.finalizeCrop();
@@ -604,18 +755,10 @@ class DrawingCanvas {
             return;
         }
         
-        if (this.isMovingObject) {
+        if (this.isMovingObject || this.transformDrag) {
             this.isMovingObject = false;
-            if (window.socketManager && this.selectedObject) {
-                // Emit object move to server
-                if (this.selectedObject.type === 'shape') {
-                    window.socketManager.emitDrawShape(this.selectedObject);
-                } else if (this.selectedObject.type === 'text') {
-                    window.socketManager.emitAddText(this.selectedObject);
-                } else if (this.selectedObject.type === 'image') {
-                    window.socketManager.emitAddImage(this.selectedObject);
-                }
-            }
+            this.transformDrag = null;
+            this.commitObjectMove();
             return;
         }
         
@@ -628,32 +771,20 @@ class DrawingCanvas {
         this.stopDrawing();
     }
     
-    handleMouseOut() {
+    handlePointerLeave(e) {
+        if (!e.isPrimary) return;
+        
         this.stopDrawing();
-        this.isMovingObject = false;
+        if (this.isMovingObject || this.transformDrag) {
+            this.isMovingObject = false;
+            this.transformDrag = null;
+            this.commitObjectMove();
+        }
         this.isSelecting = false;
         this.isCropping = false;
         this.isDrawingRuler = false;
     }
     
-    handleTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const coords = this.getTouchCoordinates(touch);
-        this.handleMouseDown({ ...e, clientX: touch.clientX, clientY: touch.clientY });
-    }
-    
-    handleTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        this.handleMouseMove({ ...e, clientX: touch.clientX, clientY: touch.clientY });
-    }
-    
-    handleTouchEnd(e) {
-        e.preventDefault();
-        this.handleMouseUp(e);
-    }
-    
     // ===== DRAWING METHODS =====
     
     startDrawing(coords) {
@@ -662,32 +793,39 @@ class DrawingCanvas {
         this.lastX = coords.x;
         this.lastY = coords.y;
         
-        // Draw initial point
-        this.drawPoint(coords.x, coords.y, this.currentColor, this.brushSize, this.currentTool);
-        
         // Create new stroke
         this.currentStroke = {
-            id: `local-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            id: `stroke-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type: 'stroke',
             points: [coords],
             color: this.currentColor,
             width: this.brushSize,
             tool: this.currentTool,
             brushType: this.brushType,
+            brushParams: BrushEngine.createParams(this.brushType),
+            smoothing: this.smoothing,
             timestamp: Date.now(),
             layerId: this.activeLayer
         };
         
-        this.localStrokes.set(this.currentStroke.id, this.currentStroke);
-        this.addToHistory();
+        // Draw initial point
+        this.withLayerContext(this.activeLayer, () => this.drawPoint(coords, this.currentStroke));
+        this.compositeLayers();
+        
+        this.recordOperation('stroke', this.currentStroke, { isLocal: true, pending: true });
         
         // Emit to server
         if (window.socketManager) {
             window.socketManager.emitDrawStart({
                 ...coords,
+                strokeId: this.currentStroke.id,
                 color: this.currentColor,
                 width: this.brushSize,
                 tool: this.currentTool,
-                brushType: this.brushType
+                brushType: this.brushType,
+                brushParams: this.currentStroke.brushParams,
+                smoothing: this.smoothing,
+                layerId: this.activeLayer
             });
         }
     }
@@ -695,18 +833,9 @@ class DrawingCanvas {
     continueDrawing(coords) {
         if (!this.isDrawing) return;
         
-        // Draw line from last position to current position
-        this.drawLine(
-            this.lastX, this.lastY,
-            coords.x, coords.y,
-            this.currentColor,
-            this.brushSize,
-            this.currentTool
-        );
-        
-        // Add point to current stroke
+        // Draw the segments the new point completes
         if (this.currentStroke) {
-            this.currentStroke.points.push(coords);
+            this.extendStroke(this.currentStroke, [coords], this.activeLayer);
         }
         
         // Emit to server
@@ -723,9 +852,10 @@ class DrawingCanvas {
         if (this.isDrawing) {
             this.isDrawing = false;
             
-            // Finalize stroke and add to history if it has multiple points
-            if (this.currentStroke && this.currentStroke.points.length > 1) {
-                this.addToHistory();
+            // Finalize stroke so it can be captured in raster checkpoints
+            if (this.currentStroke) {
+                this.finishStroke(this.currentStroke);
+                this.history.complete(this.currentStroke.id);
             }
             
             this.currentStroke = null;
@@ -753,7 +883,16 @@ class DrawingCanvas {
         this.redrawCanvas();
         
         // Draw temporary shape
-        this.drawShape(this.currentShape, this.startX, this.startY, coords.x, coords.y, this.currentColor, this.brushSize, true);
+        this.drawShape({
+            shape: this.currentShape,
+            startX: this.startX,
+            startY: this.startY,
+            endX: coords.x,
+            endY: coords.y,
+            color: this.currentColor,
+            width: this.brushSize,
+            ...this.getNewShapeStyle()
+        }, true);
         
         this.lastX = coords.x;
         this.lastY = coords.y;
@@ -772,14 +911,12 @@ class DrawingCanvas {
             startY: this.tempShape.startY,
             endX: this.tempShape.endX,
             endY: this.tempShape.endY,
-            color: this.tempShape.color,
-            width: this.tempShape.width,
+            ...this.getShapeStyle(this.tempShape),
             timestamp: Date.now(),
             layerId: this.activeLayer
         };
         
-        this.objects.push(shapeObj);
-        this.addToHistory();
+        this.recordOperation('shape', shapeObj, { isLocal: true });
         
         // Emit to server
         if (window.socketManager) {
@@ -796,120 +933,138 @@ class DrawingCanvas {
     
     // ===== DRAWING PRIMITIVES =====
     
-    drawLine(x1, y1, x2, y2, color, width, tool = 'pencil') {
+    /**
+     * Draw one StrokeGeometry segment of a stroke with the stroke's own brush. Round brushes
+     * and the eraser stroke a path, thinner and fainter the lighter its pressure; other
+     * brushes lay down BrushEngine stamps.
+     */
+    drawSegment(segment, stroke) {
+        const brush = BrushEngine.resolve(stroke);
+        if (stroke.tool !== 'eraser' && BrushEngine.isStamped(brush)) {
+            this.drawStamps(BrushEngine.getStamps(segment, brush, stroke.width), stroke.color);
+            return;
+        }
+        
+        const pressure = segment.pressure !== undefined ? segment.pressure : 1;
+        
         this.ctx.save();
+        this.ctx.globalAlpha = StrokeGeometry.pressureAlpha(pressure) * brush.opacity;
+        this.ctx.lineWidth = StrokeGeometry.pressureWidth(stroke.width, pressure);
         
-        if (tool === 'eraser') {
+        if (stroke.tool === 'eraser') {
             this.ctx.globalCompositeOperation = 'destination-out';
             this.ctx.strokeStyle = 'rgba(255,255,255,1)';
-            this.ctx.lineWidth = width;
-            this.ctx.shadowBlur = 0;
         } else {
             this.ctx.globalCompositeOperation = 'source-over';
-            this.ctx.strokeStyle = color;
-            this.ctx.lineWidth = width;
-            
-            // Apply brush type effects
-            switch(this.brushType) {
-                case 'calligraphy':
-                    this.ctx.lineCap = 'square';
-                    this.ctx.lineJoin = 'bevel';
-                    break;
-                case 'oil':
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.5;
-                    break;
-                case 'watercolor':
-                    this.ctx.globalAlpha = 0.7;
-                    break;
-                case 'spray':
-                    this.ctx.lineWidth = width * 0.6;
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.8;
-                    break;
-                case 'chalk':
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.2;
-                    this.ctx.globalAlpha = 0.9;
-                    break;
-                default: // round
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.3;
-            }
+            this.ctx.strokeStyle = stroke.color;
         }
         
         this.ctx.beginPath();
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
+        this.ctx.moveTo(segment.from.x, segment.from.y);
+        if (segment.type === 'quadratic') {
+            this.ctx.quadraticCurveTo(segment.control.x, segment.control.y, segment.to.x, segment.to.y);
+        } else if (segment.type === 'bezier') {
+            this.ctx.bezierCurveTo(
+                segment.control1.x, segment.control1.y,
+                segment.control2.x, segment.control2.y,
+                segment.to.x, segment.to.y
+            );
+        } else {
+            this.ctx.lineTo(segment.to.x, segment.to.y);
+        }
         this.ctx.stroke();
         
         this.ctx.restore();
     }
     
-    drawPoint(x, y, color, width, tool = 'pencil') {
+    // Draw the first point of a stroke
+    drawPoint(point, stroke) {
+        const brush = BrushEngine.resolve(stroke);
+        if (stroke.tool !== 'eraser' && BrushEngine.isStamped(brush)) {
+            this.drawStamps(BrushEngine.getPointStamps(point, brush, stroke.width), stroke.color);
+            return;
+        }
+        
+        const pressure = StrokeGeometry.pressureOf(point);
+        
         this.ctx.save();
+        this.ctx.globalAlpha = StrokeGeometry.pressureAlpha(pressure) * brush.opacity;
         
-        if (tool === 'eraser') {
+        if (stroke.tool === 'eraser') {
             this.ctx.globalCompositeOperation = 'destination-out';
             this.ctx.fillStyle = 'rgba(255,255,255,1)';
-            this.ctx.shadowBlur = 0;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, width / 2, 0, Math.PI * 2);
-            this.ctx.fill();
         } else {
             this.ctx.globalCompositeOperation = 'source-over';
-            this.ctx.fillStyle = color;
-            
-            // Apply brush type effects
-            switch(this.brushType) {
-                case 'calligraphy':
-                    this.ctx.fillRect(x - width/4, y - width/2, width/2, width);
-                    break;
-                case 'oil':
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.5;
-                    this.ctx.beginPath();
-                    this.ctx.arc(x, y, width / 2, 0, Math.PI * 2);
-                    this.ctx.fill();
-                    break;
-                case 'watercolor':
-                    this.ctx.globalAlpha = 0.7;
-                    this.ctx.beginPath();
-                    this.ctx.arc(x, y, width / 2, 0, Math.PI * 2);
-                    this.ctx.fill();
-                    break;
-                case 'spray':
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.8;
-                    this.ctx.beginPath();
-                    this.ctx.arc(x, y, width / 3, 0, Math.PI * 2);
-                    this.ctx.fill();
+            this.ctx.fillStyle = stroke.color;
+        }
+        
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, StrokeGeometry.pressureWidth(stroke.width, pressure) / 2, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.restore();
+    }
+    
+    drawStamps(stamps, color) {
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.fillStyle = color;
+        
+        stamps.forEach(stamp => {
+            this.ctx.globalAlpha = stamp.alpha;
+            switch (stamp.shape) {
+                case 'square':
+                    this.ctx.fillRect(stamp.x - stamp.size / 2, stamp.y - stamp.size / 2, stamp.size, stamp.size);
                     break;
-                case 'chalk':
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.2;
-                    this.ctx.globalAlpha = 0.9;
+                case 'ellipse':
                     this.ctx.beginPath();
-                    this.ctx.arc(x, y, width / 2, 0, Math.PI * 2);
+                    this.ctx.ellipse(stamp.x, stamp.y, stamp.radiusX, stamp.radiusY, stamp.rotation, 0, Math.PI * 2);
                     this.ctx.fill();
                     break;
-                default: // round
-                    this.ctx.shadowColor = color;
-                    this.ctx.shadowBlur = width * 0.3;
+                default: // circle
                     this.ctx.beginPath();
-                    this.ctx.arc(x, y, width / 2, 0, Math.PI * 2);
+                    this.ctx.arc(stamp.x, stamp.y, stamp.radius, 0, Math.PI * 2);
                     this.ctx.fill();
             }
-        }
+        });
         
         this.ctx.restore();
     }
     
-    drawShape(shape, startX, startY, endX, endY, color, width, isTemp = false) {
+    /**
+     * Style properties a shape may carry besides its stroke color and width, and what a
+     * shape without them is drawn with
+     */
+    static get SHAPE_STYLE_DEFAULTS() {
+        return {
+            fill: { type: 'none' },
+            fillOpacity: 1,
+            outline: true,
+            lineDash: 'solid',
+            lineJoin: 'round',
+            lineCap: 'round',
+            cornerRadius: 0,
+            arrowStart: 'none',
+            arrowEnd: 'open'
+        };
+    }
+    
+    /**
+     * Fill a shape with its fill paint, then outline it with its stroke style. Lines and
+     * arrows are never filled and always stroked.
+     */
+    drawShape(shapeData, isTemp = false) {
+        const { shape, startX, startY, endX, endY } = shapeData;
+        const style = this.getShapeStyle(shapeData);
+        const open = shape === 'line' || shape === 'arrow';
+        
         this.ctx.save();
-        this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = width;
-        this.ctx.fillStyle = 'transparent';
+        this.applyObjectTransform(shapeData);
+        this.ctx.strokeStyle = style.color;
+        this.ctx.lineWidth = style.width;
+        this.ctx.lineJoin = style.lineJoin;
+        this.ctx.lineCap = style.lineCap;
+        this.ctx.setLineDash(this.getLineDash(style));
         
         const widthDiff = endX - startX;
         const heightDiff = endY - startY;
@@ -922,7 +1077,7 @@ class DrawingCanvas {
         
         switch(shape) {
             case 'rectangle':
-                this.ctx.rect(startX, startY, widthDiff, heightDiff);
+                this.drawRoundedRectPath(startX, startY, widthDiff, heightDiff, style.cornerRadius);
                 break;
             case 'circle':
                 const radius = Math.sqrt(sizeX * sizeX + sizeY * sizeY);
@@ -942,7 +1097,7 @@ class DrawingCanvas {
                 this.drawStarPath(centerX, centerY, 5, sizeX, sizeY * 0.4);
                 break;
             case 'arrow':
-                this.drawArrowPath(startX, startY, endX, endY, width);
+                this.drawArrowPath(startX, startY, endX, endY, style);
                 break;
             case 'ellipse':
                 this.ctx.ellipse(centerX, centerY, sizeX, sizeY, 0, 0, Math.PI * 2);
@@ -964,11 +1119,128 @@ class DrawingCanvas {
                 break;
         }
         
-        this.ctx.stroke();
+        if (!open && style.fill.type !== 'none') {
+            const alpha = this.ctx.globalAlpha;
+            this.ctx.globalAlpha = alpha * style.fillOpacity;
+            this.ctx.fillStyle = this.createFillStyle(style.fill, this.getShapeBounds(shape, startX, startY, endX, endY));
+            this.ctx.fill();
+            this.ctx.globalAlpha = alpha;
+        }
+        if (open || style.outline) {
+            this.ctx.stroke();
+        }
+        if (shape === 'arrow') {
+            this.drawArrowHeads(startX, startY, endX, endY, style);
+        }
         this.ctx.restore();
         
         if (isTemp) {
-            this.tempShape = { shape, startX, startY, endX, endY, color, width };
+            this.tempShape = shapeData;
+        }
+    }
+    
+    // A shape's stroke color, width and style properties, defaults filled in
+    getShapeStyle(shapeData) {
+        const style = { color: shapeData.color, width: shapeData.width };
+        const defaults = DrawingCanvas.SHAPE_STYLE_DEFAULTS;
+        Object.keys(defaults).forEach(key => {
+            style[key] = shapeData[key] !== undefined ? shapeData[key] : defaults[key];
+        });
+        return style;
+    }
+    
+    // Style properties for a new shape, from the Shape Properties panel
+    getNewShapeStyle() {
+        const settings = this.shapeStyle;
+        return {
+            fill: settings.filled ? this.buildPaint(settings.fillColor) : { type: 'none' },
+            fillOpacity: settings.fillOpacity,
+            outline: settings.outline,
+            lineDash: settings.lineDash,
+            lineJoin: settings.lineJoin,
+            lineCap: settings.lineCap,
+            cornerRadius: settings.cornerRadius,
+            arrowStart: settings.arrowStart,
+            arrowEnd: settings.arrowEnd
+        };
+    }
+    
+    /**
+     * Dash pattern in multiples of the line width, so dashes keep their look at any width.
+     * Round and square caps reach half a width past each dash, so they get wider gaps, and
+     * a zero-length dash leaves just the cap: a dot.
+     */
+    getLineDash(style) {
+        const unit = Math.max(1, style.width);
+        const butt = style.lineCap === 'butt';
+        const gap = butt ? unit * 2 : unit * 3;
+        const dot = butt ? unit : 0;
+        
+        switch (style.lineDash) {
+            case 'dashed':
+                return [unit * 4, gap];
+            case 'dotted':
+                return [dot, gap];
+            case 'dash-dot':
+                return [unit * 4, gap, dot, gap];
+            default:
+                return [];
+        }
+    }
+    
+    // The box a shape's fill paint is laid out in
+    getShapeBounds(shape, startX, startY, endX, endY) {
+        if (shape === 'circle') {
+            const radius = Math.hypot(endX - startX, endY - startY) / 2;
+            const centerX = (startX + endX) / 2;
+            const centerY = (startY + endY) / 2;
+            return { x: centerX - radius, y: centerY - radius, width: radius * 2, height: radius * 2 };
+        }
+        return {
+            x: Math.min(startX, endX),
+            y: Math.min(startY, endY),
+            width: Math.abs(endX - startX),
+            height: Math.abs(endY - startY)
+        };
+    }
+    
+    /**
+     * PaintStyle fillStyle for a paint; image paints still loading leave the render incomplete
+     */
+    createFillStyle(paint, bounds, ctx = this.ctx) {
+        return PaintStyle.createFillStyle(ctx, paint, bounds, (src) => {
+            const img = this.getCachedImage(src);
+            if (img.complete && img.naturalWidth > 0) return img;
+            this.renderIncomplete = true;
+            return null;
+        });
+    }
+    
+    /**
+     * The paint the Fill Style panel describes; solid `color` when it describes nothing else
+     */
+    buildPaint(color) {
+        const settings = this.paintSettings;
+        const stops = settings.stops
+            .map(stop => ({ offset: stop.offset, color: stop.color }))
+            .sort((a, b) => a.offset - b.offset);
+        
+        switch (settings.type) {
+            case 'linear':
+                return { type: 'linear', angle: settings.angle, stops };
+            case 'radial':
+                return { type: 'radial', cx: 0.5, cy: 0.5, radius: 0.5, stops };
+            case 'conic':
+                return { type: 'conic', cx: 0.5, cy: 0.5, angle: settings.angle, stops };
+            case 'pattern':
+                return { type: 'pattern', pattern: settings.pattern, color, size: settings.patternSize };
+            case 'image':
+                if (settings.imageSrc) {
+                    return { type: 'image', src: settings.imageSrc, repeat: settings.imageRepeat };
+                }
+                return { type: 'solid', color };
+            default:
+                return { type: 'solid', color };
         }
     }
     
@@ -993,17 +1265,72 @@ class DrawingCanvas {
         this.ctx.closePath();
     }
     
-    drawArrowPath(fromX, fromY, toX, toY, lineWidth) {
-        const headlen = 15 + lineWidth * 2;
+    /**
+     * The arrow's shaft; drawArrowHeads adds the heads once it is stroked. A filled head
+     * covers the end of the shaft, which would otherwise poke out past the head's tip.
+     */
+    drawArrowPath(fromX, fromY, toX, toY, style) {
+        const headlen = 15 + style.width * 2;
         const angle = Math.atan2(toY - fromY, toX - fromX);
+        const length = Math.hypot(toX - fromX, toY - fromY);
+        const inset = (head) => head === 'filled' ? Math.min(length / 2, headlen * Math.cos(Math.PI / 6)) : 0;
+        const startInset = inset(style.arrowStart);
+        const endInset = inset(style.arrowEnd);
 
-        this.ctx.moveTo(fromX, fromY);
-        this.ctx.lineTo(toX, toY);
+        this.ctx.moveTo(fromX + startInset * Math.cos(angle), fromY + startInset * Math.sin(angle));
+        this.ctx.lineTo(toX - endInset * Math.cos(angle), toY - endInset * Math.sin(angle));
+    }
+    
+    // Arrowheads are drawn solid whatever the shaft's dash pattern
+    drawArrowHeads(fromX, fromY, toX, toY, style) {
+        const headlen = 15 + style.width * 2;
+        const angle = Math.atan2(toY - fromY, toX - fromX);
+        
+        this.ctx.setLineDash([]);
+        this.ctx.fillStyle = style.color;
+        this.drawArrowHead(fromX, fromY, angle + Math.PI, headlen, style.arrowStart);
+        this.drawArrowHead(toX, toY, angle, headlen, style.arrowEnd);
+    }
+    
+    drawArrowHead(tipX, tipY, angle, headlen, head) {
+        if (head === 'none') return;
+        
+        this.ctx.beginPath();
+        if (head === 'circle') {
+            this.ctx.arc(tipX, tipY, headlen / 3, 0, Math.PI * 2);
+            this.ctx.fill();
+            return;
+        }
         
-        this.ctx.moveTo(toX, toY);
-        this.ctx.lineTo(toX - headlen * Math.cos(angle - Math.PI/6), toY - headlen * Math.sin(angle - Math.PI/6));
-        this.ctx.moveTo(toX, toY);
-        this.ctx.lineTo(toX - headlen * Math.cos(angle + Math.PI/6), toY - headlen * Math.sin(angle + Math.PI/6));
+        this.ctx.moveTo(tipX - headlen * Math.cos(angle - Math.PI/6), tipY - headlen * Math.sin(angle - Math.PI/6));
+        this.ctx.lineTo(tipX, tipY);
+        this.ctx.lineTo(tipX - headlen * Math.cos(angle + Math.PI/6), tipY - headlen * Math.sin(angle + Math.PI/6));
+        if (head === 'filled') {
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+        this.ctx.stroke();
+    }
+    
+    // Rectangle with rounded corners, the radius capped at half the shorter side
+    drawRoundedRectPath(x, y, width, height, radius) {
+        const left = Math.min(x, x + width);
+        const top = Math.min(y, y + height);
+        const right = left + Math.abs(width);
+        const bottom = top + Math.abs(height);
+        const r = Math.min(radius, Math.abs(width) / 2, Math.abs(height) / 2);
+        
+        if (r <= 0) {
+            this.ctx.rect(x, y, width, height);
+            return;
+        }
+        
+        this.ctx.moveTo(left + r, top);
+        this.ctx.arcTo(right, top, right, bottom, r);
+        this.ctx.arcTo(right, bottom, left, bottom, r);
+        this.ctx.arcTo(left, bottom, left, top, r);
+        this.ctx.arcTo(left, top, right, top, r);
+        this.ctx.closePath();
     }
     
     drawPolygonPath(cx, cy, sides, radius) {
@@ -1042,50 +1369,107 @@ class DrawingCanvas {
     // ===== FLOOD FILL IMPLEMENTATION =====
     
     fillArea(x, y, fillColor) {
-        // Create temporary canvas for flood fill
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = this.canvas.width;
-        tempCanvas.height = this.canvas.height;
-        
-        // Copy current canvas state to temporary canvas
-        tempCtx.drawImage(this.canvas, 0, 0);
-        
-        const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-        const targetColor = this.getPixelColor(imageData, x, y);
-        const fillRgb = this.hexToRgb(fillColor);
-        
-        // Don't fill if already the same color
-        if (this.colorsMatch(targetColor, fillRgb)) {
+        // The composited canvas, or only what the active layer holds
+        const source = this.fillOptions.sampleAllLayers ? this.ctx : this.getLayerSurface(this.activeLayer).ctx;
+        const imageData = source.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        const region = this.computeFillRegion(imageData, x, y, fillColor, this.fillOptions);
+        if (!region) {
             return;
         }
         
-        // Perform flood fill
-        this.floodFill(imageData, x, y, targetColor, fillRgb);
+        const fillAction = {
+            id: `fill-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type: 'fill',
+            x: x,
+            y: y,
+            color: fillColor,
+            region: region,
+            layerId: this.activeLayer
+        };
         
-        // Apply the filled image data to main canvas
-        this.ctx.putImageData(imageData, 0, 0);
+        const paint = this.buildPaint(fillColor);
+        if (paint.type !== 'solid') {
+            fillAction.paint = paint;
+        }
         
-        this.addToHistory();
+        this.recordOperation('fill', fillAction, { isLocal: true });
+        this.withLayerContext(this.activeLayer, () => this.drawFill(fillAction));
+        this.compositeLayers();
         
         // Emit to server
         if (window.socketManager) {
-            window.socketManager.emitFillArea({ x, y, color: fillColor });
+            window.socketManager.emitFillArea(fillAction);
         }
     }
     
-    getPixelColor(imageData, x, y) {
+    /**
+     * The FillRegion a bucket fill at (x, y) covers in this raster, with FloodFill options;
+     * null when there is nothing to fill
+     */
+    computeFillRegion(imageData, x, y, fillColor, options = {}) {
         const index = (Math.floor(y) * imageData.width + Math.floor(x)) * 4;
-        return {
-            r: imageData.data[index],
-            g: imageData.data[index + 1],
-            b: imageData.data[index + 2],
-            a: imageData.data[index + 3]
-        };
+        const fillRgb = this.hexToRgb(fillColor);
+        const data = imageData.data;
+        
+        // Don't fill if already the same color
+        if (data[index + 3] === 255 && data[index] === fillRgb.r && data[index + 1] === fillRgb.g && data[index + 2] === fillRgb.b) {
+            return null;
+        }
+        
+        const mask = FloodFill.computeMask(imageData, x, y, options);
+        return FillRegion.fromMask(mask, imageData.width, imageData.height);
     }
     
-    colorsMatch(color1, color2) {
-        return color1.r === color2.r && color1.g === color2.g && color1.b === color2.b;
+    /**
+     * Paint a fill's stored region. Fills saved before regions existed get one from the
+     * raster they are painted onto, once, and keep it from then on.
+     */
+    drawFill(fill) {
+        if (!fill.region) {
+            const surface = this.ctx.canvas;
+            const imageData = this.ctx.getImageData(0, 0, surface.width, surface.height);
+            fill.region = this.computeFillRegion(imageData, Math.floor(fill.x), Math.floor(fill.y), fill.color);
+            if (!fill.region) return;
+        }
+        
+        let rendered = this.fillCache.get(fill);
+        if (!rendered) {
+            rendered = document.createElement('canvas');
+            rendered.width = fill.region.width;
+            rendered.height = fill.region.height;
+            
+            const renderedCtx = rendered.getContext('2d');
+            renderedCtx.fillStyle = fill.color;
+            FillRegion.forEachSpan(fill.region, (x, y, length) => {
+                renderedCtx.fillRect(x - fill.region.x, y - fill.region.y, length, 1);
+            });
+            
+            // Other paints replace the color inside the region, laid out over its bounding box
+            let complete = true;
+            if (fill.paint) {
+                const wasIncomplete = this.renderIncomplete;
+                this.renderIncomplete = false;
+                renderedCtx.globalCompositeOperation = 'source-in';
+                renderedCtx.fillStyle = this.createFillStyle(
+                    fill.paint,
+                    { x: 0, y: 0, width: rendered.width, height: rendered.height },
+                    renderedCtx
+                );
+                renderedCtx.fillRect(0, 0, rendered.width, rendered.height);
+                complete = !this.renderIncomplete;
+                this.renderIncomplete = wasIncomplete || this.renderIncomplete;
+            }
+            
+            // A fill whose image is still loading is rendered again once it has
+            if (complete) {
+                this.fillCache.set(fill, rendered);
+            }
+        }
+        
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.drawImage(rendered, fill.region.x, fill.region.y);
+        this.ctx.restore();
     }
     
     hexToRgb(hex) {
@@ -1097,48 +1481,6 @@ class DrawingCanvas {
         } : { r: 0, g: 0, b: 0 };
     }
     
-    floodFill(imageData, x, y, targetColor, fillColor) {
-        const stack = [[x, y]];
-        const width = imageData.width;
-        const height = imageData.height;
-        const visited = new Set();
-        
-        while (stack.length > 0) {
-            const [currentX, currentY] = stack.pop();
-            const index = (Math.floor(currentY) * width + Math.floor(currentX)) * 4;
-            const key = `${currentX},${currentY}`;
-            
-            // Check bounds and if already visited
-            if (currentX < 0 || currentX >= width || currentY < 0 || currentY >= height || visited.has(key)) {
-                continue;
-            }
-            
-            visited.add(key);
-            
-            const currentColor = {
-                r: imageData.data[index],
-                g: imageData.data[index + 1],
-                b: imageData.data[index + 2],
-                a: imageData.data[index + 3]
-            };
-            
-            // Check if this pixel matches the target color
-            if (!this.colorsMatch(currentColor, targetColor)) continue;
-            
-            // Fill the pixel
-            imageData.data[index] = fillColor.r;
-            imageData.data[index + 1] = fillColor.g;
-            imageData.data[index + 2] = fillColor.b;
-            imageData.data[index + 3] = 255;
-            
-            // Add neighboring pixels to stack
-            stack.push([currentX + 1, currentY]);
-            stack.push([currentX - 1, currentY]);
-            stack.push([currentX, currentY + 1]);
-            stack.push([currentX, currentY - 1]);
-        }
-    }
-    
     // ===== TEXT TOOL IMPLEMENTATION =====
     
     startTextInput(coords) {
@@ -1212,9 +1554,8 @@ class DrawingCanvas {
             layerId: this.activeLayer
         };
         
-        this.textElements.push(textElement);
-        this.drawTextElement(textElement);
-        this.addToHistory();
+        this.recordOperation('text', textElement, { isLocal: true });
+        this.redrawCanvas();
         
         if (window.socketManager) {
             window.socketManager.emitAddText(textElement);
@@ -1225,6 +1566,7 @@ class DrawingCanvas {
     
     drawTextElement(textElement) {
         this.ctx.save();
+        this.applyObjectTransform(textElement);
         this.ctx.font = `${textElement.fontSize}px ${textElement.fontFamily}`;
         this.ctx.fillStyle = textElement.color;
         this.ctx.fillText(textElement.text, textElement.x, textElement.y);
@@ -1267,9 +1609,8 @@ class DrawingCanvas {
             layerId: this.activeLayer
         };
         
-        this.images.push(imageElement);
-        this.drawImageElement(imageElement);
-        this.addToHistory();
+        this.recordOperation('image', imageElement, { isLocal: true });
+        this.redrawCanvas();
         
         if (window.socketManager) {
             window.socketManager.emitAddImage(imageElement);
@@ -1279,11 +1620,30 @@ class DrawingCanvas {
     }
     
     drawImageElement(imageElement) {
-        const img = new Image();
-        img.onload = () => {
+        const img = this.getCachedImage(imageElement.src);
+        if (img.complete && img.naturalWidth > 0) {
+            this.ctx.save();
+            this.applyObjectTransform(imageElement);
             this.ctx.drawImage(img, imageElement.x, imageElement.y, imageElement.width, imageElement.height);
-        };
-        img.src = imageElement.src;
+            this.ctx.restore();
+        } else {
+            // Drawn once loaded; until then this raster must not become a checkpoint
+            this.renderIncomplete = true;
+        }
+    }
+    
+    /**
+     * Decoded images are cached so replays draw synchronously and in order
+     */
+    getCachedImage(src) {
+        let img = this.imageCache.get(src);
+        if (!img) {
+            img = new Image();
+            img.onload = () => this.redrawCanvas();
+            img.src = src;
+            this.imageCache.set(src, img);
+        }
+        return img;
     }
     
     // ===== SELECTION AND OBJECT MANAGEMENT =====
@@ -1294,7 +1654,7 @@ class DrawingCanvas {
         // Check text elements first (they're on top)
         for (let i = this.textElements.length - 1; i >= 0; i--) {
             const textElement = this.textElements[i];
-            if (this.isPointInText(x, y, textElement)) {
+            if (!this.isLayerLocked(textElement.layerId) && this.isPointInText(x, y, textElement)) {
                 this.selectedObject = textElement;
                 this.drawSelectionBox(textElement);
                 return true;
@@ -1304,7 +1664,7 @@ class DrawingCanvas {
         // Check images
         for (let i = this.images.length - 1; i >= 0; i--) {
             const imageElement = this.images[i];
-            if (this.isPointInImage(x, y, imageElement)) {
+            if (!this.isLayerLocked(imageElement.layerId) && this.isPointInImage(x, y, imageElement)) {
                 this.selectedObject = imageElement;
                 this.drawSelectionBox(imageElement);
                 return true;
@@ -1314,9 +1674,10 @@ class DrawingCanvas {
         // Check shapes
         for (let i = this.objects.length - 1; i >= 0; i--) {
             const obj = this.objects[i];
-            if (this.isPointInShape(x, y, obj)) {
+            if (!this.isLayerLocked(obj.layerId) && this.isPointInShape(x, y, obj)) {
                 this.selectedObject = obj;
                 this.drawSelectionBox(obj);
+                this.updateShapeProperties();
                 return true;
             }
         }
@@ -1324,6 +1685,7 @@ class DrawingCanvas {
     }
     
     isPointInText(x, y, textElement) {
+        ({ x, y } = this.toObjectSpace(textElement, x, y));
         this.ctx.font = `${textElement.fontSize}px ${textElement.fontFamily}`;
         const metrics = this.ctx.measureText(textElement.text);
         return x >= textElement.x && x <= textElement.x + metrics.width && 
@@ -1331,11 +1693,13 @@ class DrawingCanvas {
     }
     
     isPointInImage(x, y, imageElement) {
+        ({ x, y } = this.toObjectSpace(imageElement, x, y));
         return x >= imageElement.x && x <= imageElement.x + imageElement.width && 
                y >= imageElement.y && y <= imageElement.y + imageElement.height;
     }
     
     isPointInShape(x, y, shape) {
+        ({ x, y } = this.toObjectSpace(shape, x, y));
         switch(shape.shape) {
             case 'rectangle':
                 const minX = Math.min(shape.startX, shape.endX);
@@ -1355,6 +1719,7 @@ class DrawingCanvas {
                 return distance <= radius;
                 
             case 'line':
+            case 'arrow':
                 // Simple line hit detection
                 const lineLength = Math.sqrt(
                     Math.pow(shape.endX - shape.startX, 2) + 
@@ -1368,11 +1733,17 @@ class DrawingCanvas {
                 ) / lineLength;
                 return distanceToLine <= shape.width + 5;
                 
-            default:
-                return false;
+            default: {
+                const bounds = this.getShapeBounds(shape.shape, shape.startX, shape.startY, shape.endX, shape.endY);
+                return x >= bounds.x && x <= bounds.x + bounds.width &&
+                       y >= bounds.y && y <= bounds.y + bounds.height;
+            }
         }
     }
     
+    /**
+     * Dashed outline of the object as transformed, with its resize handles and rotation handle
+     */
     drawSelectionBox(obj) {
         this.objectCtx.clearRect(0, 0, this.objectLayer.width, this.objectLayer.height);
         this.objectCtx.save();
@@ -1380,26 +1751,64 @@ class DrawingCanvas {
         this.objectCtx.lineWidth = 2;
         this.objectCtx.setLineDash([5, 5]);
         
-        if (obj.type === 'text') {
-            this.ctx.font = `${obj.fontSize}px ${obj.fontFamily}`;
-            const metrics = this.ctx.measureText(obj.text);
-            this.objectCtx.strokeRect(obj.x - 5, obj.y - obj.fontSize - 5, metrics.width + 10, obj.fontSize + 10);
-        } else if (obj.type === 'shape') {
-            const minX = Math.min(obj.startX, obj.endX);
-            const maxX = Math.max(obj.startX, obj.endX);
-            const minY = Math.min(obj.startY, obj.endY);
-            const maxY = Math.max(obj.startY, obj.endY);
-            this.objectCtx.strokeRect(minX - 5, minY - 5, maxX - minX + 10, maxY - minY + 10);
-        } else if (obj.type === 'image') {
-            this.objectCtx.strokeRect(obj.x - 5, obj.y - 5, obj.width + 10, obj.height + 10);
-        }
+        const handles = this.getTransformHandles(obj);
+        const corners = ['nw', 'ne', 'se', 'sw'].map(id => handles.find(handle => handle.id === id));
+        this.objectCtx.beginPath();
+        corners.forEach((corner, index) => {
+            if (index === 0) {
+                this.objectCtx.moveTo(corner.worldX, corner.worldY);
+            } else {
+                this.objectCtx.lineTo(corner.worldX, corner.worldY);
+            }
+        });
+        this.objectCtx.closePath();
+        this.objectCtx.stroke();
+        
+        // The rotation handle hangs off the middle of the top edge
+        const top = handles.find(handle => handle.id === 'n');
+        const rotate = handles.find(handle => handle.id === 'rotate');
+        this.objectCtx.setLineDash([]);
+        this.objectCtx.beginPath();
+        this.objectCtx.moveTo(top.worldX, top.worldY);
+        this.objectCtx.lineTo(rotate.worldX, rotate.worldY);
+        this.objectCtx.stroke();
+        
+        const size = DrawingCanvas.HANDLE_SIZE;
+        this.objectCtx.fillStyle = '#ffffff';
+        handles.forEach(handle => {
+            this.objectCtx.beginPath();
+            if (handle.id === 'rotate') {
+                this.objectCtx.arc(handle.worldX, handle.worldY, size / 2, 0, Math.PI * 2);
+            } else {
+                this.objectCtx.rect(handle.worldX - size / 2, handle.worldY - size / 2, size, size);
+            }
+            this.objectCtx.fill();
+            this.objectCtx.stroke();
+        });
         
         this.objectCtx.restore();
     }
     
     clearSelection() {
+        this.commitStyleEdit();
         this.selectedObject = null;
         this.objectCtx.clearRect(0, 0, this.objectLayer.width, this.objectLayer.height);
+        this.updateShapeProperties();
+    }
+    
+    /**
+     * Start dragging the selected object. The offset is measured from its origin, the canvas
+     * point its matrix is built around, so moving the origin with the pointer carries a
+     * rotated or skewed object along with the spot that was grabbed
+     */
+    startObjectMove(coords) {
+        this.isMovingObject = true;
+        this.moveStartGeometry = this.getObjectGeometry(this.selectedObject);
+        this.history.reopen(this.selectedObject.id);
+        
+        const origin = this.getObjectOrigin(this.selectedObject);
+        this.dragOffset.x = coords.x - origin.x;
+        this.dragOffset.y = coords.y - origin.y;
     }
     
     moveSelectedObject(x, y) {
@@ -1423,6 +1832,286 @@ class DrawingCanvas {
         }
     }
     
+    // Where an object is and how it is transformed; moves and transform drags change it
+    getObjectGeometry(obj) {
+        const transform = obj.transform || DrawingCanvas.IDENTITY_TRANSFORM;
+        if (obj.type === 'shape') {
+            return { startX: obj.startX, startY: obj.startY, endX: obj.endX, endY: obj.endY, transform };
+        }
+        return { x: obj.x, y: obj.y, transform };
+    }
+    
+    /**
+     * Turn a finished drag into a move operation
+     */
+    commitObjectMove() {
+        const target = this.selectedObject;
+        const from = this.moveStartGeometry;
+        this.moveStartGeometry = null;
+        
+        if (!target || !from) return;
+        this.history.complete(target.id);
+        
+        const to = this.getObjectGeometry(target);
+        if (Object.keys(to).every(key => JSON.stringify(to[key]) === JSON.stringify(from[key]))) return;
+        
+        const moveAction = {
+            id: `move-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type: 'move',
+            targetId: target.id,
+            from: from,
+            to: to
+        };
+        
+        this.recordOperation('move', moveAction, { isLocal: true });
+        
+        if (window.socketManager) {
+            window.socketManager.emitMoveObject(moveAction);
+        }
+    }
+    
+    // ===== TRANSFORMS =====
+    
+    static get IDENTITY_TRANSFORM() {
+        return [1, 0, 0, 1, 0, 0];
+    }
+    
+    static get HANDLE_SIZE() {
+        return 8;
+    }
+    
+    // Distance from the top edge to the rotation handle
+    static get ROTATE_HANDLE_OFFSET() {
+        return 25;
+    }
+    
+    // Smallest scale a resize goes down to, so an object can't be flattened
+    static get MIN_SCALE() {
+        return 0.05;
+    }
+    
+    // Shapes transform around their start point, text and images around (x, y)
+    getObjectOrigin(obj) {
+        return obj.type === 'shape' ? { x: obj.startX, y: obj.startY } : { x: obj.x, y: obj.y };
+    }
+    
+    /**
+     * The matrix an object is drawn with: its transform applied around its origin, so a
+     * move, which only changes the geometry, moves it without touching the transform
+     */
+    getObjectMatrix(obj) {
+        const origin = this.getObjectOrigin(obj);
+        return new DOMMatrix()
+            .translate(origin.x, origin.y)
+            .multiply(new DOMMatrix(obj.transform || DrawingCanvas.IDENTITY_TRANSFORM))
+            .translate(-origin.x, -origin.y);
+    }
+    
+    applyObjectTransform(obj) {
+        if (!obj.transform) return;
+        const matrix = this.getObjectMatrix(obj);
+        this.ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+    }
+    
+    // A canvas point in the object's own, untransformed coordinates
+    toObjectSpace(obj, x, y) {
+        if (!obj.transform) return { x, y };
+        const point = this.getObjectMatrix(obj).inverse().transformPoint(new DOMPoint(x, y));
+        return { x: point.x, y: point.y };
+    }
+    
+    // The box an object occupies before its transform, with the selection box's margin
+    getObjectBounds(obj) {
+        const margin = 5;
+        let bounds;
+        if (obj.type === 'text') {
+            this.ctx.save();
+            this.ctx.font = `${obj.fontSize}px ${obj.fontFamily}`;
+            const metrics = this.ctx.measureText(obj.text);
+            this.ctx.restore();
+            bounds = { x: obj.x, y: obj.y - obj.fontSize, width: metrics.width, height: obj.fontSize };
+        } else if (obj.type === 'shape') {
+            bounds = this.getShapeBounds(obj.shape, obj.startX, obj.startY, obj.endX, obj.endY);
+        } else {
+            bounds = { x: obj.x, y: obj.y, width: obj.width, height: obj.height };
+        }
+        return {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: bounds.width + margin * 2,
+            height: bounds.height + margin * 2
+        };
+    }
+    
+    /**
+     * Resize handles on the corners and edges of the object's bounds, each scaling about the
+     * opposite corner or edge, and the rotation handle above the top edge. x and y are in the
+     * object's own coordinates, worldX and worldY on the canvas.
+     */
+    getTransformHandles(obj) {
+        const bounds = this.getObjectBounds(obj);
+        const matrix = this.getObjectMatrix(obj);
+        const left = bounds.x;
+        const top = bounds.y;
+        const right = bounds.x + bounds.width;
+        const bottom = bounds.y + bounds.height;
+        const middleX = bounds.x + bounds.width / 2;
+        const middleY = bounds.y + bounds.height / 2;
+        
+        const handles = [
+            { id: 'nw', x: left, y: top, anchorX: right, anchorY: bottom, axes: 'xy' },
+            { id: 'n', x: middleX, y: top, anchorX: middleX, anchorY: bottom, axes: 'y' },
+            { id: 'ne', x: right, y: top, anchorX: left, anchorY: bottom, axes: 'xy' },
+            { id: 'e', x: right, y: middleY, anchorX: left, anchorY: middleY, axes: 'x' },
+            { id: 'se', x: right, y: bottom, anchorX: left, anchorY: top, axes: 'xy' },
+            { id: 's', x: middleX, y: bottom, anchorX: middleX, anchorY: top, axes: 'y' },
+            { id: 'sw', x: left, y: bottom, anchorX: right, anchorY: top, axes: 'xy' },
+            { id: 'w', x: left, y: middleY, anchorX: right, anchorY: middleY, axes: 'x' }
+        ];
+        handles.forEach(handle => {
+            const point = matrix.transformPoint(new DOMPoint(handle.x, handle.y));
+            handle.worldX = point.x;
+            handle.worldY = point.y;
+        });
+        
+        // "Up" for the object, which is down on the canvas once it is flipped
+        const topHandle = handles[1];
+        const upX = -matrix.c;
+        const upY = -matrix.d;
+        const length = Math.hypot(upX, upY) || 1;
+        handles.push({
+            id: 'rotate',
+            worldX: topHandle.worldX + upX / length * DrawingCanvas.ROTATE_HANDLE_OFFSET,
+            worldY: topHandle.worldY + upY / length * DrawingCanvas.ROTATE_HANDLE_OFFSET
+        });
+        return handles;
+    }
+    
+    getTransformHandleAt(x, y) {
+        const reach = DrawingCanvas.HANDLE_SIZE;
+        const handles = this.getTransformHandles(this.selectedObject);
+        // The rotation handle is last and checked first
+        for (let i = handles.length - 1; i >= 0; i--) {
+            if (Math.abs(x - handles[i].worldX) <= reach && Math.abs(y - handles[i].worldY) <= reach) {
+                return handles[i];
+            }
+        }
+        return null;
+    }
+    
+    // Resize cursors point the way the handle under the pointer pulls, whatever the object's rotation
+    updateHandleCursor(coords) {
+        const handle = this.selectedObject ? this.getTransformHandleAt(coords.x, coords.y) : null;
+        if (!handle) {
+            this.canvas.style.cursor = 'default';
+            return;
+        }
+        if (handle.id === 'rotate') {
+            this.canvas.style.cursor = 'grab';
+            return;
+        }
+        
+        const center = this.getObjectMatrix(this.selectedObject).transformPoint(new DOMPoint(
+            (handle.x + handle.anchorX) / 2,
+            (handle.y + handle.anchorY) / 2
+        ));
+        const angle = Math.atan2(handle.worldY - center.y, handle.worldX - center.x) * 180 / Math.PI;
+        const cursors = ['ew-resize', 'nwse-resize', 'ns-resize', 'nesw-resize'];
+        this.canvas.style.cursor = cursors[Math.round((((angle % 180) + 180) % 180) / 45) % 4];
+    }
+    
+    startObjectTransform(handle, coords) {
+        const obj = this.selectedObject;
+        const bounds = this.getObjectBounds(obj);
+        this.transformDrag = {
+            handle,
+            matrix: this.getObjectMatrix(obj),
+            center: { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 },
+            origin: this.getObjectOrigin(obj),
+            startX: coords.x,
+            startY: coords.y
+        };
+        this.moveStartGeometry = this.getObjectGeometry(obj);
+        this.history.reopen(obj.id);
+    }
+    
+    /**
+     * Follow a transform handle drag. Corner and edge handles scale the object about the
+     * opposite corner or edge in its own coordinates, so a rotated object stretches along its
+     * own axes; Shift keeps the proportions. Alt on an edge handle slants the object along
+     * that edge instead. The rotation handle turns the object about its center, in 15° steps
+     * with Shift.
+     */
+    updateObjectTransform(coords, lockAspect, skew) {
+        const drag = this.transformDrag;
+        const handle = drag.handle;
+        let matrix;
+        
+        if (handle.id === 'rotate') {
+            const center = drag.matrix.transformPoint(new DOMPoint(drag.center.x, drag.center.y));
+            let angle = Math.atan2(coords.y - center.y, coords.x - center.x) -
+                        Math.atan2(drag.startY - center.y, drag.startX - center.x);
+            if (lockAspect) {
+                angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+            }
+            matrix = new DOMMatrix()
+                .translate(center.x, center.y)
+                .rotate(angle * 180 / Math.PI)
+                .translate(-center.x, -center.y)
+                .multiply(drag.matrix);
+        } else {
+            const local = drag.matrix.inverse().transformPoint(new DOMPoint(coords.x, coords.y));
+            const spanX = handle.x - handle.anchorX;
+            const spanY = handle.y - handle.anchorY;
+            let change;
+            
+            if (skew && handle.axes === 'y') {
+                const slant = spanY !== 0 ? (local.x - handle.x) / spanY : 0;
+                change = new DOMMatrix([1, 0, slant, 1, -slant * handle.anchorY, 0]);
+            } else if (skew && handle.axes === 'x') {
+                const slant = spanX !== 0 ? (local.y - handle.y) / spanX : 0;
+                change = new DOMMatrix([1, slant, 0, 1, 0, -slant * handle.anchorX]);
+            } else {
+                let scaleX = handle.axes !== 'y' && spanX !== 0 ? (local.x - handle.anchorX) / spanX : 1;
+                let scaleY = handle.axes !== 'x' && spanY !== 0 ? (local.y - handle.anchorY) / spanY : 1;
+                
+                if (lockAspect) {
+                    let scale;
+                    if (handle.axes === 'x') {
+                        scale = Math.abs(scaleX);
+                    } else if (handle.axes === 'y') {
+                        scale = Math.abs(scaleY);
+                    } else {
+                        scale = Math.max(Math.abs(scaleX), Math.abs(scaleY));
+                    }
+                    scaleX = (scaleX < 0 ? -1 : 1) * scale;
+                    scaleY = (scaleY < 0 ? -1 : 1) * scale;
+                }
+                
+                change = new DOMMatrix()
+                    .translate(handle.anchorX, handle.anchorY)
+                    .scale(this.limitScale(scaleX), this.limitScale(scaleY))
+                    .translate(-handle.anchorX, -handle.anchorY);
+            }
+            matrix = drag.matrix.multiply(change);
+        }
+        
+        // Back from the canvas matrix to a transform about the object's origin
+        const origin = drag.origin;
+        const transform = new DOMMatrix()
+            .translate(-origin.x, -origin.y)
+            .multiply(matrix)
+            .translate(origin.x, origin.y);
+        this.selectedObject.transform = [transform.a, transform.b, transform.c, transform.d, transform.e, transform.f];
+        
+        this.redrawCanvas();
+    }
+    
+    limitScale(scale) {
+        if (Math.abs(scale) >= DrawingCanvas.MIN_SCALE) return scale;
+        return scale < 0 ? -DrawingCanvas.MIN_SCALE : DrawingCanvas.MIN_SCALE;
+    }
+    
     // ===== SELECTION TOOLS =====
     
     startSelection(coords) {
@@ -1478,7 +2167,14 @@ class DrawingCanvas {
     
     // ===== CROP TOOL =====
     
+    // A crop clears the canvas for everyone, so it needs the clear permission
+    canCrop() {
+        return !window.socketManager || window.socketManager.can('clear');
+    }
+    
     toggleCropMode() {
+        if (!this.cropMode && !this.canCrop()) return;
+        
         this.cropMode = !this.cropMode;
         const cropBtn = document.getElementById('crop-btn');
         if (this.cropMode) {
@@ -1515,25 +2211,16 @@ class DrawingCanvas {
         const width = Math.abs(this.cropEndX - this.cropStartX);
         const height = Math.abs(this.cropEndY - this.cropStartY);
         
-        if (width > 10 && height > 10) {
-            // Get the selected area
-            const imageData = this.ctx.getImageData(x, y, width, height);
+        if (width > 10 && height > 10 && this.canCrop()) {
+            // Copy the selected area before the canvas is cleared
+            const cropCanvas = document.createElement('canvas');
+            cropCanvas.width = width;
+            cropCanvas.height = height;
+            cropCanvas.getContext('2d').drawImage(this.canvas, x, y, width, height, 0, 0, width, height);
             
-            // Clear the entire canvas
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            
-            // Put the cropped area at the top-left
-            this.ctx.putImageData(imageData, 0, 0);
-            
-            this.addToHistory();
-            
-            // Clear all strokes and objects since we've modified the canvas
-            this.localStrokes.clear();
-            this.remoteStrokes.clear();
-            this.objects = [];
-            this.textElements = [];
-            this.images = [];
-            this.clearSelection();
+            // A crop is a clear followed by the cropped area placed at the top-left
+            this.commitClear();
+            this.addImage(0, 0, cropCanvas.toDataURL(), width, height);
         }
         
         this.selectionCtx.clearRect(0, 0, this.selectionLayer.width, this.selectionLayer.height);
@@ -1709,12 +2396,14 @@ class DrawingCanvas {
         
         this.updateToolCursor(tool);
         
-        // Show/hide text styling
+        // Show/hide text styling and fill options
         if (tool === 'text') {
             document.getElementById('text-styling').classList.remove('hidden');
         } else {
             document.getElementById('text-styling').classList.add('hidden');
         }
+        document.getElementById('fill-options').classList.toggle('hidden', tool !== 'fill');
+        document.getElementById('paint-style').classList.toggle('hidden', tool !== 'fill');
     }
     
     updateToolCursor(tool) {
@@ -1746,7 +2435,15 @@ class DrawingCanvas {
     }
     
     setBrushType(type) {
-        this.brushType = type;
+        if (BrushEngine.BRUSH_TYPES.includes(type)) {
+            this.brushType = type;
+        }
+    }
+    
+    setSmoothing(smoothing) {
+        if (StrokeGeometry.SMOOTHING_MODES.includes(smoothing)) {
+            this.smoothing = smoothing;
+        }
     }
     
     setShape(shape) {
@@ -1794,6 +2491,271 @@ class DrawingCanvas {
         }
     }
     
+    setFillOptions(changes) {
+        if (changes.mode !== undefined && !FloodFill.MODES.includes(changes.mode)) return;
+        this.fillOptions = { ...this.fillOptions, ...changes };
+        
+        if (changes.tolerance !== undefined) {
+            document.getElementById('fill-tolerance-value').textContent = `${changes.tolerance}%`;
+        }
+        if (changes.gapClose !== undefined) {
+            document.getElementById('fill-gap-close-value').textContent = `${changes.gapClose}px`;
+        }
+    }
+    
+    // ===== SHAPE PROPERTIES =====
+    
+    // The shape the Shape Properties panel edits; null while it edits the style for new shapes
+    getStyleTarget() {
+        return this.selectedObject && this.selectedObject.type === 'shape' ? this.selectedObject : null;
+    }
+    
+    /**
+     * Show the Shape Properties and Fill Style panels while the shape tool is active or a
+     * shape is selected, filled in from the selected shape or the style for new shapes
+     */
+    updateShapeProperties() {
+        const target = this.getStyleTarget();
+        const visible = target !== null || this.currentTool === 'shape';
+        document.getElementById('shape-properties').classList.toggle('hidden', !visible);
+        document.getElementById('paint-style').classList.toggle('hidden', !visible && this.currentTool !== 'fill');
+        if (!visible) return;
+        
+        let shape = this.currentShape;
+        let style = { ...this.shapeStyle, color: this.currentColor, width: this.brushSize };
+        if (target) {
+            shape = target.shape;
+            style = this.getShapeStyle(target);
+            style.filled = style.fill.type !== 'none';
+            style.fillColor = this.getPaintColor(style.fill) || document.getElementById('shape-fill-color').value;
+        }
+        
+        document.getElementById('shape-stroke-color').value = style.color;
+        document.getElementById('shape-outline').checked = style.outline;
+        document.getElementById('shape-stroke-width').value = style.width;
+        document.getElementById('shape-fill').checked = style.filled;
+        document.getElementById('shape-fill-color').value = style.fillColor;
+        document.getElementById('shape-fill-opacity').value = Math.round(style.fillOpacity * 100);
+        document.getElementById('shape-line-dash').value = style.lineDash;
+        document.getElementById('shape-line-join').value = style.lineJoin;
+        document.getElementById('shape-line-cap').value = style.lineCap;
+        document.getElementById('shape-corner-radius').value = style.cornerRadius;
+        document.getElementById('shape-arrow-start').value = style.arrowStart;
+        document.getElementById('shape-arrow-end').value = style.arrowEnd;
+        this.updateShapePropertyLabels(style);
+        
+        // Lines and arrows have no inside to fill or outline to turn off
+        const open = shape === 'line' || shape === 'arrow';
+        document.getElementById('shape-fill-options').classList.toggle('hidden', open);
+        document.getElementById('shape-outline-option').classList.toggle('hidden', open);
+        document.getElementById('shape-corner-options').classList.toggle('hidden', shape !== 'rectangle');
+        document.getElementById('shape-arrow-options').classList.toggle('hidden', shape !== 'arrow');
+    }
+    
+    updateShapePropertyLabels(values) {
+        if (values.width !== undefined) {
+            document.getElementById('shape-stroke-width-value').textContent = `${values.width}px`;
+        }
+        if (values.fillOpacity !== undefined) {
+            document.getElementById('shape-fill-opacity-value').textContent = `${Math.round(values.fillOpacity * 100)}%`;
+        }
+        if (values.cornerRadius !== undefined) {
+            document.getElementById('shape-corner-radius-value').textContent = `${values.cornerRadius}px`;
+        }
+    }
+    
+    // The color a paint is mostly painted in, for the fill color picker
+    getPaintColor(paint) {
+        if (paint.color) return paint.color;
+        if (paint.stops && paint.stops.length > 0) return paint.stops[0].color;
+        return null;
+    }
+    
+    /**
+     * Apply a Shape Properties change. With a shape selected it restyles that shape, previewed
+     * while a control is dragged and committed as one style operation when it is released;
+     * otherwise it sets the style new shapes are drawn with. Fills take the Fill Style panel's
+     * paint in the fill color.
+     */
+    setShapeProperty(property, value, commit = true) {
+        if (property === 'fillColor') {
+            // Picking a fill color turns the fill on
+            document.getElementById('shape-fill').checked = true;
+        }
+        this.updateShapePropertyLabels({ [property]: value });
+        
+        const target = this.getStyleTarget();
+        if (!target) {
+            if (!commit) return;
+            if (property === 'color') {
+                this.setColor(value);
+                document.getElementById('color-picker').value = value;
+            } else if (property === 'width') {
+                this.setBrushSize(value);
+                document.getElementById('brush-size').value = value;
+            } else {
+                this.shapeStyle[property] = value;
+                this.shapeStyle.filled = document.getElementById('shape-fill').checked;
+            }
+            return;
+        }
+        
+        if (!this.styleEditStart) {
+            this.styleEditStart = this.getShapeStyle(target);
+            this.history.reopen(target.id);
+        }
+        
+        if (property === 'filled' || property === 'fillColor') {
+            target.fill = document.getElementById('shape-fill').checked
+                ? this.buildPaint(document.getElementById('shape-fill-color').value)
+                : { type: 'none' };
+        } else {
+            target[property] = value;
+        }
+        this.redrawCanvas();
+        
+        if (commit) {
+            this.commitStyleEdit();
+        }
+    }
+    
+    /**
+     * Turn a finished Shape Properties edit into a style operation holding the properties it changed
+     */
+    commitStyleEdit() {
+        const target = this.selectedObject;
+        const start = this.styleEditStart;
+        this.styleEditStart = null;
+        
+        if (!target || !start) return;
+        this.history.complete(target.id);
+        
+        const current = this.getShapeStyle(target);
+        const changed = Object.keys(current).filter(key => JSON.stringify(current[key]) !== JSON.stringify(start[key]));
+        if (changed.length === 0) return;
+        
+        const from = {};
+        const to = {};
+        changed.forEach(key => {
+            from[key] = start[key];
+            to[key] = current[key];
+        });
+        
+        const styleAction = {
+            id: `style-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type: 'style',
+            targetId: target.id,
+            from: from,
+            to: to
+        };
+        
+        this.recordOperation('style', styleAction, { isLocal: true });
+        
+        if (window.socketManager) {
+            window.socketManager.emitStyleObject(styleAction);
+        }
+    }
+    
+    setPaintSettings(changes) {
+        if (changes.type !== undefined && !PaintStyle.TYPES.includes(changes.type)) return;
+        if (changes.pattern !== undefined && !PaintStyle.PATTERNS.includes(changes.pattern)) return;
+        this.paintSettings = { ...this.paintSettings, ...changes };
+        
+        if (changes.angle !== undefined) {
+            document.getElementById('paint-angle-value').textContent = `${changes.angle}°`;
+        }
+        if (changes.patternSize !== undefined) {
+            document.getElementById('paint-pattern-size-value').textContent = `${changes.patternSize}px`;
+        }
+        if (changes.type !== undefined) {
+            this.updatePaintOptions();
+        }
+    }
+    
+    // Show the controls the selected paint type uses
+    updatePaintOptions() {
+        const type = this.paintSettings.type;
+        const gradient = type === 'linear' || type === 'radial' || type === 'conic';
+        
+        document.getElementById('paint-gradient-options').classList.toggle('hidden', !gradient);
+        document.getElementById('paint-angle-row').classList.toggle('hidden', type === 'radial');
+        document.getElementById('paint-pattern-options').classList.toggle('hidden', type !== 'pattern');
+        document.getElementById('paint-image-options').classList.toggle('hidden', type !== 'image');
+        
+        if (gradient) {
+            this.renderGradientStops();
+        }
+    }
+    
+    /**
+     * One row per gradient stop: its color, its position along the gradient and a remove button;
+     * a gradient keeps at least two stops
+     */
+    renderGradientStops() {
+        const container = document.getElementById('gradient-stops');
+        const stops = this.paintSettings.stops;
+        container.innerHTML = '';
+        
+        stops.forEach((stop, index) => {
+            const row = document.createElement('div');
+            row.className = 'gradient-stop';
+            
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = stop.color;
+            colorInput.addEventListener('input', (e) => {
+                stops[index].color = e.target.value;
+            });
+            
+            const offsetInput = document.createElement('input');
+            offsetInput.type = 'range';
+            offsetInput.min = '0';
+            offsetInput.max = '100';
+            offsetInput.value = String(Math.round(stop.offset * 100));
+            offsetInput.addEventListener('input', (e) => {
+                stops[index].offset = parseInt(e.target.value) / 100;
+            });
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'gradient-stop-remove';
+            removeButton.title = 'Remove stop';
+            removeButton.innerHTML = '<i class="fas fa-times"></i>';
+            removeButton.disabled = stops.length <= 2;
+            removeButton.addEventListener('click', () => {
+                stops.splice(index, 1);
+                this.renderGradientStops();
+            });
+            
+            row.append(colorInput, offsetInput, removeButton);
+            container.appendChild(row);
+        });
+        
+        document.getElementById('gradient-stop-add').disabled = stops.length >= PaintStyle.MAX_STOPS;
+    }
+    
+    addGradientStop() {
+        const stops = this.paintSettings.stops;
+        if (stops.length >= PaintStyle.MAX_STOPS) return;
+        
+        stops.push({ offset: 0.5, color: this.currentColor });
+        this.renderGradientStops();
+    }
+    
+    handlePaintImageUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            this.setPaintSettings({ imageSrc: event.target.result });
+            document.getElementById('paint-image-name').textContent = file.name;
+        };
+        reader.readAsDataURL(file);
+        
+        // Reset file input
+        e.target.value = '';
+    }
+    
     updateBrushPreview() {
         const preview = document.getElementById('brush-preview');
         if (preview) {
@@ -1862,30 +2824,25 @@ class DrawingCanvas {
     
     // ===== COORDINATE METHODS =====
     
-    getMouseCoordinates(e) {
+    /**
+     * Canvas coordinates of a pointer event; pens add their pressure, which mice and
+     * fingers don't report meaningfully
+     */
+    getPointerCoordinates(e) {
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = this.canvas.width / rect.width;
         const scaleY = this.canvas.height / rect.height;
         
-        return {
+        const coords = {
             x: (e.clientX - rect.left) * scaleX,
             y: (e.clientY - rect.top) * scaleY,
             width: this.brushSize,
             tool: this.currentTool
         };
-    }
-    
-    getTouchCoordinates(touch) {
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        
-        return {
-            x: (touch.clientX - rect.left) * scaleX,
-            y: (touch.clientY - rect.top) * scaleY,
-            width: this.brushSize,
-            tool: this.currentTool
-        };
+        if (e.pointerType === 'pen') {
+            coords.pressure = e.pressure;
+        }
+        return coords;
     }
     
     updateCursor(coords) {
@@ -1921,54 +2878,120 @@ class DrawingCanvas {
     // ===== HISTORY MANAGEMENT =====
     
     initializeHistory() {
-        this.addToHistory();
+        this.updateUndoRedoButtons();
     }
     
-    addToHistory() {
-        // Remove future history if we're not at the end
-        if (this.historyIndex < this.strokeHistory.length - 1) {
-            this.strokeHistory = this.strokeHistory.slice(0, this.historyIndex + 1);
-        }
+    /**
+     * Append an operation to the log and refresh the live model derived from it
+     */
+    recordOperation(type, data, options = {}) {
+        const entry = this.history.record(type, data, options);
+        this.rebuildModel();
+        this.updateUndoRedoButtons();
+        return entry;
+    }
+    
+    /**
+     * Derive live strokes, shapes, text and images from the operation log
+     */
+    rebuildModel() {
+        this.localStrokes.clear();
+        this.remoteStrokes.clear();
+        this.objects = [];
+        this.textElements = [];
+        this.images = [];
+        this.liveIds = new Set();
         
-        // Take snapshot of current canvas
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        this.strokeHistory.push(imageData);
-        this.historyIndex++;
+        // Moved objects are replayed from their geometry before the first move
+        this.history.origins.forEach((origin, targetId) => {
+            const target = this.history.get(targetId);
+            if (target) {
+                Object.assign(target.data, origin);
+            }
+        });
         
-        // Limit history size
-        if (this.strokeHistory.length > this.maxHistorySize) {
-            this.strokeHistory.shift();
-            this.historyIndex--;
-        }
+        this.history.entries.forEach(entry => {
+            if (entry.undone) return;
+            
+            const data = entry.data;
+            switch (entry.type) {
+                case 'stroke':
+                    (entry.isLocal ? this.localStrokes : this.remoteStrokes).set(data.id, data);
+                    break;
+                case 'shape':
+                    this.objects.push(data);
+                    break;
+                case 'text':
+                    this.textElements.push(data);
+                    break;
+                case 'image':
+                    this.images.push(data);
+                    break;
+                case 'fill':
+                    break;
+                case 'clear':
+                    this.localStrokes.clear();
+                    this.remoteStrokes.clear();
+                    this.objects = [];
+                    this.textElements = [];
+                    this.images = [];
+                    this.liveIds.clear();
+                    return;
+                case 'move':
+                case 'style': {
+                    const target = this.history.get(data.targetId);
+                    if (target) {
+                        Object.assign(target.data, data.to);
+                    }
+                    return;
+                }
+                case 'delete':
+                    this.removeFromModel(data.targetId);
+                    return;
+            }
+            
+            this.liveIds.add(data.id);
+        });
         
-        this.updateUndoRedoButtons();
+        if (this.selectedObject && !this.liveIds.has(this.selectedObject.id)) {
+            this.clearSelection();
+        }
+    }
+    
+    removeFromModel(id) {
+        this.localStrokes.delete(id);
+        this.remoteStrokes.delete(id);
+        this.objects = this.objects.filter(obj => obj.id !== id);
+        this.textElements = this.textElements.filter(obj => obj.id !== id);
+        this.images = this.images.filter(obj => obj.id !== id);
+        this.liveIds.delete(id);
     }
     
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            const imageData = this.strokeHistory[this.historyIndex];
-            this.ctx.putImageData(imageData, 0, 0);
-            this.updateUndoRedoButtons();
-            
-            // Emit undo to server
-            if (window.socketManager) {
-                window.socketManager.emitUndo();
-            }
+        const entry = this.history.undoLocal();
+        if (!entry) return;
+        
+        this.rebuildModel();
+        this.redrawCanvas();
+        this.updateUndoRedoButtons();
+        
+        // Emit undo to server
+        if (window.socketManager) {
+            window.socketManager.emitUndo(entry.id);
         }
     }
     
     redo() {
-        if (this.historyIndex < this.strokeHistory.length - 1) {
-            this.historyIndex++;
-            const imageData = this.strokeHistory[this.historyIndex];
-            this.ctx.putImageData(imageData, 0, 0);
-            this.updateUndoRedoButtons();
-            
-            // Emit redo to server
-            if (window.socketManager) {
-                window.socketManager.emitRedo();
-            }
+        const entry = this.history.redoLocal();
+        if (!entry) return;
+        
+        this.rebuildModel();
+        this.redrawCanvas();
+        this.updateUndoRedoButtons();
+        
+        // Emit redo to server
+        if (window.socketManager) {
+            window.socketManager.emitRedo({ actionId: entry.id });
         }
     }
     
@@ -1976,8 +2999,8 @@ class DrawingCanvas {
         const undoBtn = document.getElementById('undo-btn');
         const redoBtn = document.getElementById('redo-btn');
         
-        if (undoBtn) undoBtn.disabled = this.historyIndex <= 0;
-        if (redoBtn) redoBtn.disabled = this.historyIndex >= this.strokeHistory.length - 1;
+        if (undoBtn) undoBtn.disabled = !this.history.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.history.canRedo();
     }
     
     // ===== LAYER MANAGEMENT =====
@@ -1986,28 +3009,260 @@ class DrawingCanvas {
         this.updateLayersList();
     }
     
+    // Adds, deletes and merges are applied when the server sends them back, so a refused one changes nothing
     addLayer() {
         const newLayer = {
-            id: `layer-${Date.now()}`,
+            id: `layer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
             name: `Layer ${this.layers.length + 1}`,
             visible: true,
             locked: false,
             opacity: 1,
+            blendMode: 'normal',
             order: this.layers.length
         };
         
-        this.layers.push(newLayer);
-        this.setActiveLayer(newLayer.id);
-        this.updateLayersList();
-        
-        // Emit to server
+        // The new layer becomes active once it exists
+        this.requestedLayerIds.add(newLayer.id);
         if (window.socketManager) {
             window.socketManager.emitAddLayer(newLayer);
+        } else {
+            this.handleLayerAdded(newLayer);
         }
     }
     
-    setActiveLayer(layerId) {
-        this.activeLayer = layerId;
+    updateLayer(layerId, changes) {
+        if (!this.applyLayerChanges(layerId, changes)) return;
+        
+        // Emit to server
+        if (window.socketManager) {
+            window.socketManager.emitUpdateLayer(layerId, changes);
+        }
+    }
+    
+    applyLayerChanges(layerId, changes) {
+        const layer = this.layers.find(l => l.id === layerId);
+        if (!layer) return false;
+        
+        Object.assign(layer, changes);
+        this.updateLayersList();
+        
+        // Visibility, opacity and blending only affect compositing, not the layer surfaces
+        this.compositeLayers();
+        return true;
+    }
+    
+    renameLayer(layerId) {
+        const layer = this.layers.find(l => l.id === layerId);
+        if (!layer) return;
+        
+        const name = prompt('Layer name:', layer.name);
+        if (name && name.trim() && name.trim() !== layer.name) {
+            this.updateLayer(layerId, { name: name.trim().slice(0, 64) });
+        }
+    }
+    
+    deleteLayer(layerId) {
+        const index = this.layers.findIndex(l => l.id === layerId);
+        if (this.layers.length <= 1 || index === -1) return;
+        
+        // Empty layers are simply removed; otherwise the user decides what happens to the drawings
+        let content = 'reassign';
+        const hasContent = this.history.entries.some(entry => this.isLayerContent(entry, [layerId]));
+        if (hasContent && confirm(`"${this.layers[index].name}" has drawings on it. Delete them too?\n\nOK deletes the drawings, Cancel moves them to the layer below.`)) {
+            content = 'delete';
+        }
+        
+        if (window.socketManager) {
+            window.socketManager.emitDeleteLayer(layerId, content);
+        } else {
+            // Same target the server picks: the layer below, or above for the bottom layer
+            this.removeLayer(layerId, content, this.layers[index > 0 ? index - 1 : 1].id);
+        }
+    }
+    
+    removeLayer(layerId, content, targetLayerId) {
+        if (!this.layers.some(l => l.id === layerId)) return false;
+        
+        if (content === 'delete') {
+            this.history.removeWhere(entry => this.isLayerContent(entry, [layerId]));
+        } else {
+            this.reassignLayerContent([layerId], targetLayerId);
+        }
+        
+        this.removeLayers([layerId], targetLayerId);
+        return true;
+    }
+    
+    mergeLayerDown(layerId) {
+        const index = this.layers.findIndex(l => l.id === layerId);
+        if (index < 1) return;
+        
+        this.mergeLayers([layerId], this.layers[index - 1].id);
+    }
+    
+    /**
+     * Merge every visible layer into the lowest visible one
+     */
+    mergeVisibleLayers() {
+        const visibleLayers = this.layers.filter(l => l.visible);
+        if (visibleLayers.length < 2) return;
+        
+        this.mergeLayers(visibleLayers.slice(1).map(l => l.id), visibleLayers[0].id);
+    }
+    
+    mergeLayers(sourceIds, targetLayerId) {
+        if (window.socketManager) {
+            window.socketManager.emitMergeLayers(sourceIds, targetLayerId);
+        } else {
+            this.applyLayerMerge(sourceIds, targetLayerId);
+        }
+    }
+    
+    applyLayerMerge(sourceIds, targetLayerId) {
+        if (!this.layers.some(l => l.id === targetLayerId)) return;
+        
+        this.reassignLayerContent(sourceIds, targetLayerId);
+        this.removeLayers(sourceIds, targetLayerId);
+    }
+    
+    isLayerContent(entry, layerIds) {
+        return ['stroke', 'shape', 'text', 'image', 'fill'].includes(entry.type) &&
+            layerIds.includes(this.resolveLayerId(entry.data.layerId));
+    }
+    
+    reassignLayerContent(layerIds, targetLayerId) {
+        this.history.entries.forEach(entry => {
+            if (this.isLayerContent(entry, layerIds)) {
+                entry.data.layerId = targetLayerId;
+            }
+        });
+    }
+    
+    removeLayers(layerIds, fallbackLayerId) {
+        this.layers = this.layers.filter(l => !layerIds.includes(l.id));
+        this.layers.forEach((layer, index) => {
+            layer.order = index;
+        });
+        
+        if (layerIds.includes(this.activeLayer)) {
+            this.setActiveLayer(this.layers.some(l => l.id === fallbackLayerId) ? fallbackLayerId : this.layers[0].id);
+        }
+        
+        layerIds.forEach(layerId => this.layerSurfaces.delete(layerId));
+        this.history.clearCheckpoints();
+        this.rebuildModel();
+        this.updateLayersList();
+        this.updateUndoRedoButtons();
+        this.redrawCanvas();
+    }
+    
+    /**
+     * Move a layer one step up (+1) or down (-1) in the stack
+     */
+    moveLayer(layerId, direction) {
+        const index = this.layers.findIndex(l => l.id === layerId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.layers.length) return;
+        
+        const order = this.layers.map(l => l.id);
+        [order[index], order[target]] = [order[target], order[index]];
+        this.applyLayerOrder(order);
+        
+        // Emit to server
+        if (window.socketManager) {
+            window.socketManager.emitReorderLayers(order);
+        }
+    }
+    
+    applyLayerOrder(order) {
+        const layers = order.map(id => this.layers.find(l => l.id === id)).filter(Boolean);
+        if (layers.length !== this.layers.length) return;
+        
+        this.layers = layers;
+        this.layers.forEach((layer, index) => {
+            layer.order = index;
+        });
+        
+        this.updateLayersList();
+        this.compositeLayers();
+    }
+    
+    isLayerLocked(layerId) {
+        const layer = this.layers.find(l => l.id === layerId);
+        return layer ? layer.locked : false;
+    }
+    
+    // ===== LAYER COMPOSITING =====
+    
+    /**
+     * Items on a layer that no longer exists are painted on the bottom layer
+     */
+    resolveLayerId(layerId) {
+        return this.layers.some(l => l.id === layerId) ? layerId : this.layers[0].id;
+    }
+    
+    getLayerSurface(layerId) {
+        const id = this.resolveLayerId(layerId);
+        let surface = this.layerSurfaces.get(id);
+        
+        if (!surface || surface.canvas.width !== this.canvas.width || surface.canvas.height !== this.canvas.height) {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.canvas.width;
+            canvas.height = this.canvas.height;
+            
+            const ctx = canvas.getContext('2d');
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.imageSmoothingEnabled = true;
+            
+            surface = { canvas, ctx };
+            this.layerSurfaces.set(id, surface);
+        }
+        return surface;
+    }
+    
+    /**
+     * Run drawing code against a layer's surface; the drawing methods all paint on this.ctx
+     */
+    withLayerContext(layerId, paint) {
+        const mainCtx = this.ctx;
+        this.ctx = this.getLayerSurface(layerId).ctx;
+        try {
+            return paint();
+        } finally {
+            this.ctx = mainCtx;
+        }
+    }
+    
+    /**
+     * Blend the layer surfaces onto the visible canvas, bottom to top
+     */
+    compositeLayers() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        this.layers.forEach(layer => {
+            if (!layer.visible) return;
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = layer.opacity !== undefined ? layer.opacity : 1;
+            this.ctx.globalCompositeOperation = !layer.blendMode || layer.blendMode === 'normal' ? 'source-over' : layer.blendMode;
+            this.ctx.drawImage(this.getLayerSurface(layer.id).canvas, 0, 0);
+            this.ctx.restore();
+        });
+        
+        // Redraw temporary shape if exists
+        if (this.tempShape) {
+            this.drawShape(this.tempShape, true);
+        }
+        
+        // Redraw selection if exists
+        if (this.selectedObject) {
+            this.drawSelectionBox(this.selectedObject);
+        }
+    }
+    
+    setActiveLayer(layerId) {
+        this.activeLayer = layerId;
         this.updateLayersList();
         
         // Emit to server
@@ -2022,6 +3277,15 @@ class DrawingCanvas {
         
         layersList.innerHTML = '';
         
+        // Reflect the active layer's compositing settings
+        const activeLayer = this.layers.find(l => l.id === this.activeLayer);
+        if (activeLayer) {
+            const opacityInput = document.getElementById('layer-opacity');
+            const blendSelect = document.getElementById('layer-blend-mode');
+            if (opacityInput) opacityInput.value = Math.round((activeLayer.opacity !== undefined ? activeLayer.opacity : 1) * 100);
+            if (blendSelect) blendSelect.value = activeLayer.blendMode || 'normal';
+        }
+        
         // Sort layers by order (reverse for display)
         const sortedLayers = [...this.layers].sort((a, b) => b.order - a.order);
         
@@ -2032,20 +3296,29 @@ class DrawingCanvas {
                 <div class="layer-visibility">
                     <i class="fas fa-${layer.visible ? 'eye' : 'eye-slash'}"></i>
                 </div>
-                <span class="layer-name">${layer.name}</span>
+                <span class="layer-name" title="Double-click to rename"></span>
                 <div class="layer-actions">
+                    <button class="layer-action-btn" data-action="up" title="Move Layer Up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="layer-action-btn" data-action="down" title="Move Layer Down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="layer-action-btn" data-action="lock" title="${layer.locked ? 'Unlock Layer' : 'Lock Layer'}">
+                        <i class="fas fa-${layer.locked ? 'lock' : 'lock-open'}"></i>
+                    </button>
                     <button class="layer-action-btn" data-action="delete" title="Delete Layer">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             `;
+            // Layer names come from other users, so they are never parsed as HTML
+            layerElement.querySelector('.layer-name').textContent = layer.name;
             
             // Toggle visibility
             layerElement.querySelector('.layer-visibility').addEventListener('click', (e) => {
                 e.stopPropagation();
-                layer.visible = !layer.visible;
-                this.updateLayersList();
-                this.redrawCanvas();
+                this.updateLayer(layer.id, { visible: !layer.visible });
             });
             
             // Set active layer
@@ -2053,17 +3326,33 @@ class DrawingCanvas {
                 this.setActiveLayer(layer.id);
             });
             
+            // Rename layer
+            layerElement.querySelector('.layer-name').addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                this.renameLayer(layer.id);
+            });
+            
+            // Reorder layer
+            layerElement.querySelector('[data-action="up"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.moveLayer(layer.id, 1);
+            });
+            
+            layerElement.querySelector('[data-action="down"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.moveLayer(layer.id, -1);
+            });
+            
+            // Lock layer
+            layerElement.querySelector('[data-action="lock"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.updateLayer(layer.id, { locked: !layer.locked });
+            });
+            
             // Delete layer
             layerElement.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (this.layers.length > 1) {
-                    this.layers = this.layers.filter(l => l.id !== layer.id);
-                    if (this.activeLayer === layer.id) {
-                        this.setActiveLayer(this.layers[0].id);
-                    }
-                    this.updateLayersList();
-                    this.redrawCanvas();
-                }
+                this.deleteLayer(layer.id);
             });
             
             layersList.appendChild(layerElement);
@@ -2071,8 +3360,30 @@ class DrawingCanvas {
     }
     
     handleLayerAdded(layer) {
+        if (this.layers.some(l => l.id === layer.id)) return;
+        
         this.layers.push(layer);
-        this.updateLayersList();
+        if (this.requestedLayerIds.delete(layer.id)) {
+            this.setActiveLayer(layer.id);
+        } else {
+            this.updateLayersList();
+        }
+    }
+    
+    handleLayerUpdated(data) {
+        this.applyLayerChanges(data.layerId, data.changes);
+    }
+    
+    handleLayerDeleted(data) {
+        this.removeLayer(data.layerId, data.content, data.targetLayerId);
+    }
+    
+    handleLayersMerged(data) {
+        this.applyLayerMerge(data.sourceIds, data.targetLayerId);
+    }
+    
+    handleLayersReordered(data) {
+        this.applyLayerOrder(data.order);
     }
     
     handleActiveLayerChanged(layerId) {
@@ -2170,9 +3481,11 @@ class DrawingCanvas {
             this.copiedObject = JSON.parse(JSON.stringify(this.selectedObject));
             this.copiedObject.id = `copy-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
             // Offset the copy position
-            this.copiedObject.x += 20;
-            this.copiedObject.y += 20;
-            if (this.copiedObject.startX) {
+            if (this.copiedObject.x !== undefined) {
+                this.copiedObject.x += 20;
+                this.copiedObject.y += 20;
+            }
+            if (this.copiedObject.startX !== undefined) {
                 this.copiedObject.startX += 20;
                 this.copiedObject.endX += 20;
                 this.copiedObject.startY += 20;
@@ -2183,16 +3496,24 @@ class DrawingCanvas {
     
     pasteObject() {
         if (this.copiedObject) {
-            if (this.copiedObject.type === 'text') {
-                this.textElements.push(this.copiedObject);
-            } else if (this.copiedObject.type === 'shape') {
-                this.objects.push(this.copiedObject);
-            } else if (this.copiedObject.type === 'image') {
-                this.images.push(this.copiedObject);
-            }
+            // Every paste is a new object with its own id
+            const pasted = JSON.parse(JSON.stringify(this.copiedObject));
+            pasted.id = `copy-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            
+            this.recordOperation(pasted.type, pasted, { isLocal: true });
             this.redrawCanvas();
-            this.selectedObject = this.copiedObject;
+            this.selectedObject = pasted;
             this.drawSelectionBox(this.selectedObject);
+            
+            if (window.socketManager) {
+                if (pasted.type === 'shape') {
+                    window.socketManager.emitDrawShape(pasted);
+                } else if (pasted.type === 'text') {
+                    window.socketManager.emitAddText(pasted);
+                } else if (pasted.type === 'image') {
+                    window.socketManager.emitAddImage(pasted);
+                }
+            }
         }
     }
     
@@ -2205,16 +3526,19 @@ class DrawingCanvas {
     
     deleteSelectedObject() {
         if (this.selectedObject) {
-            if (this.selectedObject.type === 'text') {
-                this.textElements = this.textElements.filter(obj => obj.id !== this.selectedObject.id);
-            } else if (this.selectedObject.type === 'shape') {
-                this.objects = this.objects.filter(obj => obj.id !== this.selectedObject.id);
-            } else if (this.selectedObject.type === 'image') {
-                this.images = this.images.filter(obj => obj.id !== this.selectedObject.id);
-            }
+            const deleteAction = {
+                id: `delete-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                type: 'delete',
+                targetId: this.selectedObject.id
+            };
+            
             this.clearSelection();
+            this.recordOperation('delete', deleteAction, { isLocal: true });
             this.redrawCanvas();
-            this.addToHistory();
+            
+            if (window.socketManager) {
+                window.socketManager.emitDeleteObject(deleteAction);
+            }
         }
     }
     
@@ -2240,25 +3564,32 @@ class DrawingCanvas {
         // Update rulers
         this.updateRulers();
         
-        // Redraw everything
+        // Checkpoints no longer match the canvas size; redraw everything from the log
+        this.history.clearCheckpoints();
         this.redrawAllStrokes();
     }
     
     clearCanvas() {
+        if (window.socketManager && !window.socketManager.can('clear')) return;
+        
         if (confirm('Are you sure you want to clear the entire canvas? This will clear for all users.')) {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.localStrokes.clear();
-            this.remoteStrokes.clear();
-            this.objects = [];
-            this.textElements = [];
-            this.images = [];
-            this.clearSelection();
-            this.addToHistory();
-            
-            // Emit clear to server
-            if (window.socketManager) {
-                window.socketManager.emitClearCanvas();
-            }
+            this.commitClear();
+        }
+    }
+    
+    commitClear() {
+        const clearAction = {
+            id: `clear-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type: 'clear'
+        };
+        
+        this.clearSelection();
+        this.recordOperation('clear', clearAction, { isLocal: true });
+        this.redrawCanvas();
+        
+        // Emit clear to server
+        if (window.socketManager) {
+            window.socketManager.emitClearCanvas(clearAction);
         }
     }
     
@@ -2267,148 +3598,211 @@ class DrawingCanvas {
         this.redrawAllStrokes();
     }
     
+    /**
+     * Replay the operation log onto the layer surfaces, starting from the nearest raster checkpoint,
+     * then composite them onto the canvas
+     */
     redrawAllStrokes() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Redraw all local strokes
-        this.localStrokes.forEach(stroke => {
-            if (stroke.points && stroke.points.length > 0 && this.isLayerVisible(stroke.layerId)) {
-                // Draw first point
-                this.drawPoint(
-                    stroke.points[0].x, stroke.points[0].y,
-                    stroke.color, stroke.width, stroke.tool
-                );
-                
-                // Draw lines between points
-                for (let i = 1; i < stroke.points.length; i++) {
-                    this.drawLine(
-                        stroke.points[i-1].x, stroke.points[i-1].y,
-                        stroke.points[i].x, stroke.points[i].y,
-                        stroke.color, stroke.width, stroke.tool
-                    );
-                }
-            }
+        const entries = this.history.entries;
+        const renderStart = this.history.getRenderStart();
+        const settledUntil = this.history.getFirstPendingPosition();
+        const checkpoint = this.history.getCheckpoint(renderStart);
+        
+        // Clear layer surfaces
+        this.layers.forEach(layer => {
+            const surface = this.getLayerSurface(layer.id);
+            surface.ctx.clearRect(0, 0, surface.canvas.width, surface.canvas.height);
         });
         
-        // Redraw all remote strokes
-        this.remoteStrokes.forEach(stroke => {
-            if (stroke.points && stroke.points.length > 0 && this.isLayerVisible(stroke.layerId)) {
-                // Draw first point
-                this.drawPoint(
-                    stroke.points[0].x, stroke.points[0].y,
-                    stroke.color, stroke.width, stroke.tool
-                );
-                
-                // Draw lines between points
-                for (let i = 1; i < stroke.points.length; i++) {
-                    this.drawLine(
-                        stroke.points[i-1].x, stroke.points[i-1].y,
-                        stroke.points[i].x, stroke.points[i].y,
-                        stroke.color, stroke.width, stroke.tool
-                    );
+        let position = renderStart;
+        if (checkpoint) {
+            // Checkpoints hold one ImageData per layer
+            checkpoint.imageData.forEach((imageData, layerId) => {
+                if (this.layerSurfaces.has(layerId)) {
+                    this.layerSurfaces.get(layerId).ctx.putImageData(imageData, 0, 0);
                 }
-            }
-        });
-        
-        // Redraw all objects
-        this.objects.forEach(obj => {
-            if (obj.type === 'shape' && this.isLayerVisible(obj.layerId)) {
-                this.drawShape(obj.shape, obj.startX, obj.startY, obj.endX, obj.endY, obj.color, obj.width);
-            }
-        });
+            });
+            position = checkpoint.position;
+        }
         
-        // Redraw all text elements
-        this.textElements.forEach(textElement => {
-            if (this.isLayerVisible(textElement.layerId)) {
-                this.drawTextElement(textElement);
+        this.renderIncomplete = false;
+        for (; position < entries.length; position++) {
+            // Only settled, fully rendered prefixes of the log are worth keeping as checkpoints
+            if (position <= settledUntil && !this.renderIncomplete && this.history.shouldCaptureCheckpoint(position)) {
+                this.history.captureCheckpoint(position, this.captureLayerSurfaces());
             }
-        });
+            
+            this.renderOperation(entries[position]);
+        }
         
-        // Redraw all images
-        this.images.forEach(imageElement => {
-            if (this.isLayerVisible(imageElement.layerId)) {
-                this.drawImageElement(imageElement);
-            }
+        this.compositeLayers();
+    }
+    
+    captureLayerSurfaces() {
+        const snapshot = new Map();
+        this.layers.forEach(layer => {
+            const surface = this.getLayerSurface(layer.id);
+            snapshot.set(layer.id, surface.ctx.getImageData(0, 0, surface.canvas.width, surface.canvas.height));
         });
-        
-        // Redraw temporary shape if exists
-        if (this.tempShape) {
-            this.drawShape(
-                this.tempShape.shape,
-                this.tempShape.startX,
-                this.tempShape.startY,
-                this.tempShape.endX,
-                this.tempShape.endY,
-                this.tempShape.color,
-                this.tempShape.width,
-                true
-            );
+        return snapshot;
+    }
+    
+    renderOperation(entry) {
+        const data = entry.data;
+        if (entry.undone || !this.liveIds.has(data.id)) {
+            return;
         }
         
-        // Redraw selection if exists
-        if (this.selectedObject) {
-            this.drawSelectionBox(this.selectedObject);
+        this.withLayerContext(data.layerId, () => this.paintOperation(entry));
+    }
+    
+    paintOperation(entry) {
+        const data = entry.data;
+        switch (entry.type) {
+            case 'stroke':
+                // A stroke still being drawn leaves its last segments to the live drawing
+                this.drawStroke(data, !entry.pending);
+                break;
+            case 'shape':
+                this.drawShape(data);
+                break;
+            case 'text':
+                this.drawTextElement(data);
+                break;
+            case 'image':
+                this.drawImageElement(data);
+                break;
+            case 'fill':
+                this.drawFill(data);
+                break;
         }
     }
     
-    isLayerVisible(layerId) {
-        const layer = this.layers.find(l => l.id === layerId);
-        return layer ? layer.visible : true;
+    drawStroke(stroke, final = true) {
+        if (!stroke.points || stroke.points.length === 0) return;
+        
+        // Draw first point
+        this.drawPoint(stroke.points[0], stroke);
+        
+        StrokeGeometry.getSegments(stroke.points, stroke.smoothing, { final }).forEach(segment => {
+            this.drawSegment(segment, stroke);
+        });
+    }
+    
+    /**
+     * Add points to a stroke being drawn and draw the segments they complete; the same
+     * segments drawStroke would draw, so live and replayed strokes look alike
+     */
+    extendStroke(stroke, points, layerId) {
+        const start = StrokeGeometry.countSegments(stroke.points.length, stroke.smoothing, false);
+        stroke.points.push(...points);
+        
+        this.withLayerContext(layerId, () => {
+            StrokeGeometry.getSegments(stroke.points, stroke.smoothing, { start, final: false }).forEach(segment => {
+                this.drawSegment(segment, stroke);
+            });
+        });
+        this.compositeLayers();
+    }
+    
+    // Draw the segments held back until the stroke's last point was known
+    finishStroke(stroke) {
+        const start = StrokeGeometry.countSegments(stroke.points.length, stroke.smoothing, false);
+        this.withLayerContext(stroke.layerId, () => {
+            StrokeGeometry.getSegments(stroke.points, stroke.smoothing, { start, final: true }).forEach(segment => {
+                this.drawSegment(segment, stroke);
+            });
+        });
+        this.compositeLayers();
     }
     
     // ===== REMOTE DRAWING HANDLERS =====
     
     handleRemoteDrawStart(stroke) {
         this.hideWelcomeMessage();
-        this.remoteStrokes.set(stroke.id, stroke);
+        this.recordOperation('stroke', stroke, { pending: true, isLocal: this.isOwnAction(stroke) });
         
         // Draw the initial point
-        const startPoint = stroke.points[0];
-        this.drawPoint(
-            startPoint.x, startPoint.y,
-            stroke.color, stroke.width, stroke.tool
-        );
+        this.withLayerContext(stroke.layerId, () => this.drawPoint(stroke.points[0], stroke));
+        this.compositeLayers();
     }
     
     handleRemoteDrawMove(data) {
-        const stroke = this.remoteStrokes.get(data.strokeId);
+        this.handleRemoteDrawPoints(data.strokeId, [data.point]);
+    }
+    
+    /**
+     * Extend a remote stroke by a batch of points, compositing once for the whole batch
+     */
+    handleRemoteDrawPoints(strokeId, points) {
+        // Strokes from the user's other tabs are local ones
+        const stroke = this.remoteStrokes.get(strokeId) || this.localStrokes.get(strokeId);
         if (stroke && stroke.points.length > 0) {
-            const lastPoint = stroke.points[stroke.points.length - 1];
-            const currentPoint = data.point;
-            
-            // Draw line from last point to current point
-            this.drawLine(
-                lastPoint.x, lastPoint.y,
-                currentPoint.x, currentPoint.y,
-                stroke.color, stroke.width, stroke.tool
-            );
+            this.extendStroke(stroke, points, stroke.layerId);
             
-            // Add point to stroke
-            stroke.points.push(currentPoint);
+            // Points arriving for a stroke loaded as finished make later checkpoints stale
+            if (!this.history.isPending(stroke.id)) {
+                this.history.invalidateFrom(stroke.id);
+            }
         }
     }
     
-    handleRemoteDrawEnd(strokeId) {
-        // Stroke is complete, no additional action needed
+    /**
+     * A stroke was finished; points, when given, are its simplified final points, which
+     * replace what was drawn live, for the author as well as everyone else
+     */
+    handleRemoteDrawEnd(strokeId, points = null) {
+        const entry = this.history.get(strokeId);
+        if (!entry) return;
+        
+        if (points) {
+            entry.data.points = points;
+            this.history.complete(strokeId);
+            this.history.invalidateFrom(strokeId);
+            this.redrawCanvas();
+        } else if (this.history.isPending(strokeId)) {
+            this.finishStroke(entry.data);
+            this.history.complete(strokeId);
+        }
     }
     
     handleRemoteDrawShape(shapeData) {
-        this.objects.push(shapeData);
+        this.recordOperation('shape', shapeData, { isLocal: this.isOwnAction(shapeData) });
         this.redrawCanvas();
     }
     
     handleRemoteFillArea(fillData) {
-        this.fillArea(fillData.x, fillData.y, fillData.color);
+        this.recordOperation('fill', fillData, { isLocal: this.isOwnAction(fillData) });
+        this.withLayerContext(fillData.layerId, () => this.drawFill(fillData));
+        this.compositeLayers();
     }
     
     handleRemoteAddText(textData) {
-        this.textElements.push(textData);
+        this.recordOperation('text', textData, { isLocal: this.isOwnAction(textData) });
         this.redrawCanvas();
     }
     
     handleRemoteAddImage(imageData) {
-        this.images.push(imageData);
+        this.recordOperation('image', imageData, { isLocal: this.isOwnAction(imageData) });
+        this.redrawCanvas();
+    }
+    
+    handleRemoteMoveObject(moveData) {
+        this.recordOperation('move', moveData, { isLocal: this.isOwnAction(moveData) });
+        this.redrawCanvas();
+    }
+    
+    handleRemoteStyleObject(styleData) {
+        this.recordOperation('style', styleData, { isLocal: this.isOwnAction(styleData) });
+        this.redrawCanvas();
+        
+        if (this.selectedObject && this.selectedObject.id === styleData.targetId && !this.styleEditStart) {
+            this.updateShapeProperties();
+        }
+    }
+    
+    handleRemoteDeleteObject(deleteData) {
+        this.recordOperation('delete', deleteData, { isLocal: this.isOwnAction(deleteData) });
         this.redrawCanvas();
     }
     
@@ -2456,15 +3850,13 @@ class DrawingCanvas {
         });
     }
     
-    handleCanvasCleared() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.localStrokes.clear();
-        this.remoteStrokes.clear();
-        this.objects = [];
-        this.textElements = [];
-        this.images = [];
+    handleCanvasCleared(clearAction) {
+        // Our own clear comes back from the server and is already in the log
+        if (this.history.has(clearAction.id)) return;
+        
         this.clearSelection();
-        this.addToHistory();
+        this.recordOperation('clear', clearAction, { isLocal: this.isOwnAction(clearAction) });
+        this.redrawCanvas();
     }
     
     handleUserLeft(userId) {
@@ -2472,37 +3864,107 @@ class DrawingCanvas {
         this.drawRemoteCursors();
     }
     
+    /**
+     * Stop accepting edits (viewer role); anything in progress is dropped
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        if (readOnly) {
+            // The server refuses further events for the stroke, so it is finished here without a draw-end
+            if (this.currentStroke) {
+                this.history.complete(this.currentStroke.id);
+                this.currentStroke = null;
+            }
+            this.isDrawing = false;
+            this.tempShape = null;
+            this.cancelText();
+            this.clearSelection();
+            this.redrawCanvas();
+        }
+    }
+    
+    /**
+     * Show a raster render of the room while its history is still loading
+     */
+    showSnapshot(src) {
+        const img = new Image();
+        img.onload = () => {
+            // The history may have arrived first
+            if (this.history.entries.length > 0) return;
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.drawImage(img, 0, 0, this.canvas.width, this.canvas.height);
+        };
+        img.src = src;
+    }
+    
+    // WebP keeps the render small; browsers without it fall back to PNG
+    getSnapshot() {
+        return this.canvas.toDataURL('image/webp', 0.8);
+    }
+    
     handleInitialState(roomState) {
         if (roomState && roomState.strokes) {
-            roomState.strokes.forEach(stroke => {
-                if (stroke.type === 'stroke') {
-                    this.remoteStrokes.set(stroke.id, stroke);
-                } else if (stroke.type === 'shape') {
-                    this.objects.push(stroke);
-                } else if (stroke.type === 'text') {
-                    this.textElements.push(stroke);
-                } else if (stroke.type === 'image') {
-                    this.images.push(stroke);
+            // The server's action log becomes our operation log; undone actions stay so they can be redone
+            this.history.reset();
+            roomState.strokes.forEach(action => {
+                if (OperationHistory.TYPES.includes(action.type)) {
+                    this.history.record(action.type, action, { undone: !!action.undone, isLocal: this.isOwnAction(action) });
                 }
             });
+            this.history.restoreRedoStack(roomState.redoStack || []);
+            this.rebuildModel();
+            this.updateUndoRedoButtons();
             
             // Initialize layers from server
-            if (roomState.layers) {
-                this.layers = roomState.layers;
-                this.activeLayer = roomState.activeLayer;
+            if (roomState.layers && roomState.layers.length > 0) {
+                this.layers = [...roomState.layers].sort((a, b) => a.order - b.order);
+                if (!this.layers.some(l => l.id === this.activeLayer)) {
+                    this.activeLayer = this.layers[this.layers.length - 1].id;
+                }
                 this.updateLayersList();
+                
+                if (window.socketManager) {
+                    window.socketManager.emitSetActiveLayer(this.activeLayer);
+                }
             }
             
             this.redrawAllStrokes();
         }
     }
     
-    handleRemoteUndo(strokeId) {
-        this.undo();
+    // Undo history follows a signed-in user, so their actions from other tabs and sessions are ours to undo
+    isOwnAction(action) {
+        const currentUser = window.socketManager && window.socketManager.currentUser;
+        return !!(currentUser && action.userId === currentUser.id);
     }
     
-    handleRemoteRedo(stroke) {
-        this.redo();
+    /**
+     * Apply another user's undo as decided by the server; nothing is re-emitted
+     */
+    handleRemoteUndo(actionId) {
+        if (this.history.setUndone(actionId, true)) {
+            this.rebuildModel();
+            this.redrawCanvas();
+            this.updateUndoRedoButtons();
+        }
+    }
+    
+    /**
+     * Apply another user's redo; the action is added if this client never saw it
+     */
+    handleRemoteRedo(action) {
+        if (!action) return;
+        
+        if (!this.history.has(action.id)) {
+            if (!OperationHistory.TYPES.includes(action.type)) return;
+            this.history.record(action.type, action, { isLocal: this.isOwnAction(action) });
+        } else if (!this.history.setUndone(action.id, false)) {
+            return;
+        }
+        
+        this.rebuildModel();
+        this.redrawCanvas();
+        this.updateUndoRedoButtons();
     }
     
     // ===== UTILITY METHODS =====
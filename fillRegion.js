@@ -0,0 +1,94 @@
+/**
+ * Filled regions as run-length encoded masks, shared by the client and the server.
+ *
+ * The client that fills an area works out which pixels the fill covers, once, and sends
+ * the result as { x, y, width, height, runs }: the bounding box of the covered pixels and
+ * the lengths of alternating runs of uncovered and covered pixels across it, row by row,
+ * starting with an uncovered run (which may be 0). Everyone renders the stored region, so
+ * a fill looks the same on every client, in every redraw and for late joiners, whatever
+ * their canvas held when the fill arrived.
+ */
+class FillRegion {
+    // Runs a single region may have; keeps one fill well inside a socket message
+    static get MAX_RUNS() {
+        return 100000;
+    }
+
+    /**
+     * Region of the set pixels of a mask (one byte per pixel, row-major); null if none is set
+     */
+    static fromMask(mask, width, height) {
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (mask[row + x]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+
+        const runs = [];
+        let covered = false;
+        let length = 0;
+        for (let y = minY; y <= maxY; y++) {
+            const row = y * width;
+            for (let x = minX; x <= maxX; x++) {
+                if (Boolean(mask[row + x]) !== covered) {
+                    runs.push(length);
+                    covered = !covered;
+                    length = 0;
+                }
+                length++;
+            }
+        }
+        runs.push(length);
+
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, runs };
+    }
+
+    /**
+     * Call back with (x, y, length) for every covered span, split at row ends
+     */
+    static forEachSpan(region, callback) {
+        let offset = 0;
+        region.runs.forEach((length, index) => {
+            if (index % 2 === 1) {
+                let remaining = length;
+                while (remaining > 0) {
+                    const column = offset % region.width;
+                    const span = Math.min(remaining, region.width - column);
+                    callback(region.x + column, region.y + Math.floor(offset / region.width), span);
+                    offset += span;
+                    remaining -= span;
+                }
+            } else {
+                offset += length;
+            }
+        });
+    }
+
+    /**
+     * Whether runs are non-negative integers that add up to exactly the region's area
+     */
+    static isValid(region) {
+        let total = 0;
+        for (const length of region.runs) {
+            if (!Number.isInteger(length) || length < 0) return false;
+            total += length;
+        }
+        return total === region.width * region.height;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FillRegion };
+}
@@ -0,0 +1,162 @@
+/**
+ * Bucket fill masks for the canvas.
+ *
+ * Pixels are compared as premultiplied RGBA, so transparent pixels match each other
+ * whatever color they nominally hold, and the half-transparent edge of an anti-aliased
+ * line sits between the line and the paper instead of being a color of its own. A pixel
+ * matches the one clicked when no channel differs by more than the tolerance.
+ *
+ * 'contiguous' fills the matching area around the click with a scanline fill; 'global'
+ * takes every matching pixel on the canvas. Gap closing stops a contiguous fill from
+ * leaking through small breaks in sketchy line art: the lines are thickened by the gap
+ * size before filling, and the fill is grown back up to the real lines afterwards.
+ */
+class FloodFill {
+    static get MODES() {
+        return ['contiguous', 'global'];
+    }
+
+    static get DEFAULTS() {
+        return {
+            tolerance: 15, // percent of the channel range
+            mode: 'contiguous',
+            gapClose: 0 // pixels
+        };
+    }
+
+    /**
+     * Mask (one byte per pixel) of what a fill at (x, y) covers in this ImageData
+     */
+    static computeMask(imageData, x, y, options = {}) {
+        const { tolerance, mode, gapClose } = { ...FloodFill.DEFAULTS, ...options };
+        const { width, height } = imageData;
+        const startX = Math.floor(x);
+        const startY = Math.floor(y);
+        if (startX < 0 || startX >= width || startY < 0 || startY >= height) {
+            return new Uint8Array(width * height);
+        }
+
+        const matches = FloodFill.matchColor(imageData, startY * width + startX, tolerance);
+        if (mode === 'global') {
+            return matches;
+        }
+
+        const radius = Math.floor(gapClose / 2);
+        if (radius > 0) {
+            // Fill inside thickened lines, unless the click itself is that close to a line
+            const blocked = FloodFill.dilate(FloodFill.invert(matches), width, height, radius);
+            if (!blocked[startY * width + startX]) {
+                const fill = FloodFill.scanlineFill(FloodFill.invert(blocked), width, height, startX, startY);
+                const grown = FloodFill.dilate(fill, width, height, radius + 1);
+                for (let i = 0; i < grown.length; i++) {
+                    grown[i] &= matches[i];
+                }
+                return grown;
+            }
+        }
+
+        return FloodFill.scanlineFill(matches, width, height, startX, startY);
+    }
+
+    /**
+     * Pixels within tolerance of the pixel at `index`, compared as premultiplied RGBA
+     */
+    static matchColor(imageData, index, tolerance) {
+        const data = imageData.data;
+        const limit = Math.round(tolerance / 100 * 255);
+        const matches = new Uint8Array(imageData.width * imageData.height);
+
+        const offset = index * 4;
+        const targetAlpha = data[offset + 3];
+        const targetR = data[offset] * targetAlpha / 255;
+        const targetG = data[offset + 1] * targetAlpha / 255;
+        const targetB = data[offset + 2] * targetAlpha / 255;
+
+        for (let i = 0, p = 0; i < matches.length; i++, p += 4) {
+            const alpha = data[p + 3];
+            if (Math.abs(alpha - targetAlpha) > limit) continue;
+            if (Math.abs(data[p] * alpha / 255 - targetR) > limit) continue;
+            if (Math.abs(data[p + 1] * alpha / 255 - targetG) > limit) continue;
+            if (Math.abs(data[p + 2] * alpha / 255 - targetB) > limit) continue;
+            matches[i] = 1;
+        }
+        return matches;
+    }
+
+    /**
+     * Fill the matching pixels connected to (x, y) a row span at a time, seeding the rows
+     * above and below once per run of matching pixels
+     */
+    static scanlineFill(matches, width, height, x, y) {
+        const mask = new Uint8Array(width * height);
+        const stack = [y * width + x];
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            if (mask[index] || !matches[index]) continue;
+
+            const row = index - (index % width);
+            let left = index;
+            let right = index;
+            while (left > row && matches[left - 1] && !mask[left - 1]) left--;
+            while (right < row + width - 1 && matches[right + 1] && !mask[right + 1]) right++;
+            mask.fill(1, left, right + 1);
+
+            [row - width, row + width].forEach(neighbourRow => {
+                if (neighbourRow < 0 || neighbourRow >= mask.length) return;
+
+                let inRun = false;
+                for (let i = left; i <= right; i++) {
+                    const neighbour = neighbourRow + (i - row);
+                    if (matches[neighbour] && !mask[neighbour]) {
+                        if (!inRun) {
+                            stack.push(neighbour);
+                            inRun = true;
+                        }
+                    } else {
+                        inRun = false;
+                    }
+                }
+            });
+        }
+        return mask;
+    }
+
+    static invert(mask) {
+        const inverted = new Uint8Array(mask.length);
+        for (let i = 0; i < mask.length; i++) {
+            inverted[i] = mask[i] ? 0 : 1;
+        }
+        return inverted;
+    }
+
+    /**
+     * Grow a mask by `radius` pixels in every direction (a square), one axis at a time
+     * with running counts, so the cost doesn't depend on the radius
+     */
+    static dilate(mask, width, height, radius) {
+        const horizontal = new Uint8Array(mask.length);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let count = 0;
+            for (let x = 0; x < Math.min(radius, width); x++) count += mask[row + x];
+            for (let x = 0; x < width; x++) {
+                if (x + radius < width) count += mask[row + x + radius];
+                if (x - radius - 1 >= 0) count -= mask[row + x - radius - 1];
+                horizontal[row + x] = count > 0 ? 1 : 0;
+            }
+        }
+
+        const result = new Uint8Array(mask.length);
+        for (let x = 0; x < width; x++) {
+            let count = 0;
+            for (let y = 0; y < Math.min(radius, height); y++) count += horizontal[y * width + x];
+            for (let y = 0; y < height; y++) {
+                if (y + radius < height) count += horizontal[(y + radius) * width + x];
+                if (y - radius - 1 >= 0) count -= horizontal[(y - radius - 1) * width + x];
+                result[y * width + x] = count > 0 ? 1 : 0;
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * Operation-based History for the Collaborative Canvas
+ * Keeps an ordered log of typed drawing operations (local and remote) instead of raster snapshots.
+ * The canvas is rebuilt by replaying the log; periodic raster checkpoints make replay fast.
+ */
+class OperationHistory {
+    constructor(options = {}) {
+        // Ordered log of entries: { id, type, data, userId, isLocal, undone, pending }
+        this.entries = [];
+        this.entriesById = new Map();
+
+        // Ids of local operations undone by this client, most recent last
+        this.redoStack = [];
+
+        // Geometry and style of moved or restyled objects before their first change, so changes can be replayed
+        this.origins = new Map();
+
+        // Raster checkpoints: { position, imageData }, where position is the number of entries already painted
+        this.checkpoints = [];
+        this.checkpointInterval = options.checkpointInterval !== undefined ? options.checkpointInterval : 50;
+        this.maxCheckpoints = options.maxCheckpoints !== undefined ? options.maxCheckpoints : 4;
+    }
+
+    static get TYPES() {
+        return ['stroke', 'shape', 'text', 'image', 'fill', 'clear', 'move', 'style', 'delete'];
+    }
+
+    /**
+     * Append an operation to the log
+     */
+    record(type, data, options = {}) {
+        if (!OperationHistory.TYPES.includes(type)) {
+            throw new Error(`Unknown operation type: ${type}`);
+        }
+
+        if (this.entriesById.has(data.id)) {
+            return this.entriesById.get(data.id);
+        }
+
+        const entry = {
+            id: data.id,
+            type: type,
+            data: data,
+            userId: options.userId || data.userId || null,
+            isLocal: !!options.isLocal,
+            undone: !!options.undone,
+            pending: !!options.pending
+        };
+
+        // A new local action abandons whatever this client could still redo
+        if (entry.isLocal && !entry.undone) {
+            this.dropRedoStack();
+        }
+
+        if (type === 'move' || type === 'style') {
+            this.rememberOrigin(data.targetId, data.from);
+        }
+
+        this.entries.push(entry);
+        this.entriesById.set(entry.id, entry);
+        this.invalidateTarget(entry);
+        return entry;
+    }
+
+    get(id) {
+        return this.entriesById.get(id) || null;
+    }
+
+    has(id) {
+        return this.entriesById.has(id);
+    }
+
+    positionOf(id) {
+        const entry = this.entriesById.get(id);
+        return entry ? this.entries.indexOf(entry) : -1;
+    }
+
+    /**
+     * Mark an in-progress operation (e.g. a stroke being drawn) as finished
+     */
+    complete(id) {
+        const entry = this.entriesById.get(id);
+        if (entry) {
+            entry.pending = false;
+        }
+        return entry;
+    }
+
+    isPending(id) {
+        const entry = this.entriesById.get(id);
+        return !!(entry && entry.pending);
+    }
+
+    /**
+     * Mark a finished operation as being edited again (e.g. an object being dragged)
+     */
+    reopen(id) {
+        const entry = this.entriesById.get(id);
+        if (entry) {
+            entry.pending = true;
+            this.invalidateFrom(id);
+        }
+        return entry;
+    }
+
+    /**
+     * Flag an operation as undone or restored; returns the entry when its state changed
+     */
+    setUndone(id, undone) {
+        const entry = this.entriesById.get(id);
+        if (!entry || entry.undone === undone) {
+            return null;
+        }
+
+        entry.undone = undone;
+        this.invalidateFrom(id);
+        this.invalidateTarget(entry);
+        return entry;
+    }
+
+    /**
+     * Undo this client's most recent live operation
+     */
+    undoLocal() {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.isLocal && !entry.undone) {
+                this.setUndone(entry.id, true);
+                this.redoStack.push(entry.id);
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Redo the operation this client undid most recently
+     */
+    redoLocal() {
+        while (this.redoStack.length > 0) {
+            const entry = this.setUndone(this.redoStack.pop(), false);
+            if (entry) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    canUndo() {
+        return this.entries.some(entry => entry.isLocal && !entry.undone);
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Restore what this client can redo after the log was rebuilt from the server
+     */
+    restoreRedoStack(ids) {
+        this.redoStack = ids.filter(id => {
+            const entry = this.entriesById.get(id);
+            return entry && entry.isLocal && entry.undone;
+        });
+    }
+
+    dropRedoStack() {
+        if (this.redoStack.length === 0) return;
+
+        const abandoned = new Set(this.redoStack);
+        this.entries = this.entries.filter(entry => !abandoned.has(entry.id));
+        abandoned.forEach(id => this.entriesById.delete(id));
+        this.redoStack = [];
+        this.clearCheckpoints();
+    }
+
+    /**
+     * Remove operations from the log entirely (e.g. content of a deleted layer)
+     */
+    removeWhere(predicate) {
+        const removed = this.entries.filter(predicate);
+        if (removed.length === 0) return [];
+
+        const removedIds = new Set(removed.map(entry => entry.id));
+        this.entries = this.entries.filter(entry => !removedIds.has(entry.id));
+        removedIds.forEach(id => this.entriesById.delete(id));
+        this.redoStack = this.redoStack.filter(id => !removedIds.has(id));
+        this.clearCheckpoints();
+        return removed;
+    }
+
+    rememberOrigin(targetId, from = {}) {
+        const origin = this.origins.get(targetId) || {};
+        Object.keys(from).forEach(key => {
+            if (!(key in origin)) {
+                origin[key] = from[key];
+            }
+        });
+        this.origins.set(targetId, origin);
+    }
+
+    /**
+     * Position right after the last live clear; nothing before it is visible
+     */
+    getRenderStart() {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.type === 'clear' && !entry.undone) {
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Position of the first operation that is still being drawn
+     */
+    getFirstPendingPosition() {
+        const position = this.entries.findIndex(entry => entry.pending);
+        return position === -1 ? this.entries.length : position;
+    }
+
+    // ===== RASTER CHECKPOINTS =====
+
+    /**
+     * Latest checkpoint that can seed a replay starting at or after minPosition
+     */
+    getCheckpoint(minPosition = 0) {
+        let best = null;
+        this.checkpoints.forEach(checkpoint => {
+            if (checkpoint.position >= minPosition && (!best || checkpoint.position > best.position)) {
+                best = checkpoint;
+            }
+        });
+        return best;
+    }
+
+    shouldCaptureCheckpoint(position) {
+        if (this.checkpointInterval <= 0 || position === 0 || position % this.checkpointInterval !== 0) {
+            return false;
+        }
+        return !this.checkpoints.some(checkpoint => checkpoint.position === position);
+    }
+
+    captureCheckpoint(position, imageData) {
+        this.checkpoints.push({ position, imageData });
+        this.checkpoints.sort((a, b) => a.position - b.position);
+
+        while (this.checkpoints.length > this.maxCheckpoints) {
+            this.checkpoints.shift();
+        }
+    }
+
+    /**
+     * Drop checkpoints that already include the given operation
+     */
+    invalidateFrom(id) {
+        const position = this.positionOf(id);
+        if (position === -1) return;
+
+        this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.position <= position);
+    }
+
+    /**
+     * Moves, style changes and deletes change how an earlier operation renders
+     */
+    invalidateTarget(entry) {
+        if (entry.type === 'move' || entry.type === 'style' || entry.type === 'delete') {
+            this.invalidateFrom(entry.data.targetId);
+        }
+    }
+
+    clearCheckpoints() {
+        this.checkpoints = [];
+    }
+
+    reset() {
+        this.entries = [];
+        this.entriesById.clear();
+        this.redoStack = [];
+        this.origins.clear();
+        this.clearCheckpoints();
+    }
+}
@@ -3,11 +3,55 @@ class CollaborativeCanvasApp {
         this.drawingCanvas = null;
         this.socketManager = null;
         this.userName = '';
+        this.authToken = null;
+        this.roomId = this.getRoomIdFromUrl();
         this.init();
     }
     
-    init() {
-        this.showUsernameModal();
+    async init() {
+        if (!await this.restoreSession()) {
+            this.showUsernameModal();
+        }
+    }
+    
+    /**
+     * Skip the name prompt when the stored token still belongs to an account
+     */
+    async restoreSession() {
+        const token = localStorage.getItem(SocketManager.TOKEN_KEY);
+        if (!token) return false;
+        
+        try {
+            const response = await fetch('/api/auth/me', {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                localStorage.removeItem(SocketManager.TOKEN_KEY);
+                return false;
+            }
+            
+            const account = await response.json();
+            this.authToken = token;
+            this.userName = account.name;
+            this.startApplication();
+            return true;
+        } catch (error) {
+            console.error('Could not restore session:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Resolve the room from /r/<room-id> or ?room=<room-id>, falling back to the shared default room
+     */
+    getRoomIdFromUrl() {
+        const pathMatch = window.location.pathname.match(/^\/r\/([^/]+)\/?$/);
+        if (pathMatch) {
+            return decodeURIComponent(pathMatch[1]);
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        return params.get('room') || 'default';
     }
     
     showUsernameModal() {
@@ -36,6 +80,42 @@ class CollaborativeCanvasApp {
                 handleSubmit();
             }
         });
+        
+        // Signing in or registering gives a stable identity; the display name field is used for new accounts
+        const loginError = document.getElementById('login-error');
+        const authenticate = async (endpoint) => {
+            loginError.textContent = '';
+            
+            try {
+                const response = await fetch(`/api/auth/${endpoint}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        username: document.getElementById('login-username').value.trim(),
+                        password: document.getElementById('login-password').value,
+                        name: input.value.trim() || undefined
+                    })
+                });
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    loginError.textContent = data.error || 'Sign in failed';
+                    return;
+                }
+                
+                localStorage.setItem(SocketManager.TOKEN_KEY, data.token);
+                this.authToken = data.token;
+                this.userName = data.user.name;
+                modal.style.display = 'none';
+                this.startApplication();
+            } catch (error) {
+                console.error('Sign in failed:', error);
+                loginError.textContent = 'Could not reach the server';
+            }
+        };
+        
+        document.getElementById('login-submit').addEventListener('click', () => authenticate('login'));
+        document.getElementById('register-submit').addEventListener('click', () => authenticate('register'));
     }
     
     startApplication() {
@@ -45,8 +125,8 @@ class CollaborativeCanvasApp {
         this.drawingCanvas = new DrawingCanvas();
         window.drawingCanvas = this.drawingCanvas;
         
-        // Initialize socket manager with user name
-        this.socketManager = new SocketManager(this.userName);
+        // Initialize socket manager with user name, requested room and sign-in token if any
+        this.socketManager = new SocketManager(this.userName, this.roomId, this.authToken);
         window.socketManager = this.socketManager;
         
         console.log('🎨 Collaborative Canvas initialized successfully');
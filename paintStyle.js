@@ -0,0 +1,155 @@
+/**
+ * Fill paints for shapes and the bucket tool.
+ *
+ * A paint is plain data, stored with the shape or fill it colors:
+ *   { type: 'solid', color }
+ *   { type: 'linear', angle, stops }           angle in degrees, 0 runs left to right
+ *   { type: 'radial', cx, cy, radius, stops }  center and radius as fractions of the bounds
+ *   { type: 'conic', cx, cy, angle, stops }
+ *   { type: 'pattern', pattern, color, size }  one of PATTERNS, in tiles of `size` pixels
+ *   { type: 'image', src, repeat }             a data URL, 'stretch'ed over the bounds or 'tile'd
+ * stops are [{ offset, color }] with offsets from 0 to 1. Positions are relative to the
+ * bounds of what is painted, so a moved shape takes its gradient along, and every client
+ * renders the same paint from the same data.
+ */
+class PaintStyle {
+    static get TYPES() {
+        return ['solid', 'linear', 'radial', 'conic', 'pattern', 'image'];
+    }
+
+    static get PATTERNS() {
+        return ['stripes', 'dots', 'checker', 'crosshatch'];
+    }
+
+    static get MAX_STOPS() {
+        return 16;
+    }
+
+    /**
+     * A fillStyle for the paint over bounds ({ x, y, width, height }). loadImage(src) returns
+     * a loaded image, or null while it is loading, which paints nothing for now.
+     */
+    static createFillStyle(ctx, paint, bounds, loadImage) {
+        const centerX = bounds.x + (paint.cx !== undefined ? paint.cx : 0.5) * bounds.width;
+        const centerY = bounds.y + (paint.cy !== undefined ? paint.cy : 0.5) * bounds.height;
+
+        switch (paint.type) {
+            case 'linear': {
+                const angle = paint.angle * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                // Half the bounds' extent along the gradient, so the stops span the whole shape
+                const half = (Math.abs(cos) * bounds.width + Math.abs(sin) * bounds.height) / 2;
+                const gradient = ctx.createLinearGradient(
+                    centerX - cos * half, centerY - sin * half,
+                    centerX + cos * half, centerY + sin * half
+                );
+                return PaintStyle.addStops(gradient, paint.stops);
+            }
+
+            case 'radial': {
+                const radius = Math.max(1, paint.radius * Math.max(bounds.width, bounds.height));
+                const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+                return PaintStyle.addStops(gradient, paint.stops);
+            }
+
+            case 'conic': {
+                // Browsers without conic gradients get the first stop's color
+                if (typeof ctx.createConicGradient !== 'function') {
+                    return paint.stops[0].color;
+                }
+                const gradient = ctx.createConicGradient(paint.angle * Math.PI / 180, centerX, centerY);
+                return PaintStyle.addStops(gradient, paint.stops);
+            }
+
+            case 'pattern': {
+                const pattern = ctx.createPattern(PaintStyle.getPatternTile(paint), 'repeat');
+                return PaintStyle.placePattern(pattern, new DOMMatrix().translate(bounds.x, bounds.y));
+            }
+
+            case 'image': {
+                const image = loadImage(paint.src);
+                if (!image) return 'rgba(0, 0, 0, 0)';
+
+                if (paint.repeat === 'tile') {
+                    const pattern = ctx.createPattern(image, 'repeat');
+                    return PaintStyle.placePattern(pattern, new DOMMatrix().translate(bounds.x, bounds.y));
+                }
+                const pattern = ctx.createPattern(image, 'no-repeat');
+                return PaintStyle.placePattern(pattern, new DOMMatrix()
+                    .translate(bounds.x, bounds.y)
+                    .scale(bounds.width / image.naturalWidth, bounds.height / image.naturalHeight));
+            }
+
+            default:
+                return paint.color;
+        }
+    }
+
+    static addStops(gradient, stops) {
+        stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+        return gradient;
+    }
+
+    // Patterns start at the bounds' corner rather than the canvas origin
+    static placePattern(pattern, matrix) {
+        if (pattern && typeof pattern.setTransform === 'function') {
+            pattern.setTransform(matrix);
+        }
+        return pattern;
+    }
+
+    /**
+     * One tile of a built-in pattern, drawn once per pattern, color and size
+     */
+    static getPatternTile(paint) {
+        const key = `${paint.pattern}|${paint.color}|${paint.size}`;
+        let tile = PATTERN_TILES.get(key);
+        if (tile) return tile;
+
+        const size = Math.max(2, Math.round(paint.size));
+        tile = document.createElement('canvas');
+        tile.width = size;
+        tile.height = size;
+
+        const ctx = tile.getContext('2d');
+        ctx.fillStyle = paint.color;
+        ctx.strokeStyle = paint.color;
+        ctx.lineWidth = Math.max(1, size / 6);
+
+        switch (paint.pattern) {
+            case 'dots':
+                ctx.beginPath();
+                ctx.arc(size / 2, size / 2, size / 5, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'checker':
+                ctx.fillRect(0, 0, size / 2, size / 2);
+                ctx.fillRect(size / 2, size / 2, size / 2, size / 2);
+                break;
+            case 'crosshatch':
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.lineTo(size, size);
+                ctx.moveTo(size, 0);
+                ctx.lineTo(0, size);
+                ctx.stroke();
+                break;
+            default: // stripes
+                // The corner pieces continue the diagonal into the neighbouring tiles
+                ctx.beginPath();
+                ctx.moveTo(0, size);
+                ctx.lineTo(size, 0);
+                ctx.moveTo(-size / 2, size / 2);
+                ctx.lineTo(size / 2, -size / 2);
+                ctx.moveTo(size / 2, size * 1.5);
+                ctx.lineTo(size * 1.5, size / 2);
+                ctx.stroke();
+        }
+
+        PATTERN_TILES.set(key, tile);
+        return tile;
+    }
+}
+
+const PATTERN_TILES = new Map(); // "pattern|color|size" -> tile canvas
@@ -0,0 +1,137 @@
+/**
+ * Stroke point batches, shared by the client and the server: { x, y, deltas, pressures? },
+ * the first point and then each point's offset from the last in tenths of a pixel.
+ */
+class PointCodec {
+    // Deltas are stored in 1/PRECISION pixel steps
+    static get PRECISION() {
+        return 10;
+    }
+    
+    static get MAX_BATCH_POINTS() {
+        return 256;
+    }
+    
+    static quantize(value) {
+        return Math.round(value * PointCodec.PRECISION);
+    }
+    
+    // One byte per point; points without a pressure count as full pressure
+    static quantizePressure(pressure) {
+        return typeof pressure === 'number' ? Math.round(Math.min(1, Math.max(0, pressure)) * 255) : 255;
+    }
+    
+    /**
+     * Encode points ({ x, y }) as a batch; binary deltas come back as an ArrayBuffer
+     * of little-endian 16-bit integers when they all fit
+     */
+    static encode(points, { binary = false } = {}) {
+        const first = points[0];
+        const deltas = [];
+        let lastX = PointCodec.quantize(first.x);
+        let lastY = PointCodec.quantize(first.y);
+        
+        for (let i = 1; i < points.length; i++) {
+            const x = PointCodec.quantize(points[i].x);
+            const y = PointCodec.quantize(points[i].y);
+            deltas.push(x - lastX, y - lastY);
+            lastX = x;
+            lastY = y;
+        }
+        
+        const batch = {
+            x: PointCodec.quantize(first.x) / PointCodec.PRECISION,
+            y: PointCodec.quantize(first.y) / PointCodec.PRECISION,
+            deltas
+        };
+        
+        if (binary && deltas.every(delta => delta >= -32768 && delta <= 32767)) {
+            const view = new DataView(new ArrayBuffer(deltas.length * 2));
+            deltas.forEach((delta, index) => view.setInt16(index * 2, delta, true));
+            batch.deltas = view.buffer;
+        }
+        
+        if (points.some(point => typeof point.pressure === 'number')) {
+            const pressures = points.map(point => PointCodec.quantizePressure(point.pressure));
+            batch.pressures = binary ? Uint8Array.from(pressures).buffer : pressures;
+        }
+        return batch;
+    }
+    
+    /**
+     * Pressures as a plain array of 0-255 values, from an array, an ArrayBuffer or a Node Buffer;
+     * null if they are neither
+     */
+    static readPressures(pressures) {
+        if (Array.isArray(pressures)) return pressures;
+        
+        if (typeof ArrayBuffer !== 'undefined' && pressures instanceof ArrayBuffer) {
+            return Array.from(new Uint8Array(pressures));
+        }
+        if (ArrayBuffer.isView(pressures)) {
+            return Array.from(new Uint8Array(pressures.buffer, pressures.byteOffset, pressures.byteLength));
+        }
+        return null;
+    }
+    
+    /**
+     * Deltas as a plain array, whether they arrived as an array, an ArrayBuffer or a Node Buffer;
+     * null if they are neither
+     */
+    static readDeltas(deltas) {
+        if (Array.isArray(deltas)) return deltas;
+        
+        let bytes = null;
+        if (typeof ArrayBuffer !== 'undefined' && deltas instanceof ArrayBuffer) {
+            bytes = new Uint8Array(deltas);
+        } else if (ArrayBuffer.isView(deltas)) {
+            bytes = new Uint8Array(deltas.buffer, deltas.byteOffset, deltas.byteLength);
+        }
+        if (!bytes || bytes.length % 2 !== 0) return null;
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const values = [];
+        for (let offset = 0; offset < bytes.length; offset += 2) {
+            values.push(view.getInt16(offset, true));
+        }
+        return values;
+    }
+    
+    /**
+     * Number of points in a batch without decoding it, or 0 if it is malformed
+     */
+    static countPoints(batch) {
+        if (!batch || !batch.deltas) return 0;
+        
+        const deltas = batch.deltas;
+        const length = Array.isArray(deltas) ? deltas.length : deltas.byteLength / 2;
+        return Number.isInteger(length) ? 1 + Math.floor(length / 2) : 0;
+    }
+    
+    static decode(batch) {
+        const deltas = PointCodec.readDeltas(batch.deltas) || [];
+        const points = [{ x: batch.x, y: batch.y }];
+        let x = PointCodec.quantize(batch.x);
+        let y = PointCodec.quantize(batch.y);
+        
+        for (let i = 0; i + 1 < deltas.length; i += 2) {
+            x += deltas[i];
+            y += deltas[i + 1];
+            points.push({ x: x / PointCodec.PRECISION, y: y / PointCodec.PRECISION });
+        }
+        
+        const pressures = batch.pressures ? PointCodec.readPressures(batch.pressures) : null;
+        if (pressures) {
+            points.forEach((point, index) => {
+                if (index < pressures.length) {
+                    point.pressure = pressures[index] / 255;
+                }
+            });
+        }
+        return points;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PointCodec };
+}
@@ -0,0 +1,248 @@
+/**
+ * Flood protection: a token bucket per socket and per room for each event category.
+ * Sockets that keep flooding after being throttled run out of strikes and get disconnected.
+ */
+const { PointCodec } = require('./pointCodec');
+
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+    
+    take(cost = 1) {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+        this.updatedAt = now;
+        
+        if (this.tokens < cost) return false;
+        this.tokens -= cost;
+        return true;
+    }
+}
+
+const EVENT_CATEGORIES = {
+    'draw-start': 'draw',
+    'draw-move': 'draw',
+    'draw-points': 'draw',
+    'draw-end': 'draw',
+    'draw-shape': 'draw',
+    'fill-area': 'image',
+    'add-text': 'draw',
+    'move-object': 'draw',
+    'style-object': 'draw',
+    'delete-object': 'draw',
+    'undo-request': 'draw',
+    'redo-request': 'draw',
+    'add-layer': 'draw',
+    'update-layer': 'draw',
+    'delete-layer': 'draw',
+    'merge-layers': 'draw',
+    'reorder-layers': 'draw',
+    'set-active-layer': 'draw',
+    'cursor-move': 'cursor',
+    'add-image': 'image',
+    'room-snapshot': 'image',
+    'clear-canvas': 'clear',
+    'user-name': 'admin',
+    'set-user-role': 'admin',
+    'kick-user': 'admin',
+    'update-room-settings': 'admin'
+};
+
+// capacity is the burst size, refillPerSecond the sustained rate; image buckets count characters
+const DEFAULT_LIMITS = {
+    draw: {
+        socket: { capacity: 400, refillPerSecond: 200 },
+        room: { capacity: 4000, refillPerSecond: 2000 }
+    },
+    cursor: {
+        socket: { capacity: 240, refillPerSecond: 120 },
+        room: { capacity: 2400, refillPerSecond: 1200 }
+    },
+    image: {
+        socket: { capacity: 3 * 1024 * 1024, refillPerSecond: 256 * 1024 },
+        room: { capacity: 8 * 1024 * 1024, refillPerSecond: 1024 * 1024 }
+    },
+    clear: {
+        socket: { capacity: 3, refillPerSecond: 0.1 },
+        room: { capacity: 6, refillPerSecond: 0.2 }
+    },
+    admin: {
+        socket: { capacity: 10, refillPerSecond: 0.5 },
+        room: { capacity: 40, refillPerSecond: 2 }
+    }
+};
+
+const DEFAULT_STRIKES = { capacity: 500, refillPerSecond: 10 };
+
+// Length of an image paint's data URL, 0 for any other paint
+function paintImageLength(paint) {
+    return paint && paint.type === 'image' && typeof paint.src === 'string' ? paint.src.length : 0;
+}
+
+// Image paint length of a new or restyled shape
+function shapePaintLength(event, payload) {
+    if (!payload) return 0;
+    if (event === 'draw-shape') return paintImageLength(payload.fill);
+    if (event === 'style-object') return paintImageLength(payload.to && payload.to.fill);
+    return 0;
+}
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.limits = {};
+        Object.keys(DEFAULT_LIMITS).forEach(category => {
+            const overrides = (options.limits && options.limits[category]) || {};
+            this.limits[category] = {
+                socket: { ...DEFAULT_LIMITS[category].socket, ...overrides.socket },
+                room: { ...DEFAULT_LIMITS[category].room, ...overrides.room }
+            };
+        });
+        this.strikes = { ...DEFAULT_STRIKES, ...options.strikes };
+        this.noticeInterval = options.noticeInterval !== undefined ? options.noticeInterval : 1000;
+        
+        this.socketBuckets = new Map(); // socketId -> { category -> TokenBucket, strikes -> TokenBucket }
+        this.roomBuckets = new Map(); // roomId -> { category -> TokenBucket }
+        this.lastNotice = new Map(); // socketId -> time the socket was last told it is throttled
+        
+        this.dropped = this.createCounters();
+        this.droppedByRoom = new Map(); // roomId -> counters
+        this.disconnects = 0;
+    }
+    
+    createCounters() {
+        const counters = {};
+        Object.keys(this.limits).forEach(category => {
+            counters[category] = 0;
+        });
+        return counters;
+    }
+    
+    getBucket(buckets, key, category, limit) {
+        if (!buckets.has(key)) {
+            buckets.set(key, {});
+        }
+        const group = buckets.get(key);
+        if (!group[category]) {
+            group[category] = new TokenBucket(limit.capacity, limit.refillPerSecond);
+        }
+        return group[category];
+    }
+    
+    categoryOf(event, payload) {
+        if (shapePaintLength(event, payload) > 0) {
+            return 'image';
+        }
+        return EVENT_CATEGORIES[event];
+    }
+    
+    costOf(category, event, payload) {
+        // A point batch costs what its points would have cost as separate draw-move events
+        if (event === 'draw-points') {
+            return Math.max(1, PointCodec.countPoints(payload));
+        }
+        // Roughly the characters a fill's region runs take up
+        if (event === 'fill-area') {
+            const runs = payload && payload.region && payload.region.runs;
+            const regionCost = Array.isArray(runs) ? runs.length * 4 : 0;
+            return Math.max(1, regionCost + paintImageLength(payload && payload.paint));
+        }
+        if (event === 'draw-shape' || event === 'style-object') {
+            return Math.max(1, shapePaintLength(event, payload));
+        }
+        if (category === 'image' && payload) {
+            const image = event === 'room-snapshot' ? payload.image : payload.src;
+            if (typeof image === 'string') {
+                return Math.max(1, image.length);
+            }
+        }
+        return 1;
+    }
+    
+    /**
+     * Charge an event to its socket and room.
+     * Returns { allowed: true } or { allowed: false, category, scope, notify, disconnect }.
+     */
+    check(socketId, roomId, event, payload) {
+        const category = this.categoryOf(event, payload);
+        if (!category) return { allowed: true };
+        
+        const limit = this.limits[category];
+        const cost = this.costOf(category, event, payload);
+        
+        let scope = null;
+        if (!this.getBucket(this.socketBuckets, socketId, category, limit.socket).take(cost)) {
+            scope = 'socket';
+        } else if (!this.getBucket(this.roomBuckets, roomId, category, limit.room).take(cost)) {
+            scope = 'room';
+        }
+        if (!scope) return { allowed: true };
+        
+        this.recordDrop(roomId, category);
+        
+        // Only a socket's own overuse counts against it; a crowded room is nobody's fault
+        const disconnect = scope === 'socket' &&
+            !this.getBucket(this.socketBuckets, socketId, 'strikes', this.strikes).take();
+        if (disconnect) {
+            this.disconnects++;
+        }
+        
+        return { allowed: false, category, scope, notify: this.shouldNotify(socketId), disconnect };
+    }
+    
+    recordDrop(roomId, category) {
+        this.dropped[category]++;
+        if (!this.droppedByRoom.has(roomId)) {
+            this.droppedByRoom.set(roomId, this.createCounters());
+        }
+        this.droppedByRoom.get(roomId)[category]++;
+    }
+    
+    // One throttle notice per socket per noticeInterval, however many events are dropped
+    shouldNotify(socketId) {
+        const now = Date.now();
+        if (now - (this.lastNotice.get(socketId) || 0) < this.noticeInterval) return false;
+        this.lastNotice.set(socketId, now);
+        return true;
+    }
+    
+    removeSocket(socketId) {
+        this.socketBuckets.delete(socketId);
+        this.lastNotice.delete(socketId);
+    }
+    
+    removeRoom(roomId) {
+        this.roomBuckets.delete(roomId);
+        this.droppedByRoom.delete(roomId);
+    }
+    
+    getStats() {
+        const rooms = {};
+        this.droppedByRoom.forEach((counters, roomId) => {
+            rooms[roomId] = { ...counters };
+        });
+        
+        return {
+            limits: this.limits,
+            dropped: { ...this.dropped },
+            disconnects: this.disconnects,
+            rooms
+        };
+    }
+}
+
+/**
+ * Build the limiter from options, or from RATE_LIMITS (JSON of per-category overrides,
+ * e.g. {"draw":{"socket":{"refillPerSecond":100}}}) when none are given
+ */
+function createRateLimiter(options = {}) {
+    if (!options.limits && process.env.RATE_LIMITS) {
+        return new RateLimiter({ ...options, limits: JSON.parse(process.env.RATE_LIMITS) });
+    }
+    return new RateLimiter(options);
+}
+
+module.exports = { RateLimiter, TokenBucket, createRateLimiter, EVENT_CATEGORIES };
@@ -2,31 +2,229 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const { validateEvent, ValidationError } = require('./validation');
+const { createRateLimiter } = require('./rateLimiter');
+const { AuthManager, AuthError } = require('./authManager');
+const { SessionManager } = require('./sessionManager');
+const { createStateSync } = require('./stateSync');
+const { PointCodec } = require('./pointCodec');
+const { StrokeGeometry } = require('./strokeGeometry');
 
 class RoomManager {
-    constructor() {
+    constructor(storage) {
         this.rooms = new Map();
         this.users = new Map();
+        this.storage = storage;
+        this.persisting = false; // set once stored rooms are restored, so nothing overwrites them first
         this.savedCanvases = new Map(); // Store saved canvases
         this.initializeDefaultRoom();
     }
     
     initializeDefaultRoom() {
-        this.rooms.set('default', {
-            id: 'default',
+        this.createRoom('default');
+    }
+    
+    createRoom(roomId, settings = {}, ownerId = null) {
+        const room = {
+            id: roomId,
             users: new Set(),
             createdAt: new Date(),
+            ownerId: ownerId, // the first user to join claims an unowned room
+            roles: new Map(), // userId -> role assigned by the owner
             settings: {
                 maxUsers: 50,
                 allowGuests: true,
                 canvasWidth: 1600,
-                canvasHeight: 900
+                canvasHeight: 900,
+                defaultRole: 'editor',
+                ...settings
+            }
+        };
+        
+        this.rooms.set(roomId, room);
+        this.saveRoom(roomId);
+        console.log(`Room created: ${roomId}`);
+        return room;
+    }
+    
+    getOrCreateRoom(roomId) {
+        return this.rooms.get(roomId) || this.createRoom(roomId);
+    }
+    
+    // Only known settings with sane values make it into a room
+    validateRoomSettings(settings = {}) {
+        const validated = {};
+        
+        if (settings.maxUsers !== undefined) {
+            if (!Number.isInteger(settings.maxUsers) || settings.maxUsers < 1 || settings.maxUsers > 500) {
+                throw new Error('maxUsers must be an integer between 1 and 500');
+            }
+            validated.maxUsers = settings.maxUsers;
+        }
+        
+        ['canvasWidth', 'canvasHeight'].forEach(key => {
+            if (settings[key] !== undefined) {
+                if (!Number.isInteger(settings[key]) || settings[key] < 100 || settings[key] > 8000) {
+                    throw new Error(`${key} must be an integer between 100 and 8000`);
+                }
+                validated[key] = settings[key];
+            }
+        });
+        
+        if (settings.allowGuests !== undefined) {
+            if (typeof settings.allowGuests !== 'boolean') {
+                throw new Error('allowGuests must be a boolean');
+            }
+            validated.allowGuests = settings.allowGuests;
+        }
+        
+        if (settings.defaultRole !== undefined) {
+            if (!['editor', 'viewer'].includes(settings.defaultRole)) {
+                throw new Error("defaultRole must be 'editor' or 'viewer'");
+            }
+            validated.defaultRole = settings.defaultRole;
+        }
+        
+        return validated;
+    }
+    
+    updateRoomSettings(roomId, settings) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        
+        Object.assign(room.settings, this.validateRoomSettings(settings));
+        this.syncRoles(roomId);
+        this.saveRoom(roomId);
+        return room.settings;
+    }
+    
+    // ===== ROLES =====
+    
+    static get ROLES() {
+        return ['owner', 'editor', 'viewer'];
+    }
+    
+    // Viewers only watch; editors draw; owners also run the room
+    static get ROLE_PERMISSIONS() {
+        return {
+            owner: ['draw', 'clear', 'load', 'kick', 'settings', 'roles', 'close'],
+            editor: ['draw'],
+            viewer: []
+        };
+    }
+    
+    getUserRole(roomId, userId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        
+        if (room.ownerId === userId) return 'owner';
+        return room.roles.get(userId) || room.settings.defaultRole;
+    }
+    
+    getPermissions(role) {
+        return RoomManager.ROLE_PERMISSIONS[role] || [];
+    }
+    
+    can(roomId, userId, permission) {
+        return this.getPermissions(this.getUserRole(roomId, userId)).includes(permission);
+    }
+    
+    /**
+     * Give a user a role; making someone owner hands the room over and the old owner becomes an editor
+     */
+    setUserRole(roomId, userId, role) {
+        const room = this.rooms.get(roomId);
+        if (!room || !RoomManager.ROLES.includes(role)) return false;
+        
+        if (role === 'owner') {
+            if (room.ownerId) {
+                room.roles.set(room.ownerId, 'editor');
+            }
+            room.ownerId = userId;
+            room.roles.delete(userId);
+        } else {
+            if (room.ownerId === userId) return false;
+            room.roles.set(userId, role);
+        }
+        
+        this.syncRoles(roomId);
+        this.saveRoom(roomId);
+        return true;
+    }
+    
+    /**
+     * A guest owner can't come back under the same id, so when they leave the longest-present user takes over
+     */
+    handOverOwnership(roomId, leavingUser) {
+        const room = this.rooms.get(roomId);
+        if (!room || room.ownerId !== leavingUser.id || !leavingUser.isGuest) return null;
+        
+        const successor = this.getRoomUsers(roomId)
+            .filter(user => user.id !== leavingUser.id)
+            .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+        
+        room.ownerId = successor ? successor.id : null;
+        if (successor) {
+            room.roles.delete(successor.id);
+        }
+        this.syncRoles(roomId);
+        this.saveRoom(roomId);
+        return successor || null;
+    }
+    
+    // Keep the role on each connected user object in step with the room
+    syncRoles(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+        
+        room.users.forEach(socketId => {
+            const user = this.users.get(socketId);
+            if (user) {
+                user.role = this.getUserRole(roomId, user.id);
             }
         });
     }
     
+    getRoleMap(roomId) {
+        const roles = new Map();
+        this.getRoomUsers(roomId).forEach(user => roles.set(user.id, user.role));
+        return roles;
+    }
+    
+    getUserSocketIds(roomId, userId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return [];
+        
+        return Array.from(room.users).filter(socketId => {
+            const user = this.users.get(socketId);
+            return user && user.id === userId;
+        });
+    }
+    
+    closeRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        
+        room.users.forEach(socketId => this.users.delete(socketId));
+        this.rooms.delete(roomId);
+        if (this.persisting) {
+            this.storage.deleteRoom(roomId);
+        }
+        
+        console.log(`Room closed: ${roomId}`);
+        return room;
+    }
+    
+    // Room ids come from URLs, so keep them short and path-safe
+    normalizeRoomId(roomId) {
+        if (typeof roomId !== 'string') return null;
+        
+        const normalized = roomId.trim().toLowerCase();
+        return /^[a-z0-9_-]{1,64}$/.test(normalized) ? normalized : null;
+    }
+    
     generateUserColor() {
         const colors = [
             '#ff4757', '#2ed573', '#1e90ff', '#ffa502', 
@@ -36,7 +234,10 @@ class RoomManager {
         return colors[Math.floor(Math.random() * colors.length)];
     }
     
-    addUser(socketId, roomId = 'default') {
+    /**
+     * Join a socket to a room; identity ({ id, name, color, isGuest }) comes from an account or a resumed session
+     */
+    addUser(socketId, roomId = 'default', identity = null) {
         const room = this.rooms.get(roomId);
         if (!room) {
             throw new Error(`Room ${roomId} not found`);
@@ -47,17 +248,27 @@ class RoomManager {
         }
         
         const user = {
-            id: socketId,
-            color: this.generateUserColor(),
+            id: identity ? identity.id : socketId,
+            socketId: socketId,
+            color: identity ? identity.color : this.generateUserColor(),
             cursor: { x: 0, y: 0 },
             roomId: roomId,
             joinedAt: new Date(),
-            name: `Artist${Math.floor(Math.random() * 1000)}`,
-            isGuest: true
+            name: identity ? identity.name : `Artist${Math.floor(Math.random() * 1000)}`,
+            isGuest: identity ? identity.isGuest : true
         };
         
+        const claimed = !room.ownerId;
+        if (claimed) {
+            room.ownerId = user.id;
+        }
+        user.role = this.getUserRole(roomId, user.id);
+        
         this.users.set(socketId, user);
         room.users.add(socketId);
+        if (claimed) {
+            this.saveRoom(roomId);
+        }
         
         console.log(`User ${socketId} (${user.name}) joined room ${roomId}`);
         return user;
@@ -73,6 +284,7 @@ class RoomManager {
             this.users.delete(socketId);
             console.log(`User ${socketId} (${user.name}) left room ${user.roomId}`);
         }
+        return user || null;
     }
     
     updateUserCursor(socketId, cursor) {
@@ -88,7 +300,6 @@ class RoomManager {
         const user = this.users.get(socketId);
         if (user) {
             user.name = name;
-            user.isGuest = false;
             return user;
         }
         return null;
@@ -98,49 +309,154 @@ class RoomManager {
         const room = this.rooms.get(roomId);
         if (!room) return [];
         
-        return Array.from(room.users).map(userId => this.users.get(userId)).filter(Boolean);
+        // A signed-in user with several tabs open is listed once
+        const users = new Map();
+        room.users.forEach(socketId => {
+            const user = this.users.get(socketId);
+            if (user && !users.has(user.id)) {
+                users.set(user.id, user);
+            }
+        });
+        return Array.from(users.values());
+    }
+    
+    isUserInRoom(roomId, userId) {
+        return this.getRoomUsers(roomId).some(user => user.id === userId);
     }
     
     getUser(socketId) {
         return this.users.get(socketId);
     }
     
+    getRoomStats(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+        
+        return {
+            id: room.id,
+            userCount: room.users.size,
+            createdAt: room.createdAt,
+            ownerId: room.ownerId,
+            settings: room.settings
+        };
+    }
+    
+    getAllRoomStats() {
+        return Array.from(this.rooms.keys()).map(roomId => this.getRoomStats(roomId));
+    }
+    
+    // ===== PERSISTENCE =====
+    
+    /**
+     * Store the room's settings, owner and roles. A guest owner can't come back after a restart,
+     * so their room is stored unowned and the first user to join claims it again
+     */
+    saveRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room || !this.persisting) return;
+        
+        const owner = Array.from(this.users.values()).find(user => user.id === room.ownerId);
+        this.storage.saveRoomMeta(roomId, {
+            createdAt: room.createdAt,
+            ownerId: owner && owner.isGuest ? null : room.ownerId,
+            roles: Array.from(room.roles.entries()),
+            settings: room.settings
+        });
+    }
+    
+    /**
+     * Bring back every stored room's metadata; from then on changes are written as they happen
+     */
+    async restoreRooms() {
+        const metas = await this.storage.loadRoomMetas();
+        
+        metas.forEach(({ roomId, meta }) => {
+            const room = this.createRoom(roomId, meta.settings, meta.ownerId);
+            room.roles = new Map(meta.roles);
+            room.createdAt = new Date(meta.createdAt);
+        });
+        
+        this.persisting = true;
+        return metas.map(({ roomId }) => roomId);
+    }
+    
     // Canvas saving functionality
-    saveCanvas(canvasId, canvasData) {
+    validateCanvasMetadata(metadata = {}) {
+        const validated = {};
+        
+        if (metadata.name !== undefined) {
+            if (typeof metadata.name !== 'string' || !metadata.name.trim() || metadata.name.length > 100) {
+                throw new Error('name must be a non-empty string of at most 100 characters');
+            }
+            validated.name = metadata.name.trim();
+        }
+        
+        if (metadata.author !== undefined) {
+            if (typeof metadata.author !== 'string' || metadata.author.length > 64) {
+                throw new Error('author must be a string of at most 64 characters');
+            }
+            validated.author = metadata.author;
+        }
+        
+        if (metadata.thumbnail !== undefined) {
+            if (typeof metadata.thumbnail !== 'string' || !/^data:image\/png;base64,[A-Za-z0-9+/=]+$/.test(metadata.thumbnail)) {
+                throw new Error('thumbnail must be a PNG data URL');
+            }
+            if (metadata.thumbnail.length > 512 * 1024) {
+                throw new Error('thumbnail must be at most 512 KB');
+            }
+            validated.thumbnail = metadata.thumbnail;
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Save a room's state; saving over an existing id keeps its creation date and, unless given, its name
+     */
+    async saveCanvas(canvasId, canvasData) {
+        const existing = await this.loadCanvas(canvasId);
+        // Detached from the live room, which keeps changing after the save
+        const roomState = JSON.parse(JSON.stringify(canvasData.roomState));
+        
         const saveData = {
             id: canvasId,
-            name: canvasData.name || `Canvas_${new Date().toISOString().split('T')[0]}`,
-            data: canvasData,
-            createdAt: new Date(),
+            name: canvasData.name || (existing && existing.name) || `Canvas_${new Date().toISOString().split('T')[0]}`,
+            roomId: canvasData.roomId,
+            author: canvasData.author !== undefined ? canvasData.author : (existing ? existing.author : null),
+            thumbnail: canvasData.thumbnail !== undefined ? canvasData.thumbnail : (existing ? existing.thumbnail : null),
+            strokeCount: roomState.strokes.filter(action => !action.undone).length,
+            data: { roomState },
+            createdAt: existing ? existing.createdAt : new Date(),
             updatedAt: new Date()
         };
         
         this.savedCanvases.set(canvasId, saveData);
         
-        // Also save to file system for persistence
-        this.saveCanvasToFile(canvasId, saveData);
+        // Also save to storage for persistence
+        await this.storage.saveCanvas(saveData);
         
         console.log(`Canvas saved: ${canvasId}`);
         return saveData;
     }
     
-    loadCanvas(canvasId) {
+    async loadCanvas(canvasId) {
         let canvasData = this.savedCanvases.get(canvasId);
         
         if (!canvasData) {
-            // Try to load from file system
-            canvasData = this.loadCanvasFromFile(canvasId);
+            // Try to load from storage
+            canvasData = await this.storage.loadCanvas(canvasId);
         }
         
         return canvasData;
     }
     
-    getAllSavedCanvases() {
+    async getAllSavedCanvases() {
         const canvases = Array.from(this.savedCanvases.values());
         
-        // Also load from file system
-        const fileCanvases = this.loadAllCanvasesFromFiles();
-        fileCanvases.forEach(canvas => {
+        // Also load from storage
+        const storedCanvases = await this.storage.listCanvases();
+        storedCanvases.forEach(canvas => {
             if (!this.savedCanvases.has(canvas.id)) {
                 this.savedCanvases.set(canvas.id, canvas);
                 canvases.push(canvas);
@@ -150,119 +466,381 @@ class RoomManager {
         return canvases.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
     }
     
-    deleteCanvas(canvasId) {
+    async renameCanvas(canvasId, name) {
+        const canvasData = await this.loadCanvas(canvasId);
+        if (!canvasData) return null;
+        
+        const renamed = { ...canvasData, name, updatedAt: new Date() };
+        this.savedCanvases.set(canvasId, renamed);
+        await this.storage.saveCanvas(renamed);
+        
+        console.log(`Canvas renamed: ${canvasId}`);
+        return renamed;
+    }
+    
+    async deleteCanvas(canvasId) {
         this.savedCanvases.delete(canvasId);
-        this.deleteCanvasFile(canvasId);
+        await this.storage.deleteCanvas(canvasId);
         console.log(`Canvas deleted: ${canvasId}`);
     }
     
-    // File system operations
-    saveCanvasToFile(canvasId, canvasData) {
-        try {
-            const savesDir = path.join(__dirname, 'saves');
-            if (!fs.existsSync(savesDir)) {
-                fs.mkdirSync(savesDir, { recursive: true });
-            }
-            
-            const filePath = path.join(savesDir, `${canvasId}.json`);
-            fs.writeFileSync(filePath, JSON.stringify(canvasData, null, 2));
-        } catch (error) {
-            console.error('Error saving canvas to file:', error);
+    // Listings leave out the saved drawing itself
+    getCanvasSummary(canvasData) {
+        const { data, ...summary } = canvasData;
+        return summary;
+    }
+}
+
+class DrawingManager {
+    constructor(storage = null) {
+        this.roomStates = new Map();
+        this.archivedRoomStates = new Map();
+        this.storage = storage;
+        this.replaying = false;
+        
+        // Finished strokes lose points closer than this many pixels to the line through their neighbours
+        this.simplifyTolerance = process.env.STROKE_SIMPLIFY_TOLERANCE !== undefined
+            ? Number(process.env.STROKE_SIMPLIFY_TOLERANCE)
+            : 0.5;
+        this.initializeDefaultRoom();
+    }
+    
+    initializeDefaultRoom() {
+        this.roomStates.set('default', this.createRoomState());
+    }
+    
+    createRoomState() {
+        return {
+            strokes: [],
+            redoStacks: {}, // userId -> ids of that user's undone actions, most recent last
+            layers: [this.createDefaultLayer()], // bottom to top; order mirrors the array index
+            activeLayers: {}, // userId -> id of the layer that user draws on
+            currentStrokes: new Map(), // strokeId -> open stroke; one user can draw from several tabs
+            canvasState: 'clean',
+            version: 1
+        };
+    }
+    
+    createDefaultLayer() {
+        return {
+            id: 'layer-1',
+            name: 'Layer 1',
+            visible: true,
+            locked: false,
+            opacity: 1,
+            blendMode: 'normal',
+            order: 0
+        };
+    }
+    
+    static get BLEND_MODES() {
+        return [
+            'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+            'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+        ];
+    }
+    
+    // Layers a room may have, so a client can't grow a room's state without bound
+    static get MAX_LAYERS() {
+        return 50;
+    }
+    
+    // ===== LAYERS =====
+    
+    /**
+     * Keep only the layer properties clients may change, or null if any of them is invalid
+     */
+    sanitizeLayerChanges(changes) {
+        if (!changes || typeof changes !== 'object') return null;
+        
+        const sanitized = {};
+        if (changes.name !== undefined) {
+            if (typeof changes.name !== 'string' || !changes.name.trim() || changes.name.length > 64) return null;
+            sanitized.name = changes.name.trim();
         }
+        if (changes.visible !== undefined) {
+            if (typeof changes.visible !== 'boolean') return null;
+            sanitized.visible = changes.visible;
+        }
+        if (changes.locked !== undefined) {
+            if (typeof changes.locked !== 'boolean') return null;
+            sanitized.locked = changes.locked;
+        }
+        if (changes.opacity !== undefined) {
+            if (typeof changes.opacity !== 'number' || changes.opacity < 0 || changes.opacity > 1) return null;
+            sanitized.opacity = changes.opacity;
+        }
+        if (changes.blendMode !== undefined) {
+            if (!DrawingManager.BLEND_MODES.includes(changes.blendMode)) return null;
+            sanitized.blendMode = changes.blendMode;
+        }
+        return sanitized;
     }
     
-    loadCanvasFromFile(canvasId) {
-        try {
-            const filePath = path.join(__dirname, 'saves', `${canvasId}.json`);
-            if (fs.existsSync(filePath)) {
-                const data = fs.readFileSync(filePath, 'utf8');
-                return JSON.parse(data);
-            }
-        } catch (error) {
-            console.error('Error loading canvas from file:', error);
+    findLayer(roomId, layerId) {
+        return this.getRoomState(roomId).layers.find(layer => layer.id === layerId) || null;
+    }
+    
+    addLayer(roomId, layerData = {}) {
+        const roomState = this.getRoomState(roomId);
+        if (roomState.layers.length >= DrawingManager.MAX_LAYERS) {
+            return null;
         }
-        return null;
+        
+        if (typeof layerData.id !== 'string' || !/^[\w-]{1,64}$/.test(layerData.id) || this.findLayer(roomId, layerData.id)) {
+            return null;
+        }
+        
+        const properties = this.sanitizeLayerChanges({
+            name: layerData.name,
+            visible: layerData.visible,
+            locked: layerData.locked,
+            opacity: layerData.opacity,
+            blendMode: layerData.blendMode
+        });
+        if (!properties) return null;
+        
+        const layer = {
+            id: layerData.id,
+            name: `Layer ${roomState.layers.length + 1}`,
+            visible: true,
+            locked: false,
+            opacity: 1,
+            blendMode: 'normal',
+            ...properties,
+            order: roomState.layers.length
+        };
+        
+        roomState.layers.push(layer);
+        roomState.version++;
+        this.logCommand(roomId, 'addLayer', [layer]);
+        return layer;
     }
     
-    loadAllCanvasesFromFiles() {
-        const canvases = [];
-        try {
-            const savesDir = path.join(__dirname, 'saves');
-            if (fs.existsSync(savesDir)) {
-                const files = fs.readdirSync(savesDir);
-                files.forEach(file => {
-                    if (file.endsWith('.json')) {
-                        const canvasId = file.replace('.json', '');
-                        const canvasData = this.loadCanvasFromFile(canvasId);
-                        if (canvasData) {
-                            canvases.push(canvasData);
-                        }
-                    }
-                });
-            }
-        } catch (error) {
-            console.error('Error loading canvases from files:', error);
+    updateLayer(roomId, layerId, changes) {
+        const layer = this.findLayer(roomId, layerId);
+        const sanitized = this.sanitizeLayerChanges(changes);
+        if (!layer || !sanitized || Object.keys(sanitized).length === 0) return null;
+        
+        Object.assign(layer, sanitized);
+        this.getRoomState(roomId).version++;
+        this.logCommand(roomId, 'updateLayer', [layerId, sanitized]);
+        return sanitized;
+    }
+    
+    static get LAYER_CONTENT_TYPES() {
+        return ['stroke', 'shape', 'text', 'image', 'fill'];
+    }
+    
+    // Content whose layer is missing is drawn on the bottom layer, so it belongs there
+    getActionLayerId(roomState, action) {
+        return roomState.layers.some(layer => layer.id === action.layerId) ? action.layerId : roomState.layers[0].id;
+    }
+    
+    isLayerContent(roomState, action, layerIds) {
+        return DrawingManager.LAYER_CONTENT_TYPES.includes(action.type) &&
+            layerIds.includes(this.getActionLayerId(roomState, action));
+    }
+    
+    /**
+     * Delete a layer; its content is either deleted too or moved to the layer below
+     * (above, for the bottom layer). The last remaining layer cannot be deleted.
+     */
+    deleteLayer(roomId, layerId, content = 'reassign') {
+        const roomState = this.getRoomState(roomId);
+        const index = roomState.layers.findIndex(layer => layer.id === layerId);
+        if (roomState.layers.length <= 1 || index === -1 || !['reassign', 'delete'].includes(content)) return null;
+        
+        const targetLayerId = roomState.layers[index > 0 ? index - 1 : 1].id;
+        
+        if (content === 'delete') {
+            const removedIds = new Set();
+            roomState.strokes.forEach(action => {
+                if (this.isLayerContent(roomState, action, [layerId])) {
+                    removedIds.add(action.id);
+                }
+            });
+            
+            roomState.strokes = roomState.strokes.filter(action => !removedIds.has(action.id));
+            Object.keys(roomState.redoStacks).forEach(userId => {
+                roomState.redoStacks[userId] = roomState.redoStacks[userId].filter(id => !removedIds.has(id));
+            });
+            removedIds.forEach(id => roomState.currentStrokes.delete(id));
+        } else {
+            this.reassignLayerContent(roomState, [layerId], targetLayerId);
         }
-        return canvases;
+        
+        this.removeLayers(roomState, [layerId], targetLayerId);
+        this.logCommand(roomId, 'deleteLayer', [layerId, content]);
+        return { layerId, content, targetLayerId };
     }
     
-    deleteCanvasFile(canvasId) {
-        try {
-            const filePath = path.join(__dirname, 'saves', `${canvasId}.json`);
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
+    /**
+     * Merge layers into a target layer by moving their content onto it
+     */
+    mergeLayers(roomId, sourceIds, targetLayerId) {
+        const roomState = this.getRoomState(roomId);
+        if (!Array.isArray(sourceIds) || sourceIds.length === 0 || new Set(sourceIds).size !== sourceIds.length) return null;
+        if (sourceIds.includes(targetLayerId) || !this.findLayer(roomId, targetLayerId)) return null;
+        if (!sourceIds.every(layerId => this.findLayer(roomId, layerId))) return null;
+        
+        this.reassignLayerContent(roomState, sourceIds, targetLayerId);
+        this.removeLayers(roomState, sourceIds, targetLayerId);
+        this.logCommand(roomId, 'mergeLayers', [sourceIds, targetLayerId]);
+        return { sourceIds, targetLayerId };
+    }
+    
+    reassignLayerContent(roomState, layerIds, targetLayerId) {
+        roomState.strokes.forEach(action => {
+            if (this.isLayerContent(roomState, action, layerIds)) {
+                action.layerId = targetLayerId;
             }
-        } catch (error) {
-            console.error('Error deleting canvas file:', error);
-        }
+        });
     }
-}
-
-class DrawingManager {
-    constructor() {
-        this.roomStates = new Map();
-        this.initializeDefaultRoom();
+    
+    removeLayers(roomState, layerIds, fallbackLayerId) {
+        roomState.layers = roomState.layers.filter(layer => !layerIds.includes(layer.id));
+        this.renumberLayers(roomState);
+        
+        Object.keys(roomState.activeLayers).forEach(userId => {
+            if (layerIds.includes(roomState.activeLayers[userId])) {
+                roomState.activeLayers[userId] = fallbackLayerId;
+            }
+        });
+        
+        roomState.version++;
     }
     
-    initializeDefaultRoom() {
-        this.roomStates.set('default', {
-            strokes: [],
-            undoneStrokes: [],
-            currentStrokes: new Map(),
-            canvasState: 'clean',
-            version: 1
+    /**
+     * Reorder layers from a complete list of layer ids, bottom to top
+     */
+    reorderLayers(roomId, order) {
+        const roomState = this.getRoomState(roomId);
+        if (!Array.isArray(order) || order.length !== roomState.layers.length || new Set(order).size !== order.length) {
+            return null;
+        }
+        
+        const layers = order.map(layerId => this.findLayer(roomId, layerId));
+        if (layers.includes(null)) return null;
+        
+        roomState.layers = layers;
+        this.renumberLayers(roomState);
+        roomState.version++;
+        this.logCommand(roomId, 'reorderLayers', [order]);
+        return order;
+    }
+    
+    renumberLayers(roomState) {
+        roomState.layers.forEach((layer, index) => {
+            layer.order = index;
         });
     }
     
+    setActiveLayer(roomId, userId, layerId) {
+        if (!this.findLayer(roomId, layerId)) return false;
+        
+        this.getRoomState(roomId).activeLayers[userId] = layerId;
+        return true;
+    }
+    
+    generateActionId(prefix, userId) {
+        return `${prefix}-${Date.now()}-${userId}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    // Whether the room's history has an action with this id
+    hasAction(roomId, id) {
+        return this.getRoomState(roomId).strokes.some(action => action.id === id);
+    }
+    
+    // What move-object, style-object and delete-object can target
+    static get OBJECT_TYPES() {
+        return ['shape', 'text', 'image'];
+    }
+    
+    /**
+     * Whether a shape, text or image is on the canvas: present, not undone, and not deleted
+     * or cleared away by a later action that is still in effect
+     */
+    isLiveObject(roomId, id) {
+        const strokes = this.getRoomState(roomId).strokes;
+        const index = strokes.findIndex(action => action.id === id);
+        if (index === -1) return false;
+        
+        const target = strokes[index];
+        if (target.undone || !DrawingManager.OBJECT_TYPES.includes(target.type)) return false;
+        
+        return !strokes.slice(index + 1).some(action => !action.undone &&
+            (action.type === 'clear' || (action.type === 'delete' && action.targetId === id)));
+    }
+    
+    addAction(roomId, userId, action) {
+        this.pushAction(roomId, userId, action);
+        this.logCommand(roomId, 'addAction', [userId, action]);
+        return action;
+    }
+    
+    // Every new action starts a fresh redo branch for its author only
+    pushAction(roomId, userId, action) {
+        const roomState = this.getRoomState(roomId);
+        const redoStack = roomState.redoStacks[userId];
+        
+        if (redoStack && redoStack.length > 0) {
+            // Undone actions that can no longer be redone are dropped from history
+            const abandoned = new Set(redoStack);
+            roomState.strokes = roomState.strokes.filter(stroke => !abandoned.has(stroke.id));
+            roomState.redoStacks[userId] = [];
+        }
+        
+        roomState.strokes.push(action);
+        roomState.version++;
+        return action;
+    }
+    
     startStroke(roomId, userId, startPoint) {
         const roomState = this.getRoomState(roomId);
         const stroke = {
-            id: startPoint.strokeId || `${Date.now()}-${userId}-${Math.random().toString(36).substr(2, 9)}`,
+            id: startPoint.strokeId || this.generateActionId('stroke', userId),
             userId: userId,
             points: [startPoint],
             color: startPoint.color || '#000000',
             width: startPoint.width || 3,
             tool: startPoint.tool || 'pencil',
+            brushType: startPoint.brushType,
+            brushParams: startPoint.brushParams,
+            smoothing: startPoint.smoothing,
+            layerId: startPoint.layerId,
             startTime: new Date(),
             type: 'stroke'
         };
         
-        roomState.currentStrokes.set(userId, stroke);
-        roomState.strokes.push(stroke);
-        roomState.undoneStrokes = [];
-        roomState.version++;
+        roomState.currentStrokes.set(stroke.id, stroke);
+        this.pushAction(roomId, userId, stroke);
+        this.logCommand(roomId, 'startStroke', [userId, { ...startPoint, strokeId: stroke.id }]);
         
         console.log(`Stroke started: ${stroke.id} by user ${userId}`);
         return stroke;
     }
     
+    /**
+     * The user's open stroke with this id. Logs written before strokes were keyed by id carry
+     * none, so without an id it is the user's latest open stroke
+     */
+    getOpenStroke(roomState, userId, strokeId) {
+        if (strokeId) {
+            const stroke = roomState.currentStrokes.get(strokeId);
+            return stroke && stroke.userId === userId ? stroke : null;
+        }
+        return Array.from(roomState.currentStrokes.values()).reverse().find(stroke => stroke.userId === userId) || null;
+    }
+    
     addStrokePoint(roomId, userId, point) {
         const roomState = this.getRoomState(roomId);
-        const stroke = roomState.currentStrokes.get(userId);
+        const stroke = this.getOpenStroke(roomState, userId, point.strokeId);
         
         if (stroke) {
             stroke.points.push(point);
             roomState.version++;
+            this.logCommand(roomId, 'addStrokePoint', [userId, point]);
             return {
                 strokeId: stroke.id,
                 point: point
@@ -271,74 +849,294 @@ class DrawingManager {
         return null;
     }
     
-    endStroke(roomId, userId) {
+    addStrokePoints(roomId, userId, points, strokeId) {
         const roomState = this.getRoomState(roomId);
-        roomState.currentStrokes.delete(userId);
+        const stroke = this.getOpenStroke(roomState, userId, strokeId);
+        if (!stroke) return null;
+        
+        stroke.points.push(...points);
         roomState.version++;
-        console.log(`Stroke ended by user ${userId}`);
+        this.logCommand(roomId, 'addStrokePoints', [userId, points, stroke.id]);
+        return {
+            strokeId: stroke.id,
+            points: points
+        };
     }
     
-    clearCanvas(roomId) {
+    /**
+     * Finish one of the user's strokes and simplify its points; returns the stroke, if there was one
+     */
+    endStroke(roomId, userId, strokeId) {
         const roomState = this.getRoomState(roomId);
-        const clearAction = {
-            id: `clear-${Date.now()}`,
-            type: 'clear',
-            userId: 'system',
-            timestamp: new Date()
-        };
+        const stroke = this.getOpenStroke(roomState, userId, strokeId);
+        
+        // Points go out quantized in draw-end, so stored points are quantized the same way
+        if (stroke) {
+            roomState.currentStrokes.delete(stroke.id);
+            stroke.points = StrokeGeometry.simplify(stroke.points, this.simplifyTolerance).map(point => {
+                const quantized = {
+                    x: PointCodec.quantize(point.x) / PointCodec.PRECISION,
+                    y: PointCodec.quantize(point.y) / PointCodec.PRECISION
+                };
+                if (typeof point.pressure === 'number') {
+                    quantized.pressure = PointCodec.quantizePressure(point.pressure) / 255;
+                }
+                return quantized;
+            });
+        }
         
-        roomState.strokes.push(clearAction);
-        roomState.undoneStrokes = [];
         roomState.version++;
-        console.log(`Canvas cleared in room ${roomId}`);
+        this.logCommand(roomId, 'endStroke', [userId, stroke ? stroke.id : strokeId]);
+        console.log(`Stroke ended by user ${userId}`);
+        return stroke || null;
     }
     
-    undo(roomId) {
+    clearCanvas(roomId, userId, actionId) {
+        const clearAction = {
+            id: actionId || this.generateActionId('clear', userId),
+            type: 'clear',
+            userId: userId,
+            timestamp: new Date()
+        };
+        
+        this.pushAction(roomId, userId, clearAction);
+        this.logCommand(roomId, 'clearCanvas', [userId, clearAction.id]);
+        console.log(`Canvas cleared in room ${roomId} by user ${userId}`);
+        return clearAction;
+    }
+    
+    // Undone actions stay in place (flagged) so a redo restores their original ordering
+    undo(roomId, userId, actionId) {
         const roomState = this.getRoomState(roomId);
-        if (roomState.strokes.length > 0) {
-            const lastStroke = roomState.strokes.pop();
-            roomState.undoneStrokes.push(lastStroke);
+        
+        for (let i = roomState.strokes.length - 1; i >= 0; i--) {
+            const action = roomState.strokes[i];
+            if (action.userId !== userId || action.undone) continue;
+            
+            // A client names the action it undid locally; honour it when it is still the user's to undo
+            if (actionId && action.id !== actionId) continue;
+            
+            action.undone = true;
+            roomState.currentStrokes.delete(action.id);
+            
+            if (!roomState.redoStacks[userId]) {
+                roomState.redoStacks[userId] = [];
+            }
+            roomState.redoStacks[userId].push(action.id);
             roomState.version++;
-            console.log(`Undo: ${lastStroke.id} in room ${roomId}`);
-            return lastStroke;
+            this.logCommand(roomId, 'undo', [userId, action.id]);
+            
+            console.log(`Undo: ${action.id} by user ${userId} in room ${roomId}`);
+            return action;
         }
-        console.log(`Nothing to undo in room ${roomId}`);
+        
+        console.log(`Nothing to undo for user ${userId} in room ${roomId}`);
         return null;
     }
     
-    redo(roomId) {
+    redo(roomId, userId, actionId) {
         const roomState = this.getRoomState(roomId);
-        if (roomState.undoneStrokes.length > 0) {
-            const redoneStroke = roomState.undoneStrokes.pop();
-            roomState.strokes.push(redoneStroke);
+        const redoStack = roomState.redoStacks[userId] || [];
+        
+        if (actionId) {
+            const index = redoStack.lastIndexOf(actionId);
+            if (index === -1) {
+                console.log(`Cannot redo ${actionId} for user ${userId} in room ${roomId}`);
+                return null;
+            }
+            redoStack.splice(index, 1);
+            redoStack.push(actionId);
+        }
+        
+        while (redoStack.length > 0) {
+            const nextId = redoStack.pop();
+            const action = roomState.strokes.find(stroke => stroke.id === nextId);
+            if (!action) continue;
+            
+            action.undone = false;
             roomState.version++;
-            console.log(`Redo: ${redoneStroke.id} in room ${roomId}`);
-            return redoneStroke;
+            this.logCommand(roomId, 'redo', [userId, action.id]);
+            
+            console.log(`Redo: ${action.id} by user ${userId} in room ${roomId}`);
+            return action;
         }
-        console.log(`Nothing to redo in room ${roomId}`);
+        
+        console.log(`Nothing to redo for user ${userId} in room ${roomId}`);
         return null;
     }
     
     getRoomState(roomId) {
         if (!this.roomStates.has(roomId)) {
-            this.roomStates.set(roomId, {
-                strokes: [],
-                undoneStrokes: [],
-                currentStrokes: new Map(),
-                canvasState: 'clean',
-                version: 1
-            });
+            this.roomStates.set(roomId, this.createRoomState());
         }
         return this.roomStates.get(roomId);
     }
     
     loadRoomState(roomId, stateData) {
-        this.roomStates.set(roomId, stateData);
+        // The version moves past anything clients have seen, so none of them can resume across a load
+        const previous = this.roomStates.get(roomId);
+        const version = Math.max(stateData.version || 0, previous ? previous.version : 0) + 1;
+        
+        // Saved states are plain JSON, so restore the runtime-only fields
+        this.roomStates.set(roomId, {
+            ...this.createRoomState(),
+            ...stateData,
+            version,
+            activeLayers: {},
+            currentStrokes: new Map()
+        });
+        
+        if (this.storage) {
+            this.storage.writeSnapshot(roomId, this.serializeRoomState(roomId));
+        }
         console.log(`Room state loaded for ${roomId}`);
     }
+    
+    // Closed rooms keep their drawing history so it can be inspected or restored later
+    archiveRoomState(roomId) {
+        const roomState = this.roomStates.get(roomId);
+        if (!roomState) return null;
+        
+        const archive = {
+            roomId: roomId,
+            archivedAt: new Date(),
+            strokes: roomState.strokes,
+            layers: roomState.layers,
+            version: roomState.version
+        };
+        
+        this.archivedRoomStates.set(`${roomId}-${archive.archivedAt.getTime()}`, archive);
+        this.roomStates.delete(roomId);
+        
+        if (this.storage) {
+            this.storage.deleteRoom(roomId);
+        }
+        
+        console.log(`Room state archived for ${roomId} (${archive.strokes.length} actions)`);
+        return archive;
+    }
+    
+    // ===== PERSISTENCE =====
+    
+    static get REPLAYABLE_COMMANDS() {
+        return [
+            'addAction', 'startStroke', 'addStrokePoint', 'addStrokePoints', 'endStroke', 'clearCanvas', 'undo', 'redo',
+            'addLayer', 'updateLayer', 'deleteLayer', 'mergeLayers', 'reorderLayers'
+        ];
+    }
+    
+    /**
+     * Record a state change as the method call that made it, with every generated id resolved,
+     * so replaying the log after a restart rebuilds the same room state
+     */
+    logCommand(roomId, method, args) {
+        if (!this.storage || this.replaying) return;
+        
+        this.storage.appendCommand(roomId, { method, args });
+        if (this.storage.needsCompaction(roomId)) {
+            this.storage.writeSnapshot(roomId, this.serializeRoomState(roomId));
+        }
+    }
+    
+    // In-progress strokes are stored by id so points logged after a snapshot still find their stroke
+    serializeRoomState(roomId) {
+        const roomState = this.getRoomState(roomId);
+        const currentStrokeIds = Array.from(roomState.currentStrokes.keys());
+        
+        return {
+            strokes: roomState.strokes,
+            redoStacks: roomState.redoStacks,
+            layers: roomState.layers,
+            canvasState: roomState.canvasState,
+            version: roomState.version,
+            currentStrokeIds
+        };
+    }
+    
+    // Older snapshots map user ids to stroke ids
+    deserializeRoomState(snapshot) {
+        const { currentStrokeIds = [], ...stateData } = snapshot;
+        const roomState = {
+            ...this.createRoomState(),
+            ...stateData,
+            activeLayers: {},
+            currentStrokes: new Map()
+        };
+        
+        const strokeIds = Array.isArray(currentStrokeIds) ? currentStrokeIds : Object.values(currentStrokeIds);
+        strokeIds.forEach(strokeId => {
+            const stroke = roomState.strokes.find(action => action.id === strokeId);
+            if (stroke) {
+                roomState.currentStrokes.set(strokeId, stroke);
+            }
+        });
+        return roomState;
+    }
+    
+    /**
+     * Rebuild every stored room from its snapshot and command log; returns the restored room ids
+     */
+    async restoreRooms() {
+        if (!this.storage) return [];
+        
+        const rooms = await this.storage.loadRooms();
+        
+        this.replaying = true;
+        try {
+            rooms.forEach(({ roomId, snapshot, commands }) => {
+                this.roomStates.set(roomId, snapshot ? this.deserializeRoomState(snapshot) : this.createRoomState());
+                
+                commands.forEach(({ method, args }) => {
+                    if (DrawingManager.REPLAYABLE_COMMANDS.includes(method)) {
+                        this[method](roomId, ...args);
+                    }
+                });
+            });
+        } finally {
+            this.replaying = false;
+        }
+        
+        // Fold the replayed logs into fresh snapshots
+        await Promise.all(rooms
+            .filter(room => room.commands.length > 0)
+            .map(room => this.storage.writeSnapshot(room.roomId, this.serializeRoomState(room.roomId))));
+        
+        console.log(`Restored ${rooms.length} room(s) from storage`);
+        return rooms.map(room => room.roomId);
+    }
 }
 
 class CollaborativeCanvasServer {
+    // Events that need a permission beyond being in the room (see RoomManager.ROLE_PERMISSIONS)
+    static get EVENT_PERMISSIONS() {
+        return {
+            'draw-start': 'draw',
+            'draw-move': 'draw',
+            'draw-points': 'draw',
+            'draw-end': 'draw',
+            'draw-shape': 'draw',
+            'fill-area': 'draw',
+            'add-text': 'draw',
+            'add-image': 'draw',
+            'move-object': 'draw',
+            'style-object': 'draw',
+            'delete-object': 'draw',
+            'undo-request': 'draw',
+            'redo-request': 'draw',
+            'add-layer': 'draw',
+            'update-layer': 'draw',
+            'delete-layer': 'draw',
+            'merge-layers': 'draw',
+            'reorder-layers': 'draw',
+            'set-active-layer': 'draw',
+            'room-snapshot': 'draw',
+            'clear-canvas': 'clear',
+            'kick-user': 'kick',
+            'update-room-settings': 'settings',
+            'set-user-role': 'roles'
+        };
+    }
+    
     constructor() {
         this.app = express();
         this.server = http.createServer(this.app);
@@ -349,8 +1147,17 @@ class CollaborativeCanvasServer {
             }
         });
         
-        this.roomManager = new RoomManager();
-        this.drawingManager = new DrawingManager();
+        this.storage = createStorage();
+        this.roomManager = new RoomManager(this.storage);
+        this.drawingManager = new DrawingManager(this.storage);
+        this.rateLimiter = createRateLimiter();
+        this.authManager = new AuthManager(this.storage);
+        this.sessions = new SessionManager();
+        this.stateSync = createStateSync();
+        
+        // Point batches are rebroadcast per room every POINT_FLUSH_INTERVAL, merged per stroke
+        this.pointEncoding = process.env.POINT_ENCODING === 'binary' ? 'binary' : 'json';
+        this.pendingPoints = new Map(); // roomId -> { timer, strokes: Map(strokeId -> { socketId, sessionId, points, version }) }
         
         this.setupStaticFiles();
         this.setupRoutes();
@@ -359,135 +1166,532 @@ class CollaborativeCanvasServer {
     
     setupStaticFiles() {
         this.app.use(express.static(path.join(__dirname, '../client')));
-        this.app.use(express.json());
+        this.app.use(express.json({ limit: '1mb' })); // room for save thumbnails
         
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, '../client/index.html'));
         });
+        
+        // Join-by-URL: /r/<room-id> serves the same client, which picks the room from the path
+        this.app.get('/r/:roomId', (req, res) => {
+            res.sendFile(path.join(__dirname, '../client/index.html'));
+        });
     }
     
     setupRoutes() {
-        // API routes for canvas saving/loading
-        this.app.get('/api/canvases', (req, res) => {
-            const canvases = this.roomManager.getAllSavedCanvases();
-            res.json(canvases);
+        // API routes for room lifecycle
+        this.app.get('/api/rooms', (req, res) => {
+            const rooms = this.roomManager.getAllRoomStats().map(stats => this.withDrawingStats(stats));
+            res.json(rooms);
         });
         
-        this.app.post('/api/canvases/save', (req, res) => {
-            const { name, data } = req.body;
-            const canvasId = uuidv4();
+        // A signed-in creator owns the room; otherwise the first user to join does
+        this.app.post('/api/rooms', async (req, res) => {
+            const { id, settings } = req.body || {};
+            const roomId = id === undefined ? uuidv4().slice(0, 8) : this.roomManager.normalizeRoomId(id);
             
-            const savedCanvas = this.roomManager.saveCanvas(canvasId, {
-                name,
-                data,
-                roomState: this.drawingManager.getRoomState('default')
-            });
+            if (!roomId) {
+                return res.status(400).json({ error: 'Room id must be 1-64 letters, digits, dashes or underscores' });
+            }
             
-            res.json(savedCanvas);
+            if (this.roomManager.getRoomStats(roomId)) {
+                return res.status(409).json({ error: 'Room already exists' });
+            }
+            
+            let validatedSettings;
+            try {
+                validatedSettings = this.roomManager.validateRoomSettings(settings);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            let account;
+            try {
+                account = await this.getRequestAccount(req);
+            } catch (error) {
+                return this.sendAuthError(res, error);
+            }
+            if (account === false) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+            
+            this.roomManager.createRoom(roomId, validatedSettings, account ? account.id : null);
+            res.status(201).json(this.withDrawingStats(this.roomManager.getRoomStats(roomId)));
         });
         
-        this.app.get('/api/canvases/:id', (req, res) => {
-            const canvasId = req.params.id;
-            const canvasData = this.roomManager.loadCanvas(canvasId);
+        this.app.get('/api/rooms/:id', (req, res) => {
+            const stats = this.roomManager.getRoomStats(req.params.id);
             
-            if (canvasData) {
-                res.json(canvasData);
+            if (stats) {
+                res.json(this.withDrawingStats(stats));
             } else {
-                res.status(404).json({ error: 'Canvas not found' });
+                res.status(404).json({ error: 'Room not found' });
+            }
+        });
+        
+        // Closing a room disconnects everyone in it, so only its signed-in owner can
+        this.app.delete('/api/rooms/:id', async (req, res) => {
+            const roomId = req.params.id;
+            
+            const account = await this.requireAccount(req, res, 'Sign in as the room owner to close it');
+            if (!account) return;
+            
+            const stats = this.roomManager.getRoomStats(roomId);
+            if (!stats) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+            if (!this.roomManager.can(roomId, account.id, 'close')) {
+                return res.status(403).json({ error: 'Only the room owner can close it' });
+            }
+            
+            this.flushPoints(roomId);
+            this.io.to(roomId).emit('room-closed', { roomId });
+            this.io.in(roomId).disconnectSockets(true);
+            
+            this.roomManager.closeRoom(roomId);
+            this.rateLimiter.removeRoom(roomId);
+            this.sessions.removeRoom(roomId);
+            this.stateSync.removeRoom(roomId);
+            const archive = this.drawingManager.archiveRoomState(roomId);
+            
+            res.json({
+                success: true,
+                disconnectedUsers: stats.userCount,
+                archivedActions: archive ? archive.strokes.length : 0
+            });
+        });
+        
+        // Accounts; the returned token goes into the socket handshake as auth.token
+        this.app.post('/api/auth/register', async (req, res) => {
+            const { username, password, name } = req.body || {};
+            try {
+                const session = await this.authManager.register(username, password, {
+                    name,
+                    color: this.roomManager.generateUserColor()
+                });
+                res.status(201).json(session);
+            } catch (error) {
+                this.sendAuthError(res, error);
             }
         });
         
-        this.app.delete('/api/canvases/:id', (req, res) => {
+        this.app.post('/api/auth/login', async (req, res) => {
+            const { username, password } = req.body || {};
+            try {
+                res.json(await this.authManager.login(username, password));
+            } catch (error) {
+                this.sendAuthError(res, error);
+            }
+        });
+        
+        this.app.get('/api/auth/me', async (req, res) => {
+            try {
+                const account = await this.getRequestAccount(req);
+                if (!account) {
+                    return res.status(401).json({ error: 'Not signed in' });
+                }
+                res.json(this.authManager.getPublicUser(account));
+            } catch (error) {
+                this.sendAuthError(res, error);
+            }
+        });
+        
+        // Dropped event counters, overall and per room
+        this.app.get('/api/rate-limits', (req, res) => {
+            res.json(this.rateLimiter.getStats());
+        });
+        
+        // API routes for canvas saving/loading
+        this.app.get('/api/canvases', async (req, res) => {
+            try {
+                let canvases = await this.roomManager.getAllSavedCanvases();
+                if (req.query.roomId) {
+                    canvases = canvases.filter(canvas => canvas.roomId === req.query.roomId);
+                }
+                res.json(canvases.map(canvas => this.roomManager.getCanvasSummary(canvas)));
+            } catch (error) {
+                console.error('Error listing canvases:', error);
+                res.status(500).json({ error: 'Could not list canvases' });
+            }
+        });
+        
+        // Saving, overwriting, renaming and deleting saves are for the room owner, as loading is
+        this.app.post('/api/canvases/save', async (req, res) => {
+            const account = await this.requireAccount(req, res, 'Sign in as the room owner to save it');
+            if (!account) return;
+            
+            this.saveRoomCanvas(req, res, account, uuidv4());
+        });
+        
+        // Overwrite an existing save with the room's current state
+        this.app.put('/api/canvases/:id', async (req, res) => {
+            const account = await this.requireAccount(req, res, 'Sign in as the room owner to overwrite a save');
+            if (!account) return;
+            
+            const existing = await this.roomManager.loadCanvas(req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Canvas not found' });
+            }
+            if (!this.canManageSaves(account, existing.roomId)) {
+                return res.status(403).json({ error: 'Only the room owner can overwrite its saves' });
+            }
+            this.saveRoomCanvas(req, res, account, req.params.id, existing.roomId);
+        });
+        
+        this.app.patch('/api/canvases/:id', async (req, res) => {
+            const account = await this.requireAccount(req, res, 'Sign in as the room owner to rename a save');
+            if (!account) return;
+            
+            let metadata;
+            try {
+                metadata = this.roomManager.validateCanvasMetadata({ name: (req.body || {}).name });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (!metadata.name) {
+                return res.status(400).json({ error: 'name is required' });
+            }
+            
+            try {
+                const existing = await this.roomManager.loadCanvas(req.params.id);
+                if (!existing) {
+                    return res.status(404).json({ error: 'Canvas not found' });
+                }
+                if (!this.canManageSaves(account, existing.roomId)) {
+                    return res.status(403).json({ error: 'Only the room owner can rename its saves' });
+                }
+                
+                const renamed = await this.roomManager.renameCanvas(req.params.id, metadata.name);
+                if (renamed) {
+                    res.json(this.roomManager.getCanvasSummary(renamed));
+                } else {
+                    res.status(404).json({ error: 'Canvas not found' });
+                }
+            } catch (error) {
+                console.error('Error renaming canvas:', error);
+                res.status(500).json({ error: 'Could not rename canvas' });
+            }
+        });
+        
+        this.app.get('/api/canvases/:id', async (req, res) => {
             const canvasId = req.params.id;
-            this.roomManager.deleteCanvas(canvasId);
-            res.json({ success: true });
+            
+            try {
+                const canvasData = await this.roomManager.loadCanvas(canvasId);
+                if (canvasData) {
+                    res.json(canvasData);
+                } else {
+                    res.status(404).json({ error: 'Canvas not found' });
+                }
+            } catch (error) {
+                console.error('Error loading canvas:', error);
+                res.status(500).json({ error: 'Could not load canvas' });
+            }
         });
         
-        this.app.post('/api/canvases/:id/load', (req, res) => {
+        this.app.delete('/api/canvases/:id', async (req, res) => {
             const canvasId = req.params.id;
-            const canvasData = this.roomManager.loadCanvas(canvasId);
             
-            if (canvasData && canvasData.roomState) {
-                this.drawingManager.loadRoomState('default', canvasData.roomState);
+            const account = await this.requireAccount(req, res, 'Sign in as the room owner to delete a save');
+            if (!account) return;
+            
+            try {
+                const existing = await this.roomManager.loadCanvas(canvasId);
+                if (!existing) {
+                    return res.status(404).json({ error: 'Canvas not found' });
+                }
+                if (!this.canManageSaves(account, existing.roomId)) {
+                    return res.status(403).json({ error: 'Only the room owner can delete its saves' });
+                }
+                
+                await this.roomManager.deleteCanvas(canvasId);
                 res.json({ success: true });
-            } else {
-                res.status(404).json({ error: 'Canvas not found or invalid data' });
+            } catch (error) {
+                console.error('Error deleting canvas:', error);
+                res.status(500).json({ error: 'Could not delete canvas' });
             }
         });
+        
+        // Load a save into a room (its own room unless roomId is given) and resync everyone in it; owners only
+        this.app.post('/api/canvases/:id/load', async (req, res) => {
+            const canvasId = req.params.id;
+            
+            try {
+                const account = await this.getRequestAccount(req);
+                if (!account) {
+                    return res.status(401).json({ error: 'Sign in as the room owner to load a save' });
+                }
+                
+                const canvasData = await this.roomManager.loadCanvas(canvasId);
+                if (!canvasData || !canvasData.data || !canvasData.data.roomState) {
+                    return res.status(404).json({ error: 'Canvas not found or invalid data' });
+                }
+                
+                const requestedRoom = (req.body || {}).roomId;
+                const roomId = this.roomManager.normalizeRoomId(requestedRoom || canvasData.roomId || 'default');
+                if (!roomId) {
+                    return res.status(400).json({ error: 'Room id must be 1-64 letters, digits, dashes or underscores' });
+                }
+                
+                if (this.roomManager.getRoomStats(roomId) && !this.roomManager.can(roomId, account.id, 'load')) {
+                    return res.status(403).json({ error: 'Only the room owner can load a save' });
+                }
+                
+                const room = this.roomManager.getOrCreateRoom(roomId);
+                if (!room.ownerId) {
+                    room.ownerId = account.id;
+                    this.roomManager.saveRoom(roomId);
+                }
+                
+                this.flushPoints(roomId);
+                
+                // A copy, so drawing in the room doesn't change the cached save
+                this.drawingManager.loadRoomState(roomId, JSON.parse(JSON.stringify(canvasData.data.roomState)));
+                this.sessions.resetJournal(roomId, this.drawingManager.getRoomState(roomId).version);
+                this.stateSync.removeRoom(roomId);
+                
+                // Everyone in the room re-syncs; clients still mid-sync restart when they finish
+                const sockets = await this.io.in(roomId).fetchSockets();
+                sockets.forEach(remote => {
+                    const socket = this.io.sockets.sockets.get(remote.id);
+                    if (socket) {
+                        socket.leave(roomId);
+                        this.startSync(socket, roomId, 'canvas-loaded', { canvasId });
+                    }
+                });
+                
+                res.json({ success: true, roomId });
+            } catch (error) {
+                console.error('Error loading canvas:', error);
+                res.status(500).json({ error: 'Could not load canvas' });
+            }
+        });
+    }
+    
+    /**
+     * Shared by save and overwrite: snapshot a room's state with the request's metadata
+     */
+    async saveRoomCanvas(req, res, account, canvasId, defaultRoomId = 'default') {
+        const body = req.body || {};
+        const roomId = this.roomManager.normalizeRoomId(body.roomId || defaultRoomId);
+        
+        if (!roomId || !this.roomManager.getRoomStats(roomId)) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        if (!this.canManageSaves(account, roomId)) {
+            return res.status(403).json({ error: 'Only the room owner can save it' });
+        }
+        
+        let metadata;
+        try {
+            metadata = this.roomManager.validateCanvasMetadata({
+                name: body.name,
+                author: body.author,
+                thumbnail: body.thumbnail
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        try {
+            const savedCanvas = await this.roomManager.saveCanvas(canvasId, {
+                ...metadata,
+                roomId,
+                roomState: this.drawingManager.serializeRoomState(roomId)
+            });
+            res.status(canvasId === req.params.id ? 200 : 201).json(this.roomManager.getCanvasSummary(savedCanvas));
+        } catch (error) {
+            console.error('Error saving canvas:', error);
+            res.status(500).json({ error: 'Could not save canvas' });
+        }
     }
     
     setupSocketHandlers() {
+        // A handshake token is optional, but one that doesn't verify is refused rather than downgraded to a guest
+        this.io.use(async (socket, next) => {
+            const token = socket.handshake.auth && socket.handshake.auth.token;
+            if (!token) return next();
+            
+            try {
+                const account = await this.authManager.verifyToken(token);
+                if (!account) {
+                    return next(new Error('Invalid or expired token'));
+                }
+                socket.data.account = account;
+                next();
+            } catch (error) {
+                console.error('Token check failed:', error);
+                next(new Error('Authentication failed'));
+            }
+        });
+        
         this.io.on('connection', (socket) => {
             console.log('User connected:', socket.id);
             
-            const roomId = 'default';
-            const user = this.roomManager.addUser(socket.id, roomId);
+            const roomId = this.getSocketRoomId(socket);
+            const room = this.roomManager.getOrCreateRoom(roomId);
+            const account = socket.data.account;
+            const { sessionId, lastVersion } = socket.handshake.auth || {};
+            
+            // A reconnecting client keeps the identity of the session it presents
+            const resumed = this.sessions.resume(sessionId, roomId, account ? account.id : null);
+            let identity = null;
+            if (resumed) {
+                identity = { id: resumed.userId, name: resumed.name, color: resumed.color, isGuest: resumed.isGuest };
+            } else if (account) {
+                identity = { id: account.id, name: account.name, color: account.color, isGuest: false };
+            }
+            
+            let user;
+            try {
+                user = this.roomManager.addUser(socket.id, roomId, identity);
+            } catch (error) {
+                console.error(`Rejected ${socket.id}:`, error.message);
+                if (resumed) {
+                    this.releaseSession(resumed.id, roomId);
+                }
+                socket.emit('room-full', { roomId });
+                socket.disconnect(true);
+                return;
+            }
+            
+            // Actions are attributed to the stable user id, so undo history follows a signed-in user across sessions
+            socket.data.userId = user.id;
+            
+            const session = resumed || this.sessions.createSession(roomId, user, account ? account.id : null);
+            socket.data.sessionId = session.id;
             
             const roomState = this.drawingManager.getRoomState(roomId);
             const users = this.roomManager.getRoomUsers(roomId);
+            const permissions = this.roomManager.getPermissions(user.role);
             
-            socket.emit('init', {
-                roomState,
-                users,
-                currentUser: user
-            });
+            this.sessions.ensureJournal(roomId, roomState.version);
+            const missed = resumed
+                ? this.sessions.getMissed(roomId, lastVersion, roomState.version, session.id)
+                : null;
             
-            socket.join(roomId);
+            if (missed) {
+                socket.emit('resume', {
+                    roomId,
+                    sessionId: session.id,
+                    settings: room.settings,
+                    version: roomState.version,
+                    missed,
+                    users,
+                    currentUser: user,
+                    permissions
+                });
+                socket.join(roomId);
+            } else {
+                // Joins the room once the history has been streamed
+                this.startSync(socket, roomId, 'init');
+            }
             
             socket.to(roomId).emit('user-joined', user);
             
-            socket.on('user-name', (userName) => {
-                const updatedUser = this.roomManager.updateUserName(socket.id, userName);
-                if (updatedUser) {
-                    socket.to(roomId).emit('user-name-update', {
-                        userId: socket.id,
-                        name: userName
-                    });
-                }
+            this.onValidated(socket, roomId, 'user-name', (userName) => {
+                this.handleUserName(socket, roomId, userName);
             });
             
-            socket.on('draw-start', (data) => {
+            this.onValidated(socket, roomId, 'draw-start', (data) => {
                 this.handleDrawStart(socket, roomId, data);
             });
             
-            socket.on('draw-move', (data) => {
+            this.onValidated(socket, roomId, 'draw-move', (data) => {
                 this.handleDrawMove(socket, roomId, data);
             });
             
-            socket.on('draw-end', (data) => {
+            this.onValidated(socket, roomId, 'draw-points', (data) => {
+                this.handleDrawPoints(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'draw-end', (data) => {
                 this.handleDrawEnd(socket, roomId, data);
             });
             
-            socket.on('draw-shape', (shapeData) => {
+            this.onValidated(socket, roomId, 'draw-shape', (shapeData) => {
                 this.handleDrawShape(socket, roomId, shapeData);
             });
             
-            socket.on('fill-area', (fillData) => {
+            this.onValidated(socket, roomId, 'fill-area', (fillData) => {
                 this.handleFillArea(socket, roomId, fillData);
             });
             
-            socket.on('add-text', (textData) => {
+            this.onValidated(socket, roomId, 'add-text', (textData) => {
                 this.handleAddText(socket, roomId, textData);
             });
             
-            socket.on('add-image', (imageData) => {
+            this.onValidated(socket, roomId, 'add-image', (imageData) => {
                 this.handleAddImage(socket, roomId, imageData);
             });
             
-            socket.on('cursor-move', (data) => {
+            this.onValidated(socket, roomId, 'move-object', (moveData) => {
+                this.handleMoveObject(socket, roomId, moveData);
+            });
+            
+            this.onValidated(socket, roomId, 'style-object', (styleData) => {
+                this.handleStyleObject(socket, roomId, styleData);
+            });
+            
+            this.onValidated(socket, roomId, 'delete-object', (deleteData) => {
+                this.handleDeleteObject(socket, roomId, deleteData);
+            });
+            
+            this.onValidated(socket, roomId, 'add-layer', (layerData) => {
+                this.handleAddLayer(socket, roomId, layerData);
+            });
+            
+            this.onValidated(socket, roomId, 'update-layer', (data) => {
+                this.handleUpdateLayer(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'delete-layer', (data) => {
+                this.handleDeleteLayer(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'merge-layers', (data) => {
+                this.handleMergeLayers(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'reorder-layers', (data) => {
+                this.handleReorderLayers(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'set-active-layer', (layerId) => {
+                this.drawingManager.setActiveLayer(roomId, socket.data.userId, layerId);
+            });
+            
+            this.onValidated(socket, roomId, 'cursor-move', (data) => {
                 this.handleCursorMove(socket, roomId, data);
             });
             
-            socket.on('clear-canvas', () => {
-                this.handleClearCanvas(socket, roomId);
+            this.onValidated(socket, roomId, 'clear-canvas', (data) => {
+                this.handleClearCanvas(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'undo-request', (data) => {
+                this.handleUndo(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'redo-request', (data) => {
+                this.handleRedo(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'set-user-role', (data) => {
+                this.handleSetUserRole(socket, roomId, data);
+            });
+            
+            this.onValidated(socket, roomId, 'kick-user', (data) => {
+                this.handleKickUser(socket, roomId, data);
             });
             
-            socket.on('undo-request', () => {
-                this.handleUndo(socket, roomId);
+            this.onValidated(socket, roomId, 'update-room-settings', (settings) => {
+                this.handleUpdateRoomSettings(socket, roomId, settings);
             });
             
-            socket.on('redo-request', () => {
-                this.handleRedo(socket, roomId);
+            this.onValidated(socket, roomId, 'room-snapshot', (data) => {
+                const version = this.drawingManager.getRoomState(roomId).version;
+                this.stateSync.storeSnapshot(roomId, socket.id, data.version, data.image, version);
             });
             
             socket.on('disconnect', () => {
@@ -496,82 +1700,463 @@ class CollaborativeCanvasServer {
         });
     }
     
+    /**
+     * The request's signed-in account, or null once a 401 has been sent (message says why one is needed)
+     */
+    async requireAccount(req, res, message) {
+        let account;
+        try {
+            account = await this.getRequestAccount(req);
+        } catch (error) {
+            this.sendAuthError(res, error);
+            return null;
+        }
+        
+        if (!account) {
+            res.status(401).json({ error: account === false ? 'Invalid or expired token' : message });
+            return null;
+        }
+        return account;
+    }
+    
+    /**
+     * Saves belong to the room they were made in; a room that no longer exists has no owner
+     * to ask, so any signed-in user may manage its saves, as with a load
+     */
+    canManageSaves(account, roomId) {
+        return !this.roomManager.getRoomStats(roomId) || this.roomManager.can(roomId, account.id, 'load');
+    }
+    
+    /**
+     * The account behind a request's Bearer token: null without a token, false if the token doesn't verify
+     */
+    async getRequestAccount(req) {
+        const header = req.get('authorization') || '';
+        if (!header.startsWith('Bearer ')) return null;
+        
+        const account = await this.authManager.verifyToken(header.slice('Bearer '.length));
+        return account || false;
+    }
+    
+    sendAuthError(res, error) {
+        if (error instanceof AuthError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Auth error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+    
+    withDrawingStats(stats) {
+        const roomState = this.drawingManager.getRoomState(stats.id);
+        return {
+            ...stats,
+            strokeCount: roomState.strokes.length,
+            version: roomState.version
+        };
+    }
+    
+    getSocketRoomId(socket) {
+        const requestedRoom = socket.handshake.query.room;
+        return this.roomManager.normalizeRoomId(requestedRoom) || 'default';
+    }
+    
+    // ===== EVENT VALIDATION =====
+    
+    /**
+     * Register a socket handler that only runs for payloads matching the event's schema.
+     * The handler receives the cleaned payload; anything else is answered with an 'error' event.
+     * Events over the sender's rate limit are dropped before they are validated, and events
+     * the sender's role doesn't permit are refused.
+     */
+    onValidated(socket, roomId, event, handler) {
+        socket.on(event, (payload) => {
+            if (!socket.connected) return;
+            
+            const limit = this.rateLimiter.check(socket.id, roomId, event, payload);
+            if (!limit.allowed) {
+                this.handleRateLimited(socket, roomId, event, limit);
+                return;
+            }
+            
+            const permission = CollaborativeCanvasServer.EVENT_PERMISSIONS[event];
+            if (permission && !this.roomManager.can(roomId, socket.data.userId, permission)) {
+                this.rejectEvent(socket, roomId, {
+                    code: 'forbidden',
+                    event,
+                    message: 'Your role in this room does not allow this'
+                });
+                return;
+            }
+            
+            let data;
+            try {
+                data = validateEvent(event, payload, this.getValidationContext(roomId));
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                this.rejectEvent(socket, roomId, error);
+                return;
+            }
+            handler(data);
+        });
+    }
+    
+    getValidationContext(roomId) {
+        const stats = this.roomManager.getRoomStats(roomId);
+        if (!stats) return {};
+        
+        return {
+            canvasWidth: stats.settings.canvasWidth,
+            canvasHeight: stats.settings.canvasHeight
+        };
+    }
+    
+    /**
+     * Throttled senders hear about it once in a while; senders that keep flooding are disconnected
+     */
+    handleRateLimited(socket, roomId, event, limit) {
+        if (limit.disconnect) {
+            console.log(`Disconnecting ${socket.id} in room ${roomId} for flooding ${limit.category} events`);
+            socket.emit('error', {
+                code: 'rate-limit-exceeded',
+                event,
+                path: null,
+                message: 'Too many events; disconnected'
+            });
+            socket.disconnect(true);
+            return;
+        }
+        
+        if (limit.notify) {
+            socket.emit('rate-limited', { event, category: limit.category, scope: limit.scope });
+        }
+    }
+    
+    /**
+     * Tell the sender its event was not applied; error is a ValidationError or { code?, event, message }
+     */
+    rejectEvent(socket, roomId, error) {
+        const payload = error instanceof ValidationError
+            ? error.toJSON()
+            : { code: error.code || 'rejected-event', event: error.event, path: null, message: error.message };
+        
+        console.log(`Rejected ${payload.event} from ${socket.id} in room ${roomId}: ${payload.message}`);
+        socket.emit('error', payload);
+    }
+    
+    /**
+     * Id for a client's new action: the one it chose, unless the room's history already has it,
+     * since undo and redo find actions by id and a reused one would stand in for someone else's
+     */
+    claimActionId(socket, roomId, event, requestedId, prefix) {
+        if (!requestedId) {
+            return this.drawingManager.generateActionId(prefix, socket.data.userId);
+        }
+        if (this.drawingManager.hasAction(roomId, requestedId)) {
+            this.rejectEvent(socket, roomId, { event, message: `Action id ${requestedId} is already in use` });
+            return null;
+        }
+        return requestedId;
+    }
+    
+    // Changes to an object that was never drawn, or is undone, deleted or cleared, would only be replayed to everyone
+    requireLiveTarget(socket, roomId, event, targetId) {
+        if (this.drawingManager.isLiveObject(roomId, targetId)) return true;
+        
+        this.rejectEvent(socket, roomId, { event, message: `Object ${targetId} is not on the canvas` });
+        return false;
+    }
+    
+    // ===== ROOM ADMINISTRATION =====
+    
+    handleSetUserRole(socket, roomId, data) {
+        if (data.userId === socket.data.userId || !this.roomManager.isUserInRoom(roomId, data.userId)) {
+            this.rejectEvent(socket, roomId, { event: 'set-user-role', message: 'Role can only be set for another user in the room' });
+            return;
+        }
+        
+        const before = this.roomManager.getRoleMap(roomId);
+        this.roomManager.setUserRole(roomId, data.userId, data.role);
+        this.broadcastRoleChanges(roomId, before);
+    }
+    
+    handleKickUser(socket, roomId, data) {
+        if (data.userId === socket.data.userId || !this.roomManager.isUserInRoom(roomId, data.userId)) {
+            this.rejectEvent(socket, roomId, { event: 'kick-user', message: 'Only another user in the room can be removed' });
+            return;
+        }
+        
+        this.roomManager.getUserSocketIds(roomId, data.userId).forEach(socketId => {
+            const target = this.io.sockets.sockets.get(socketId);
+            if (target) {
+                target.emit('kicked', { roomId });
+                target.disconnect(true);
+            }
+        });
+    }
+    
+    handleUpdateRoomSettings(socket, roomId, settings) {
+        const before = this.roomManager.getRoleMap(roomId);
+        
+        let updated;
+        try {
+            updated = this.roomManager.updateRoomSettings(roomId, settings);
+        } catch (error) {
+            this.rejectEvent(socket, roomId, { event: 'update-room-settings', message: error.message });
+            return;
+        }
+        
+        this.io.to(roomId).emit('room-settings-updated', { settings: updated });
+        this.broadcastRoleChanges(roomId, before);
+    }
+    
+    // Everyone sees role changes; the affected user's client uses permissions to show or hide controls
+    broadcastRoleChanges(roomId, before) {
+        this.roomManager.getRoleMap(roomId).forEach((role, userId) => {
+            if (before.get(userId) !== role) {
+                this.io.to(roomId).emit('role-changed', {
+                    userId,
+                    role,
+                    permissions: this.roomManager.getPermissions(role)
+                });
+            }
+        });
+    }
+    
+    // Signed-in users keep a changed name on their account
+    async handleUserName(socket, roomId, userName) {
+        const name = userName.trim();
+        if (!name) return;
+        
+        const updatedUser = this.roomManager.updateUserName(socket.id, name);
+        if (!updatedUser) return;
+        this.sessions.updateSession(socket.data.sessionId, { name });
+        
+        socket.to(roomId).emit('user-name-update', {
+            userId: updatedUser.id,
+            name: name
+        });
+        
+        const account = socket.data.account;
+        if (account && account.name !== name) {
+            try {
+                socket.data.account = await this.authManager.updateName(account, name);
+            } catch (error) {
+                console.error(`Could not save name for ${account.username}:`, error);
+            }
+        }
+    }
+    
     handleDrawStart(socket, roomId, data) {
-        const stroke = this.drawingManager.startStroke(roomId, socket.id, data);
-        socket.to(roomId).emit('draw-start', stroke);
+        const strokeId = this.claimActionId(socket, roomId, 'draw-start', data.strokeId, 'stroke');
+        if (!strokeId) return;
+        
+        const stroke = this.drawingManager.startStroke(roomId, socket.data.userId, { ...data, strokeId });
+        // Each tab has its own session, so a dropped tab ends only the stroke it was drawing
+        this.sessions.updateSession(socket.data.sessionId, { strokeId });
+        this.broadcast(socket, roomId, 'draw-start', stroke);
     }
     
     handleDrawMove(socket, roomId, data) {
-        const strokeData = this.drawingManager.addStrokePoint(roomId, socket.id, data);
+        const strokeData = this.drawingManager.addStrokePoint(roomId, socket.data.userId, data);
+        if (strokeData) {
+            this.broadcast(socket, roomId, 'draw-move', strokeData);
+        }
+    }
+    
+    handleDrawPoints(socket, roomId, data) {
+        const strokeData = this.drawingManager.addStrokePoints(roomId, socket.data.userId, data.points, data.strokeId);
         if (strokeData) {
-            socket.to(roomId).emit('draw-move', strokeData);
+            this.queuePoints(socket, roomId, strokeData.strokeId, strokeData.points);
         }
     }
     
+    // The author gets draw-end too, since the simplified points replace what it drew
     handleDrawEnd(socket, roomId, data) {
-        this.drawingManager.endStroke(roomId, socket.id);
-        socket.to(roomId).emit('draw-end', data);
+        const stroke = this.drawingManager.endStroke(roomId, socket.data.userId, data.strokeId);
+        if (stroke) {
+            this.broadcast(socket, roomId, 'draw-end', this.getDrawEndPayload(stroke), { includeSender: true });
+        }
+    }
+    
+    getDrawEndPayload(stroke) {
+        return { strokeId: stroke.id, ...PointCodec.encode(stroke.points) };
     }
     
     handleDrawShape(socket, roomId, shapeData) {
-        const roomState = this.drawingManager.getRoomState(roomId);
+        const id = this.claimActionId(socket, roomId, 'draw-shape', shapeData.id, 'shape');
+        if (!id) return;
+        
         const shape = {
             ...shapeData,
-            userId: socket.id,
+            id,
+            userId: socket.data.userId,
             type: 'shape',
             timestamp: new Date()
         };
-        roomState.strokes.push(shape);
-        socket.to(roomId).emit('draw-shape', shape);
+        this.drawingManager.addAction(roomId, socket.data.userId, shape);
+        this.broadcast(socket, roomId, 'draw-shape', shape);
     }
     
     handleFillArea(socket, roomId, fillData) {
+        const id = this.claimActionId(socket, roomId, 'fill-area', fillData.id, 'fill');
+        if (!id) return;
+        
         const fillAction = {
             ...fillData,
-            userId: socket.id,
+            id,
+            userId: socket.data.userId,
             type: 'fill',
             timestamp: new Date()
         };
         
-        const roomState = this.drawingManager.getRoomState(roomId);
-        roomState.strokes.push(fillAction);
+        this.drawingManager.addAction(roomId, socket.data.userId, fillAction);
         
-        socket.to(roomId).emit('fill-area', fillAction);
+        this.broadcast(socket, roomId, 'fill-area', fillAction);
     }
     
     handleAddText(socket, roomId, textData) {
+        const id = this.claimActionId(socket, roomId, 'add-text', textData.id, 'text');
+        if (!id) return;
+        
         const textAction = {
             ...textData,
-            userId: socket.id,
+            id,
+            userId: socket.data.userId,
             type: 'text',
             timestamp: new Date()
         };
         
-        const roomState = this.drawingManager.getRoomState(roomId);
-        roomState.strokes.push(textAction);
+        this.drawingManager.addAction(roomId, socket.data.userId, textAction);
         
-        socket.to(roomId).emit('add-text', textAction);
+        this.broadcast(socket, roomId, 'add-text', textAction);
     }
     
     handleAddImage(socket, roomId, imageData) {
+        const id = this.claimActionId(socket, roomId, 'add-image', imageData.id, 'image');
+        if (!id) return;
+        
         const imageAction = {
             ...imageData,
-            userId: socket.id,
+            id,
+            userId: socket.data.userId,
             type: 'image',
             timestamp: new Date()
         };
         
-        const roomState = this.drawingManager.getRoomState(roomId);
-        roomState.strokes.push(imageAction);
+        this.drawingManager.addAction(roomId, socket.data.userId, imageAction);
+        
+        this.broadcast(socket, roomId, 'add-image', imageAction);
+    }
+    
+    // Moves, style changes and deletes are logged like any other action so late joiners replay them and undo can revert them
+    handleMoveObject(socket, roomId, moveData) {
+        if (!this.requireLiveTarget(socket, roomId, 'move-object', moveData.targetId)) return;
+        const id = this.claimActionId(socket, roomId, 'move-object', moveData.id, 'move');
+        if (!id) return;
+        
+        const moveAction = {
+            ...moveData,
+            id,
+            userId: socket.data.userId,
+            type: 'move',
+            timestamp: new Date()
+        };
+        
+        this.drawingManager.addAction(roomId, socket.data.userId, moveAction);
+        
+        this.broadcast(socket, roomId, 'move-object', moveAction);
+    }
+    
+    handleStyleObject(socket, roomId, styleData) {
+        if (!this.requireLiveTarget(socket, roomId, 'style-object', styleData.targetId)) return;
+        const id = this.claimActionId(socket, roomId, 'style-object', styleData.id, 'style');
+        if (!id) return;
+        
+        const styleAction = {
+            ...styleData,
+            id,
+            userId: socket.data.userId,
+            type: 'style',
+            timestamp: new Date()
+        };
+        
+        this.drawingManager.addAction(roomId, socket.data.userId, styleAction);
         
-        socket.to(roomId).emit('add-image', imageAction);
+        this.broadcast(socket, roomId, 'style-object', styleAction);
+    }
+    
+    handleDeleteObject(socket, roomId, deleteData) {
+        if (!this.requireLiveTarget(socket, roomId, 'delete-object', deleteData.targetId)) return;
+        const id = this.claimActionId(socket, roomId, 'delete-object', deleteData.id, 'delete');
+        if (!id) return;
+        
+        const deleteAction = {
+            ...deleteData,
+            id,
+            userId: socket.data.userId,
+            type: 'delete',
+            timestamp: new Date()
+        };
+        
+        this.drawingManager.addAction(roomId, socket.data.userId, deleteAction);
+        
+        this.broadcast(socket, roomId, 'delete-object', deleteAction);
+    }
+    
+    // Adds, deletes and merges come back to the sender, which applies them only then; updates and
+    // reorders are applied by the sender optimistically. Rejected changes are reported back and not broadcast
+    handleAddLayer(socket, roomId, layerData) {
+        const layer = this.drawingManager.addLayer(roomId, layerData);
+        if (!layer) {
+            const full = this.drawingManager.getRoomState(roomId).layers.length >= DrawingManager.MAX_LAYERS;
+            const message = full ? `Rooms can have at most ${DrawingManager.MAX_LAYERS} layers` : 'Layer could not be added';
+            this.rejectEvent(socket, roomId, { event: 'add-layer', message });
+            return;
+        }
+        this.broadcast(socket, roomId, 'layer-added', layer, { includeSender: true });
+    }
+    
+    handleUpdateLayer(socket, roomId, data) {
+        const changes = this.drawingManager.updateLayer(roomId, data.layerId, data.changes);
+        if (!changes) {
+            this.rejectEvent(socket, roomId, { event: 'update-layer', message: 'Layer could not be updated' });
+            return;
+        }
+        this.broadcast(socket, roomId, 'layer-updated', { layerId: data.layerId, changes });
+    }
+    
+    handleDeleteLayer(socket, roomId, data) {
+        const deletion = this.drawingManager.deleteLayer(roomId, data.layerId, data.content);
+        if (!deletion) {
+            this.rejectEvent(socket, roomId, { event: 'delete-layer', message: 'Layer could not be deleted' });
+            return;
+        }
+        this.broadcast(socket, roomId, 'layer-deleted', deletion, { includeSender: true });
+    }
+    
+    handleMergeLayers(socket, roomId, data) {
+        const merge = this.drawingManager.mergeLayers(roomId, data.sourceIds, data.targetLayerId);
+        if (!merge) {
+            this.rejectEvent(socket, roomId, { event: 'merge-layers', message: 'Layers could not be merged' });
+            return;
+        }
+        this.broadcast(socket, roomId, 'layers-merged', merge, { includeSender: true });
+    }
+    
+    handleReorderLayers(socket, roomId, data) {
+        const order = this.drawingManager.reorderLayers(roomId, data.order);
+        if (!order) {
+            this.rejectEvent(socket, roomId, { event: 'reorder-layers', message: 'Layer order was not accepted' });
+            return;
+        }
+        this.broadcast(socket, roomId, 'layers-reordered', { order });
     }
     
     handleCursorMove(socket, roomId, data) {
         const user = this.roomManager.updateUserCursor(socket.id, data);
         if (user) {
             socket.to(roomId).emit('cursor-move', {
-                userId: socket.id,
+                userId: user.id,
                 cursor: data,
                 color: user.color,
                 name: user.name
@@ -579,39 +2164,271 @@ class CollaborativeCanvasServer {
         }
     }
     
-    handleClearCanvas(socket, roomId) {
-        this.drawingManager.clearCanvas(roomId);
-        this.io.to(roomId).emit('canvas-cleared');
+    handleClearCanvas(socket, roomId, data) {
+        const id = this.claimActionId(socket, roomId, 'clear-canvas', data.id, 'clear');
+        if (!id) return;
+        
+        const clearAction = this.drawingManager.clearCanvas(roomId, socket.data.userId, id);
+        this.broadcast(socket, roomId, 'canvas-cleared', clearAction, { includeSender: true });
     }
     
-    handleUndo(socket, roomId) {
-        const undoneStroke = this.drawingManager.undo(roomId);
-        if (undoneStroke) {
-            this.io.to(roomId).emit('stroke-undone', undoneStroke.id);
+    handleUndo(socket, roomId, data) {
+        const undoneAction = this.drawingManager.undo(roomId, socket.data.userId, data.strokeId);
+        if (undoneAction) {
+            this.broadcast(socket, roomId, 'stroke-undone', {
+                actionId: undoneAction.id,
+                userId: socket.data.userId
+            });
         }
     }
     
-    handleRedo(socket, roomId) {
-        const redoneStroke = this.drawingManager.redo(roomId);
-        if (redoneStroke) {
-            socket.to(roomId).emit('stroke-redone', redoneStroke);
+    handleRedo(socket, roomId, data) {
+        const redoneAction = this.drawingManager.redo(roomId, socket.data.userId, data.actionId);
+        if (redoneAction) {
+            this.broadcast(socket, roomId, 'stroke-redone', {
+                actionId: redoneAction.id,
+                userId: socket.data.userId,
+                action: redoneAction
+            });
         }
     }
     
     handleDisconnect(socket, roomId) {
         console.log('User disconnected:', socket.id);
-        this.roomManager.removeUser(socket.id);
-        socket.to(roomId).emit('user-left', socket.id);
+        const user = this.roomManager.removeUser(socket.id);
+        this.rateLimiter.removeSocket(socket.id);
+        
+        // Another tab of the same signed-in user may still be here
+        if (user && !this.roomManager.isUserInRoom(roomId, user.id)) {
+            socket.to(roomId).emit('user-left', user.id);
+        }
+        
+        if (socket.data.sessionId) {
+            this.releaseSession(socket.data.sessionId, roomId);
+        }
+    }
+    
+    // ===== INITIAL SYNC =====
+    
+    /**
+     * Send the room state without its history, then stream the history in acknowledged chunks.
+     * The socket joins the room at the end and gets the events it missed meanwhile from the journal.
+     */
+    startSync(socket, roomId, event, extra = {}) {
+        const user = this.roomManager.getUser(socket.id);
+        const room = this.roomManager.getOrCreateRoom(roomId);
+        // Points already applied but not yet sent would otherwise reach this socket twice
+        this.flushPoints(roomId);
+        
+        const roomState = this.drawingManager.getRoomState(roomId);
+        const sync = this.stateSync.createSync(roomState);
+        
+        this.sessions.ensureJournal(roomId, sync.version);
+        
+        socket.emit(event, {
+            roomId,
+            ...extra,
+            sessionId: socket.data.sessionId,
+            settings: room.settings,
+            // Only what this user may see: other users' redo stacks and active layers stay on the server
+            roomState: {
+                layers: roomState.layers,
+                canvasState: roomState.canvasState,
+                version: roomState.version,
+                redoStack: roomState.redoStacks[user.id] || []
+            },
+            users: this.roomManager.getRoomUsers(roomId),
+            currentUser: user,
+            permissions: this.roomManager.getPermissions(user.role),
+            pointEncoding: this.pointEncoding,
+            sync: {
+                id: sync.id,
+                total: sync.actions.length,
+                snapshot: this.stateSync.getSnapshot(roomId, sync.version)
+            }
+        });
+        
+        this.sendSyncChunk(socket, roomId, sync);
+    }
+    
+    sendSyncChunk(socket, roomId, sync) {
+        // Closed rooms and kicked users end the sync with the socket
+        if (!socket.connected || !this.roomManager.getUser(socket.id)) return;
+        
+        if (this.stateSync.isComplete(sync)) {
+            this.completeSync(socket, roomId, sync);
+            return;
+        }
+        
+        const actions = this.stateSync.nextChunk(sync);
+        socket.timeout(this.stateSync.ackTimeout).emit('sync-chunk', {
+            syncId: sync.id,
+            actions,
+            received: sync.sent,
+            total: sync.actions.length
+        }, (error) => {
+            if (error) {
+                console.error(`Sync to ${socket.id} timed out`);
+                socket.disconnect(true);
+                return;
+            }
+            this.sendSyncChunk(socket, roomId, sync);
+        });
+    }
+    
+    completeSync(socket, roomId, sync) {
+        this.flushPoints(roomId);
+        const roomState = this.drawingManager.getRoomState(roomId);
+        // The client's history is replaced by the synced one, so its own events are included
+        const missed = this.sessions.getMissed(roomId, sync.version, roomState.version);
+        
+        // A load or a very busy room outran the journal; start over from the current state
+        if (!missed) {
+            this.startSync(socket, roomId, 'init');
+            return;
+        }
+        
+        const user = this.roomManager.getUser(socket.id);
+        socket.join(roomId);
+        socket.emit('sync-complete', {
+            syncId: sync.id,
+            version: roomState.version,
+            missed,
+            settings: this.roomManager.getOrCreateRoom(roomId).settings,
+            users: this.roomManager.getRoomUsers(roomId),
+            currentUser: user,
+            permissions: this.roomManager.getPermissions(user.role)
+        });
+        
+        // Freshly synced editors render the snapshot that speeds up the next join
+        if (this.roomManager.can(roomId, user.id, 'draw') && this.stateSync.needsSnapshot(roomId, roomState.version)) {
+            this.stateSync.markRequested(roomId, roomState.version, socket.id);
+            socket.emit('snapshot-request', { version: roomState.version });
+        }
+    }
+    
+    // ===== POINT BATCHING =====
+    
+    static get POINT_FLUSH_INTERVAL() {
+        return 16; // ms, about one frame
+    }
+    
+    queuePoints(socket, roomId, strokeId, points) {
+        let pending = this.pendingPoints.get(roomId);
+        if (!pending) {
+            pending = {
+                strokes: new Map(),
+                timer: setTimeout(() => this.flushPoints(roomId), CollaborativeCanvasServer.POINT_FLUSH_INTERVAL)
+            };
+            this.pendingPoints.set(roomId, pending);
+        }
+        
+        let entry = pending.strokes.get(strokeId);
+        if (!entry) {
+            entry = { socketId: socket.id, sessionId: socket.data.sessionId, points: [] };
+            pending.strokes.set(strokeId, entry);
+        }
+        entry.points.push(...points);
+        
+        // The version after these points, so the batch sorts before anything applied later
+        entry.version = this.drawingManager.getRoomState(roomId).version;
+    }
+    
+    /**
+     * Send each stroke's queued points as one delta-encoded draw-points batch
+     */
+    flushPoints(roomId) {
+        const pending = this.pendingPoints.get(roomId);
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.pendingPoints.delete(roomId);
+        
+        pending.strokes.forEach((entry, strokeId) => {
+            const payload = {
+                strokeId,
+                ...PointCodec.encode(entry.points, { binary: this.pointEncoding === 'binary' })
+            };
+            this.sessions.record(roomId, entry.version, 'draw-points', payload, entry.sessionId);
+            this.io.to(roomId).except(entry.socketId).emit('draw-points', payload, entry.version);
+        });
+    }
+    
+    // ===== SESSION RESUME =====
+    
+    /**
+     * Send a state change to the room and journal it for clients that are reconnecting.
+     * The room version goes along as a second argument so clients know where they are.
+     */
+    broadcast(socket, roomId, event, payload, { includeSender = false } = {}) {
+        // Queued points go first so every client sees events in the order they were applied
+        this.flushPoints(roomId);
+        
+        const version = this.drawingManager.getRoomState(roomId).version;
+        // Events the sender gets too are replayed to it on resume, in case it missed them
+        this.sessions.record(roomId, version, event, payload, includeSender ? null : socket.data.sessionId);
+        
+        const target = includeSender ? this.io.to(roomId) : socket.to(roomId);
+        target.emit(event, payload, version);
     }
     
-    start(port = 3000) {
+    /**
+     * Keep a dropped session resumable for a while; if nobody comes back, finish its stroke
+     * and hand over ownership as if the user had left for good
+     */
+    releaseSession(sessionId, roomId) {
+        this.sessions.release(sessionId, (session) => {
+            if (!this.roomManager.getRoomStats(roomId)) return;
+            
+            const roomState = this.drawingManager.getRoomState(roomId);
+            if (session.strokeId && roomState.currentStrokes.has(session.strokeId)) {
+                this.flushPoints(roomId);
+                const payload = this.getDrawEndPayload(this.drawingManager.endStroke(roomId, session.userId, session.strokeId));
+                const version = roomState.version;
+                this.sessions.record(roomId, version, 'draw-end', payload, session.id);
+                this.io.to(roomId).emit('draw-end', payload, version);
+            }
+            
+            // The user may still be here in another tab
+            if (this.roomManager.isUserInRoom(roomId, session.userId)) return;
+            
+            const before = this.roomManager.getRoleMap(roomId);
+            if (this.roomManager.handOverOwnership(roomId, { id: session.userId, isGuest: session.isGuest })) {
+                this.broadcastRoleChanges(roomId, before);
+            }
+        });
+    }
+    
+    async start(port = 3000) {
+        // Rooms come back from storage before anyone can connect
+        await this.storage.init();
+        await this.authManager.init();
+        await this.roomManager.restoreRooms();
+        const restoredRooms = await this.drawingManager.restoreRooms();
+        restoredRooms.forEach(roomId => this.roomManager.getOrCreateRoom(roomId));
+        
         this.server.listen(port, () => {
             console.log(`🎨 Collaborative Canvas Server running on port ${port}`);
             console.log(`👉 Open http://localhost:${port} in multiple browsers to test collaboration`);
         });
     }
+    
+    // Flush batched writes before exiting
+    async stop() {
+        this.io.close();
+        await this.storage.close();
+    }
 }
 
 // Install required package: npm install uuid
 const server = new CollaborativeCanvasServer();
-server.start(process.env.PORT || 3000);
\ No newline at end of file
+server.start(process.env.PORT || 3000).catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+});
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        server.stop().finally(() => process.exit(0));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+/**
+ * Sessions that outlive a dropped socket for a grace period, and a per-room journal of
+ * broadcast events so a reconnecting client only gets what it missed.
+ */
+class SessionManager {
+    constructor(options = {}) {
+        this.gracePeriod = options.gracePeriod !== undefined ? options.gracePeriod : 2 * 60 * 1000;
+        this.journalSize = options.journalSize !== undefined ? options.journalSize : 10000;
+        this.journalBytes = options.journalBytes !== undefined ? options.journalBytes : 16 * 1024 * 1024;
+        
+        this.sessions = new Map(); // sessionId -> session
+        this.journals = new Map(); // roomId -> { startVersion, entries, bytes }
+    }
+    
+    // ===== SESSIONS =====
+    
+    createSession(roomId, user, accountId = null) {
+        const session = {
+            id: crypto.randomBytes(16).toString('hex'),
+            roomId,
+            userId: user.id,
+            name: user.name,
+            color: user.color,
+            isGuest: user.isGuest,
+            accountId,
+            expiryTimer: null
+        };
+        
+        this.sessions.set(session.id, session);
+        return session;
+    }
+    
+    /**
+     * Claim a session for a new socket; null unless it exists, belongs to this room and
+     * was opened by the same account (or by a guest, for guests)
+     */
+    resume(sessionId, roomId, accountId = null) {
+        const session = typeof sessionId === 'string' ? this.sessions.get(sessionId) : null;
+        if (!session || session.roomId !== roomId || session.accountId !== accountId) {
+            return null;
+        }
+        
+        if (session.expiryTimer) {
+            clearTimeout(session.expiryTimer);
+            session.expiryTimer = null;
+        }
+        return session;
+    }
+    
+    updateSession(sessionId, changes) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            Object.assign(session, changes);
+        }
+        return session || null;
+    }
+    
+    /**
+     * The socket is gone; onExpire(session) runs if nobody resumes the session in time
+     */
+    release(sessionId, onExpire) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+        
+        session.expiryTimer = setTimeout(() => {
+            this.sessions.delete(sessionId);
+            onExpire(session);
+        }, this.gracePeriod);
+        
+        if (session.expiryTimer.unref) {
+            session.expiryTimer.unref();
+        }
+    }
+    
+    // ===== JOURNAL =====
+    
+    // A journal only covers changes made after it was started
+    ensureJournal(roomId, version) {
+        if (!this.journals.has(roomId)) {
+            this.resetJournal(roomId, version);
+        }
+    }
+    
+    resetJournal(roomId, version) {
+        this.journals.set(roomId, { startVersion: version, entries: [], bytes: 0 });
+    }
+    
+    record(roomId, version, event, payload, origin = null) {
+        this.ensureJournal(roomId, version);
+        
+        const journal = this.journals.get(roomId);
+        const size = payloadSize(payload);
+        journal.entries.push({ version, event, payload, origin, size });
+        journal.bytes += size;
+        
+        // Capped by entry count and payload bytes; the oldest entries go first
+        while (journal.entries.length > this.journalSize || journal.bytes > this.journalBytes) {
+            const evicted = journal.entries.shift();
+            journal.startVersion = evicted.version;
+            journal.bytes -= evicted.size;
+        }
+    }
+    
+    /**
+     * Events after lastVersion, minus the ones the session itself sent (all of them without a
+     * session), or null when the journal can't account for everything since lastVersion
+     */
+    getMissed(roomId, lastVersion, currentVersion, sessionId = null) {
+        const journal = this.journals.get(roomId);
+        if (!journal || typeof lastVersion !== 'number') return null;
+        if (lastVersion < journal.startVersion || lastVersion > currentVersion) return null;
+        
+        return journal.entries
+            .filter(entry => entry.version > lastVersion && (!sessionId || entry.origin !== sessionId))
+            .map(({ version, event, payload }) => ({ version, event, payload }));
+    }
+    
+    removeRoom(roomId) {
+        this.journals.delete(roomId);
+    }
+}
+
+// Binary point batches count at their real size; JSON.stringify would see them as {}
+function payloadSize(payload) {
+    if (payload === null || typeof payload !== 'object') {
+        return Buffer.byteLength(JSON.stringify(payload) || '');
+    }
+    
+    return Object.keys(payload).reduce((total, key) => {
+        const value = payload[key];
+        const size = value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+            ? value.byteLength
+            : Buffer.byteLength(JSON.stringify(value) || '');
+        return total + key.length + size;
+    }, 0);
+}
+
+module.exports = { SessionManager };
@@ -0,0 +1,113 @@
+/**
+ * Initial sync for joining clients: the action history follows init in chunks, each sent once
+ * the previous one is acknowledged, and a recent render from an editor is shown meanwhile.
+ */
+class StateSync {
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || 256 * 1024; // characters of JSON per chunk
+        this.ackTimeout = options.ackTimeout || 30000;
+        this.snapshots = options.snapshots !== undefined ? options.snapshots : true;
+        this.maxSnapshotLag = options.maxSnapshotLag || 200; // versions
+        
+        this.roomSnapshots = new Map(); // roomId -> { version, image, createdAt }
+        this.pendingRequests = new Map(); // roomId -> { version, socketId } of the last snapshot request
+        this.nextSyncId = 1;
+    }
+    
+    /**
+     * Freeze the history to send. Actions are shared with the room, except strokes still being
+     * drawn, whose points keep growing and arrive again as live draw-move events.
+     */
+    createSync(roomState) {
+        const drawing = new Set();
+        roomState.currentStrokes.forEach(stroke => drawing.add(stroke));
+        
+        return {
+            id: this.nextSyncId++,
+            version: roomState.version,
+            actions: roomState.strokes.map(action => (
+                drawing.has(action) ? { ...action, points: action.points.slice() } : action
+            )),
+            sent: 0
+        };
+    }
+    
+    /**
+     * Next batch of actions, at least one, stopping once the batch reaches chunkSize
+     */
+    nextChunk(sync) {
+        const actions = [];
+        let size = 0;
+        
+        while (sync.sent < sync.actions.length && (actions.length === 0 || size < this.chunkSize)) {
+            const action = sync.actions[sync.sent++];
+            size += JSON.stringify(action).length;
+            actions.push(action);
+        }
+        return actions;
+    }
+    
+    isComplete(sync) {
+        return sync.sent >= sync.actions.length;
+    }
+    
+    // ===== SNAPSHOTS =====
+    
+    getSnapshot(roomId, version) {
+        if (!this.snapshots) return null;
+        
+        const snapshot = this.roomSnapshots.get(roomId);
+        if (!snapshot || version - snapshot.version > this.maxSnapshotLag) return null;
+        return snapshot;
+    }
+    
+    /**
+     * Whether to ask a client for a fresh render; once per version so every joiner doesn't render
+     */
+    needsSnapshot(roomId, version) {
+        const pending = this.pendingRequests.get(roomId);
+        if (!this.snapshots || (pending && pending.version === version)) return false;
+        
+        const snapshot = this.roomSnapshots.get(roomId);
+        return !snapshot || version - snapshot.version > this.maxSnapshotLag / 2;
+    }
+    
+    markRequested(roomId, version, socketId) {
+        this.pendingRequests.set(roomId, { version, socketId });
+    }
+    
+    /**
+     * Keep a client render if this socket was asked for it, at this version, and it is newer
+     * than the current one and not ahead of the room. The request is used up either way.
+     */
+    storeSnapshot(roomId, socketId, version, image, currentVersion) {
+        const pending = this.pendingRequests.get(roomId);
+        if (!pending || pending.socketId !== socketId || pending.version !== version) return false;
+        this.pendingRequests.delete(roomId);
+        
+        const existing = this.roomSnapshots.get(roomId);
+        if (version > currentVersion || (existing && existing.version >= version)) return false;
+        
+        this.roomSnapshots.set(roomId, { version, image, createdAt: new Date() });
+        return true;
+    }
+    
+    // A loaded save replaces the whole drawing, so the old render no longer applies
+    removeRoom(roomId) {
+        this.roomSnapshots.delete(roomId);
+        this.pendingRequests.delete(roomId);
+    }
+}
+
+/**
+ * Build from options, or from SYNC_CHUNK_SIZE and SYNC_SNAPSHOTS ('off' disables snapshots)
+ */
+function createStateSync(options = {}) {
+    return new StateSync({
+        chunkSize: Number(process.env.SYNC_CHUNK_SIZE) || undefined,
+        snapshots: process.env.SYNC_SNAPSHOTS !== 'off',
+        ...options
+    });
+}
+
+module.exports = { StateSync, createStateSync };
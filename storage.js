@@ -0,0 +1,533 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Durable storage for room state and saved canvases.
+ *
+ * Room state is kept as a snapshot plus an append-only log of the DrawingManager
+ * commands applied since that snapshot. Commands are batched and written on a short
+ * timer; once a room's log grows past compactThreshold the caller writes a fresh
+ * snapshot, which replaces the log. Room metadata (settings, owner, roles) is stored
+ * beside it as one record per room and removed with the room.
+ *
+ * Backends implement persistCommands, persistSnapshot, readRooms, removeRoom,
+ * persistRoomMeta, readRoomMetas, the
+ * saved-canvas methods and the account methods (createUser, saveUser, loadUser,
+ * loadSecret, saveSecret); the batching and write ordering live here.
+ */
+class RoomStorage {
+    constructor(options = {}) {
+        this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 100;
+        this.compactThreshold = options.compactThreshold !== undefined ? options.compactThreshold : 500;
+
+        this.pendingCommands = new Map(); // roomId -> serialized commands not yet written
+        this.logLengths = new Map(); // roomId -> commands stored since the last snapshot
+        this.writeQueues = new Map(); // roomId -> promise of the last queued write
+        this.flushTimer = null;
+    }
+
+    async init() {}
+
+    /**
+     * Queue a command for the room's log; it is serialized now so later mutations don't leak into it
+     */
+    appendCommand(roomId, command) {
+        if (!this.pendingCommands.has(roomId)) {
+            this.pendingCommands.set(roomId, []);
+        }
+        this.pendingCommands.get(roomId).push(JSON.stringify(command));
+        this.logLengths.set(roomId, (this.logLengths.get(roomId) || 0) + 1);
+        this.scheduleFlush();
+    }
+
+    needsCompaction(roomId) {
+        return (this.logLengths.get(roomId) || 0) >= this.compactThreshold;
+    }
+
+    /**
+     * Replace the room's log with a snapshot; queued commands are already part of it
+     */
+    writeSnapshot(roomId, state) {
+        const serialized = JSON.stringify(state);
+        this.pendingCommands.delete(roomId);
+        this.logLengths.set(roomId, 0);
+        return this.enqueue(roomId, () => this.persistSnapshot(roomId, serialized));
+    }
+
+    /**
+     * Replace the room's stored metadata; queued behind the room's other writes
+     */
+    saveRoomMeta(roomId, meta) {
+        const serialized = JSON.stringify(meta);
+        return this.enqueue(roomId, () => this.persistRoomMeta(roomId, serialized));
+    }
+
+    /**
+     * Room metadata as { roomId, meta } for restoring rooms at startup
+     */
+    loadRoomMetas() {
+        return this.readRoomMetas();
+    }
+
+    deleteRoom(roomId) {
+        this.pendingCommands.delete(roomId);
+        this.logLengths.delete(roomId);
+        return this.enqueue(roomId, () => this.removeRoom(roomId));
+    }
+
+    /**
+     * Rooms as { roomId, snapshot, commands } for replay at startup
+     */
+    async loadRooms() {
+        const rooms = await this.readRooms();
+        rooms.forEach(room => this.logLengths.set(room.roomId, room.commands.length));
+        return rooms;
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushInterval);
+
+        if (this.flushTimer.unref) {
+            this.flushTimer.unref();
+        }
+    }
+
+    flush() {
+        const writes = [];
+        this.pendingCommands.forEach((commands, roomId) => {
+            writes.push(this.enqueue(roomId, () => this.persistCommands(roomId, commands)));
+        });
+        this.pendingCommands.clear();
+        return Promise.all(writes);
+    }
+
+    // Writes for one room run strictly in order so a snapshot never races its log
+    enqueue(roomId, write) {
+        const previous = this.writeQueues.get(roomId) || Promise.resolve();
+        const next = previous.then(write).catch(error => {
+            console.error(`Storage write failed for room ${roomId}:`, error);
+        });
+
+        this.writeQueues.set(roomId, next);
+        next.then(() => {
+            if (this.writeQueues.get(roomId) === next) {
+                this.writeQueues.delete(roomId);
+            }
+        });
+        return next;
+    }
+
+    async close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        await this.flush();
+        await Promise.all(Array.from(this.writeQueues.values()));
+    }
+}
+
+/**
+ * One JSON-lines log per room under <dir>/rooms; the first line may be a snapshot.
+ * Each room's metadata sits next to its log as <roomId>.meta.json.
+ * Saved canvases are one JSON file each under <savesDir>, accounts one under <dir>/users.
+ */
+class FileStorage extends RoomStorage {
+    constructor(options = {}) {
+        super(options);
+        this.dir = options.dir || path.join(__dirname, 'data');
+        this.roomsDir = path.join(this.dir, 'rooms');
+        // Saves stay in the original saves/ folder unless a data directory is configured
+        this.savesDir = options.savesDir || (options.dir ? path.join(options.dir, 'saves') : path.join(__dirname, 'saves'));
+        this.usersDir = path.join(this.dir, 'users');
+        this.secretPath = path.join(this.dir, 'auth-secret');
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.roomsDir, { recursive: true });
+        await fs.promises.mkdir(this.savesDir, { recursive: true });
+        await fs.promises.mkdir(this.usersDir, { recursive: true });
+    }
+
+    roomLogPath(roomId) {
+        return path.join(this.roomsDir, `${roomId}.log`);
+    }
+
+    async persistCommands(roomId, commands) {
+        const lines = commands.map(command => `{"type":"command","command":${command}}\n`).join('');
+        await fs.promises.appendFile(this.roomLogPath(roomId), lines);
+    }
+
+    async persistSnapshot(roomId, state) {
+        // Write then rename so a crash never leaves a half-written log behind
+        const logPath = this.roomLogPath(roomId);
+        const tempPath = `${logPath}.tmp`;
+        await fs.promises.writeFile(tempPath, `{"type":"snapshot","state":${state}}\n`);
+        await fs.promises.rename(tempPath, logPath);
+    }
+
+    async readRooms() {
+        const files = await fs.promises.readdir(this.roomsDir);
+        const rooms = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.log')) continue;
+
+            const roomId = file.slice(0, -'.log'.length);
+            const content = await fs.promises.readFile(path.join(this.roomsDir, file), 'utf8');
+            const room = { roomId, snapshot: null, commands: [] };
+
+            content.split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A torn last line from a crash mid-append is skipped
+                    console.error(`Skipping unreadable line ${index + 1} in ${file}`);
+                    return;
+                }
+
+                if (record.type === 'snapshot') {
+                    room.snapshot = record.state;
+                    room.commands = [];
+                } else if (record.type === 'command') {
+                    room.commands.push(record.command);
+                }
+            });
+
+            rooms.push(room);
+        }
+        return rooms;
+    }
+
+    roomMetaPath(roomId) {
+        return path.join(this.roomsDir, `${roomId}.meta.json`);
+    }
+
+    async persistRoomMeta(roomId, meta) {
+        const metaPath = this.roomMetaPath(roomId);
+        const tempPath = `${metaPath}.tmp`;
+        await fs.promises.writeFile(tempPath, meta);
+        await fs.promises.rename(tempPath, metaPath);
+    }
+
+    async readRoomMetas() {
+        const files = await fs.promises.readdir(this.roomsDir);
+        const metas = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.meta.json')) continue;
+
+            try {
+                const meta = JSON.parse(await fs.promises.readFile(path.join(this.roomsDir, file), 'utf8'));
+                metas.push({ roomId: file.slice(0, -'.meta.json'.length), meta });
+            } catch (error) {
+                console.error(`Skipping unreadable room metadata ${file}:`, error);
+            }
+        }
+        return metas;
+    }
+
+    async removeRoom(roomId) {
+        await fs.promises.rm(this.roomLogPath(roomId), { force: true });
+        await fs.promises.rm(this.roomMetaPath(roomId), { force: true });
+    }
+
+    // Canvas ids become file names, so anything but a plain id is treated as missing
+    canvasPath(canvasId) {
+        return /^[\w-]{1,128}$/.test(canvasId) ? path.join(this.savesDir, `${canvasId}.json`) : null;
+    }
+
+    async saveCanvas(canvas) {
+        const filePath = this.canvasPath(canvas.id);
+        if (!filePath) throw new Error(`Invalid canvas id: ${canvas.id}`);
+
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(canvas, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async loadCanvas(canvasId) {
+        const filePath = this.canvasPath(canvasId);
+        if (!filePath) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error loading canvas ${canvasId}:`, error);
+            }
+            return null;
+        }
+    }
+
+    async listCanvases() {
+        const files = await fs.promises.readdir(this.savesDir);
+        const canvases = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.loadCanvas(file.slice(0, -'.json'.length))));
+        return canvases.filter(Boolean);
+    }
+
+    async deleteCanvas(canvasId) {
+        const filePath = this.canvasPath(canvasId);
+        if (filePath) {
+            await fs.promises.rm(filePath, { force: true });
+        }
+    }
+
+    userPath(username) {
+        return /^[\w-]{1,64}$/.test(username) ? path.join(this.usersDir, `${username}.json`) : null;
+    }
+
+    /**
+     * Store a new account; false if the username is taken
+     */
+    async createUser(user) {
+        const filePath = this.userPath(user.username);
+        if (!filePath) throw new Error(`Invalid username: ${user.username}`);
+
+        try {
+            await fs.promises.writeFile(filePath, JSON.stringify(user, null, 2), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        }
+    }
+
+    async saveUser(user) {
+        const filePath = this.userPath(user.username);
+        if (!filePath) throw new Error(`Invalid username: ${user.username}`);
+
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(user, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async loadUser(username) {
+        const filePath = this.userPath(username);
+        if (!filePath) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error loading user ${username}:`, error);
+            }
+            return null;
+        }
+    }
+
+    async loadSecret() {
+        try {
+            return (await fs.promises.readFile(this.secretPath, 'utf8')).trim() || null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+    }
+
+    async saveSecret(secret) {
+        await fs.promises.writeFile(this.secretPath, secret, { mode: 0o600 });
+    }
+}
+
+/**
+ * SQLite backend (better-sqlite3, loaded on first use so the file backend needs no native module)
+ */
+class SqliteStorage extends RoomStorage {
+    constructor(options = {}) {
+        super(options);
+        this.filename = options.filename || path.join(__dirname, 'data', 'canvas.db');
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS room_snapshots (
+                room_id TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS room_commands (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                room_id TEXT NOT NULL,
+                command TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS room_commands_room ON room_commands (room_id, seq);
+            CREATE TABLE IF NOT EXISTS room_meta (
+                room_id TEXT PRIMARY KEY,
+                meta TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS saved_canvases (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS users (
+                username TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+
+        const insertCommand = this.db.prepare('INSERT INTO room_commands (room_id, command) VALUES (?, ?)');
+        const upsertSnapshot = this.db.prepare(`
+            INSERT INTO room_snapshots (room_id, state, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (room_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+        `);
+        const deleteCommands = this.db.prepare('DELETE FROM room_commands WHERE room_id = ?');
+        const deleteSnapshot = this.db.prepare('DELETE FROM room_snapshots WHERE room_id = ?');
+        const deleteMeta = this.db.prepare('DELETE FROM room_meta WHERE room_id = ?');
+
+        this.insertCommands = this.db.transaction((roomId, commands) => {
+            commands.forEach(command => insertCommand.run(roomId, command));
+        });
+        this.replaceWithSnapshot = this.db.transaction((roomId, state) => {
+            upsertSnapshot.run(roomId, state, Date.now());
+            deleteCommands.run(roomId);
+        });
+        this.deleteRoomRows = this.db.transaction(roomId => {
+            deleteSnapshot.run(roomId);
+            deleteCommands.run(roomId);
+            deleteMeta.run(roomId);
+        });
+    }
+
+    async persistCommands(roomId, commands) {
+        this.insertCommands(roomId, commands);
+    }
+
+    async persistSnapshot(roomId, state) {
+        this.replaceWithSnapshot(roomId, state);
+    }
+
+    async readRooms() {
+        const rooms = new Map();
+        const roomFor = roomId => {
+            if (!rooms.has(roomId)) {
+                rooms.set(roomId, { roomId, snapshot: null, commands: [] });
+            }
+            return rooms.get(roomId);
+        };
+
+        this.db.prepare('SELECT room_id, state FROM room_snapshots').all().forEach(row => {
+            roomFor(row.room_id).snapshot = JSON.parse(row.state);
+        });
+        this.db.prepare('SELECT room_id, command FROM room_commands ORDER BY seq').all().forEach(row => {
+            roomFor(row.room_id).commands.push(JSON.parse(row.command));
+        });
+
+        return Array.from(rooms.values());
+    }
+
+    async persistRoomMeta(roomId, meta) {
+        this.db.prepare(`
+            INSERT INTO room_meta (room_id, meta) VALUES (?, ?)
+            ON CONFLICT (room_id) DO UPDATE SET meta = excluded.meta
+        `).run(roomId, meta);
+    }
+
+    async readRoomMetas() {
+        return this.db.prepare('SELECT room_id, meta FROM room_meta').all()
+            .map(row => ({ roomId: row.room_id, meta: JSON.parse(row.meta) }));
+    }
+
+    async removeRoom(roomId) {
+        this.deleteRoomRows(roomId);
+    }
+
+    async saveCanvas(canvas) {
+        this.db.prepare(`
+            INSERT INTO saved_canvases (id, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(canvas.id, JSON.stringify(canvas), Date.now());
+    }
+
+    async loadCanvas(canvasId) {
+        const row = this.db.prepare('SELECT data FROM saved_canvases WHERE id = ?').get(canvasId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listCanvases() {
+        return this.db.prepare('SELECT data FROM saved_canvases').all().map(row => JSON.parse(row.data));
+    }
+
+    async deleteCanvas(canvasId) {
+        this.db.prepare('DELETE FROM saved_canvases WHERE id = ?').run(canvasId);
+    }
+
+    async createUser(user) {
+        const result = this.db.prepare('INSERT OR IGNORE INTO users (username, data) VALUES (?, ?)')
+            .run(user.username, JSON.stringify(user));
+        return result.changes === 1;
+    }
+
+    async saveUser(user) {
+        this.db.prepare(`
+            INSERT INTO users (username, data) VALUES (?, ?)
+            ON CONFLICT (username) DO UPDATE SET data = excluded.data
+        `).run(user.username, JSON.stringify(user));
+    }
+
+    async loadUser(username) {
+        const row = this.db.prepare('SELECT data FROM users WHERE username = ?').get(username);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async loadSecret() {
+        const row = this.db.prepare("SELECT value FROM settings WHERE key = 'auth-secret'").get();
+        return row ? row.value : null;
+    }
+
+    async saveSecret(secret) {
+        this.db.prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('auth-secret', ?)").run(secret);
+    }
+
+    async close() {
+        await super.close();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Pick a backend from options or the STORAGE_BACKEND / STORAGE_PATH environment variables
+ */
+function createStorage(options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'file';
+    const location = options.path || process.env.STORAGE_PATH;
+
+    if (backend === 'sqlite') {
+        return new SqliteStorage({ ...options, filename: location });
+    }
+    if (backend === 'file') {
+        return new FileStorage({ ...options, dir: location });
+    }
+    throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+module.exports = { RoomStorage, FileStorage, SqliteStorage, createStorage };
@@ -0,0 +1,223 @@
+/**
+ * Stroke smoothing and simplification, shared by the client and the server.
+ *
+ * A stroke is drawn as one segment per pair of neighbouring points. With smoothing off
+ * a segment is a straight line; 'quadratic' joins the midpoints between points with
+ * quadratic curves through the points themselves; 'catmull-rom' passes a Catmull-Rom
+ * spline through every point, drawn as cubic Beziers. Each segment only depends on the
+ * points around it, so a stroke drawn live segment by segment ends up the same as one
+ * drawn in a single pass.
+ *
+ * Points may carry a pen pressure from 0 to 1 (none means full pressure). A segment gets
+ * the average pressure of the points it runs between, which scales its width and opacity.
+ *
+ * Finished strokes are simplified with Ramer-Douglas-Peucker on the server, which sends
+ * the result to everyone, so every client and every replay draws the same points.
+ */
+class StrokeGeometry {
+    static get SMOOTHING_MODES() {
+        return ['none', 'quadratic', 'catmull-rom'];
+    }
+
+    static midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    static pressureOf(point) {
+        return typeof point.pressure === 'number' ? point.pressure : 1;
+    }
+
+    // A light touch still leaves a quarter of the brush width and a third of its opacity
+    static pressureWidth(width, pressure = 1) {
+        return width * (0.25 + 0.75 * pressure);
+    }
+
+    static pressureAlpha(pressure = 1) {
+        return 0.35 + 0.65 * pressure;
+    }
+
+    /**
+     * Number of segments that can be drawn from these points. Until the stroke is final, the
+     * last segment of a smoothed stroke may still change, so it is held back.
+     */
+    static countSegments(pointCount, smoothing, final) {
+        if (pointCount < 2) return 0;
+
+        switch (smoothing) {
+            case 'quadratic':
+                // One curve per point pair, then a straight tail to the last point
+                return final ? pointCount : pointCount - 1;
+            case 'catmull-rom':
+                return final ? pointCount - 1 : pointCount - 2;
+            default:
+                return pointCount - 1;
+        }
+    }
+
+    /**
+     * Segment `index` (0-based) of a stroke: { index, from, to, type, pressure, control?, control1?, control2? }
+     */
+    static getSegment(points, index, smoothing) {
+        const last = points.length - 1;
+
+        if (smoothing === 'quadratic') {
+            if (index === last) {
+                return {
+                    index,
+                    type: 'line',
+                    from: StrokeGeometry.midpoint(points[last - 1], points[last]),
+                    to: points[last],
+                    pressure: StrokeGeometry.pressureOf(points[last])
+                };
+            }
+            return {
+                index,
+                type: 'quadratic',
+                from: index === 0 ? points[0] : StrokeGeometry.midpoint(points[index - 1], points[index]),
+                control: points[index],
+                to: StrokeGeometry.midpoint(points[index], points[index + 1]),
+                pressure: StrokeGeometry.pressureOf(points[index])
+            };
+        }
+
+        const p1 = points[index];
+        const p2 = points[index + 1];
+        const pressure = (StrokeGeometry.pressureOf(p1) + StrokeGeometry.pressureOf(p2)) / 2;
+
+        if (smoothing === 'catmull-rom') {
+            // Endpoints are repeated where the spline has no neighbour
+            const p0 = points[index - 1] || p1;
+            const p3 = points[index + 2] || p2;
+            return {
+                index,
+                type: 'bezier',
+                from: p1,
+                control1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+                control2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+                to: p2,
+                pressure
+            };
+        }
+
+        return { index, type: 'line', from: p1, to: p2, pressure };
+    }
+
+    /**
+     * Segments from `start` up to the last one that can be drawn yet
+     */
+    static getSegments(points, smoothing, { start = 0, final = true } = {}) {
+        const segments = [];
+        const count = StrokeGeometry.countSegments(points.length, smoothing, final);
+        for (let index = start; index < count; index++) {
+            segments.push(StrokeGeometry.getSegment(points, index, smoothing));
+        }
+        return segments;
+    }
+
+    // ===== SAMPLING =====
+
+    /**
+     * Point at `t` (0 to 1) along a segment
+     */
+    static pointAt(segment, t) {
+        const u = 1 - t;
+        const { from, to } = segment;
+
+        if (segment.type === 'quadratic') {
+            const c = segment.control;
+            return {
+                x: u * u * from.x + 2 * u * t * c.x + t * t * to.x,
+                y: u * u * from.y + 2 * u * t * c.y + t * t * to.y
+            };
+        }
+        if (segment.type === 'bezier') {
+            const c1 = segment.control1;
+            const c2 = segment.control2;
+            return {
+                x: u * u * u * from.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * to.x,
+                y: u * u * u * from.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * to.y
+            };
+        }
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    }
+
+    // Curves are measured as a few straight steps, which is close enough for spacing stamps
+    static segmentLength(segment, steps = 8) {
+        if (segment.type === 'line') {
+            return Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y);
+        }
+
+        let length = 0;
+        let previous = segment.from;
+        for (let i = 1; i <= steps; i++) {
+            const point = StrokeGeometry.pointAt(segment, i / steps);
+            length += Math.hypot(point.x - previous.x, point.y - previous.y);
+            previous = point;
+        }
+        return length;
+    }
+
+    // ===== SIMPLIFICATION =====
+
+    // How many pixels of distance a pressure difference of 1 counts as when simplifying
+    static get PRESSURE_WEIGHT() {
+        return 10;
+    }
+
+    /**
+     * How far a point is from the segment a-b, in pixels; a pressure that differs from the
+     * one interpolated along the segment counts as distance too, so pressure changes survive
+     */
+    static distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+
+        const distance = Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+        const pressureA = StrokeGeometry.pressureOf(a);
+        const expectedPressure = pressureA + t * (StrokeGeometry.pressureOf(b) - pressureA);
+        const pressureError = Math.abs(StrokeGeometry.pressureOf(point) - expectedPressure);
+        return Math.max(distance, pressureError * StrokeGeometry.PRESSURE_WEIGHT);
+    }
+
+    /**
+     * Ramer-Douglas-Peucker: drop points closer than `tolerance` pixels to the line they sit on.
+     * Iterative, so long strokes can't overflow the stack.
+     */
+    static simplify(points, tolerance) {
+        if (!(tolerance > 0) || points.length < 3) return points;
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+
+        const ranges = [[0, points.length - 1]];
+        while (ranges.length > 0) {
+            const [first, last] = ranges.pop();
+            let farthest = -1;
+            let maxDistance = tolerance;
+
+            for (let i = first + 1; i < last; i++) {
+                const distance = StrokeGeometry.distanceToSegment(points[i], points[first], points[last]);
+                if (distance > maxDistance) {
+                    farthest = i;
+                    maxDistance = distance;
+                }
+            }
+
+            if (farthest !== -1) {
+                keep[farthest] = true;
+                ranges.push([first, farthest], [farthest, last]);
+            }
+        }
+
+        return points.filter((point, index) => keep[index]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StrokeGeometry };
+}
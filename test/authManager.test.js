@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AuthManager, AuthError } = require('../authManager');
+
+// Accounts kept in memory, with the same methods the storage backends offer
+function memoryStorage() {
+    const users = new Map();
+    return {
+        users,
+        async createUser(user) {
+            if (users.has(user.username)) return false;
+            users.set(user.username, user);
+            return true;
+        },
+        async loadUser(username) {
+            return users.get(username) || null;
+        },
+        async saveUser(user) {
+            users.set(user.username, user);
+        },
+        async loadSecret() {
+            return null;
+        },
+        async saveSecret() {}
+    };
+}
+
+test('passwords are stored as salted scrypt hashes', async () => {
+    const storage = memoryStorage();
+    const auth = new AuthManager(storage, { secret: 'test-secret' });
+    await auth.register('alice', 'correct horse');
+    await auth.register('bob', 'correct horse');
+
+    const alice = storage.users.get('alice');
+    const bob = storage.users.get('bob');
+    assert.ok(!JSON.stringify(alice).includes('correct horse'));
+    assert.strictEqual(alice.passwordHash, await auth.hashPassword('correct horse', alice.salt));
+    assert.notStrictEqual(alice.salt, bob.salt);
+    assert.notStrictEqual(alice.passwordHash, bob.passwordHash);
+});
+
+test('login checks the password', async () => {
+    const auth = new AuthManager(memoryStorage(), { secret: 'test-secret' });
+    const { user } = await auth.register('Alice', 'correct horse');
+
+    assert.strictEqual((await auth.login('alice', 'correct horse')).user.id, user.id);
+    await assert.rejects(auth.login('alice', 'wrong horse'), (error) => error instanceof AuthError && error.status === 401);
+    await assert.rejects(auth.login('nobody', 'correct horse'), (error) => error instanceof AuthError && error.status === 401);
+});
+
+test('tokens are rejected once tampered with', async () => {
+    const auth = new AuthManager(memoryStorage(), { secret: 'test-secret' });
+    const { token, user } = await auth.register('alice', 'correct horse');
+    const { user: bob } = await auth.register('bob', 'correct horse');
+    assert.strictEqual((await auth.verifyToken(token)).id, user.id);
+
+    const [body, signature] = token.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...payload, sub: bob.id, username: 'bob' })).toString('base64url');
+    assert.strictEqual(await auth.verifyToken(`${forged}.${signature}`), null);
+    assert.strictEqual(await auth.verifyToken(`${body}.${signature.slice(0, -1)}`), null);
+    assert.strictEqual(await auth.verifyToken(body), null);
+
+    const otherServer = new AuthManager(auth.storage, { secret: 'another-secret' });
+    assert.strictEqual(await otherServer.verifyToken(token), null);
+});
+
+test('tokens are rejected once expired', async () => {
+    const auth = new AuthManager(memoryStorage(), { secret: 'test-secret', tokenTtl: -1 });
+    const { token } = await auth.register('alice', 'correct horse');
+
+    assert.strictEqual(await auth.verifyToken(token), null);
+});
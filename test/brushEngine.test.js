@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The brush engine is a browser script that expects StrokeGeometry loaded before it, as on the page
+function loadScripts() {
+    const context = vm.createContext({});
+    ['strokeGeometry.js', 'brushEngine.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+    });
+    vm.runInContext('this.BrushEngine = BrushEngine; this.StrokeGeometry = StrokeGeometry;', context);
+    return context;
+}
+
+const { BrushEngine, StrokeGeometry } = loadScripts();
+
+const points = [
+    { x: 10, y: 10, pressure: 0.5 },
+    { x: 40, y: 25, pressure: 0.8 },
+    { x: 70, y: 15 },
+    { x: 95, y: 40, pressure: 0.3 }
+];
+
+function strokeStamps(engine, stroke, smoothing = 'catmull-rom') {
+    const brush = engine.BrushEngine.resolve(stroke);
+    const segments = engine.StrokeGeometry.getSegments(points, smoothing);
+    return [
+        engine.BrushEngine.getPointStamps(points[0], brush, 12),
+        ...segments.map(segment => engine.BrushEngine.getStamps(segment, brush, 12))
+    ];
+}
+
+// Stamps hold plain numbers and strings; comparing them as JSON sidesteps the vm's own Object prototype
+const json = value => JSON.parse(JSON.stringify(value));
+
+test('the generator gives the standard mulberry32 sequence', () => {
+    const random = BrushEngine.createRandom(42);
+
+    assert.deepStrictEqual([random(), random(), random()], [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+});
+
+test('a seeded stroke gives the same stamps on every client', () => {
+    const otherClient = loadScripts();
+
+    BrushEngine.BRUSH_TYPES.forEach(brushType => {
+        const stroke = { id: 'stroke-1', brushType, brushParams: { ...BrushEngine.createParams(brushType), seed: 1234 } };
+        assert.deepStrictEqual(json(strokeStamps(otherClient, stroke)), json(strokeStamps({ BrushEngine, StrokeGeometry }, stroke)), brushType);
+    });
+});
+
+test('a different seed gives different stamps', () => {
+    const engine = { BrushEngine, StrokeGeometry };
+    const params = BrushEngine.createParams('spray');
+
+    assert.notDeepStrictEqual(
+        json(strokeStamps(engine, { brushType: 'spray', brushParams: { ...params, seed: 1 } })),
+        json(strokeStamps(engine, { brushType: 'spray', brushParams: { ...params, seed: 2 } }))
+    );
+});
+
+test('a stroke drawn live segment by segment gets the same stamps as a redraw', () => {
+    const brush = BrushEngine.resolve({ brushType: 'chalk', brushParams: { ...BrushEngine.createParams('chalk'), seed: 99 } });
+
+    const live = [];
+    for (let count = 2; count <= points.length; count++) {
+        StrokeGeometry.getSegments(points.slice(0, count), 'quadratic', { start: live.length, final: false })
+            .forEach(segment => live.push(BrushEngine.getStamps(segment, brush, 12)));
+    }
+    StrokeGeometry.getSegments(points, 'quadratic', { start: live.length })
+        .forEach(segment => live.push(BrushEngine.getStamps(segment, brush, 12)));
+
+    const redrawn = StrokeGeometry.getSegments(points, 'quadratic').map(segment => BrushEngine.getStamps(segment, brush, 12));
+    assert.deepStrictEqual(json(live), json(redrawn));
+});
+
+test('strokes saved without parameters get the defaults and a seed from their id', () => {
+    const brush = BrushEngine.resolve({ id: 'old-stroke', brushType: 'watercolor' });
+
+    assert.strictEqual(brush.seed, BrushEngine.hashString('old-stroke'));
+    assert.strictEqual(brush.opacity, BrushEngine.DEFAULTS.watercolor.opacity);
+    assert.deepStrictEqual(json(strokeStamps({ BrushEngine, StrokeGeometry }, { id: 'old-stroke', brushType: 'watercolor' })),
+        json(strokeStamps(loadScripts(), { id: 'old-stroke', brushType: 'watercolor' })));
+    assert.strictEqual(BrushEngine.resolve({ brushType: 'unknown' }).type, 'round');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Just enough of DOMMatrix and DOMPoint for the object transform code
+class DOMPoint {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+class DOMMatrix {
+    constructor([a, b, c, d, e, f] = [1, 0, 0, 1, 0, 0]) {
+        Object.assign(this, { a, b, c, d, e, f });
+    }
+
+    multiply(m) {
+        return new DOMMatrix([
+            this.a * m.a + this.c * m.b, this.b * m.a + this.d * m.b,
+            this.a * m.c + this.c * m.d, this.b * m.c + this.d * m.d,
+            this.a * m.e + this.c * m.f + this.e, this.b * m.e + this.d * m.f + this.f
+        ]);
+    }
+
+    translate(x, y) {
+        return this.multiply(new DOMMatrix([1, 0, 0, 1, x, y]));
+    }
+
+    inverse() {
+        const det = this.a * this.d - this.b * this.c;
+        return new DOMMatrix([
+            this.d / det, -this.b / det, -this.c / det, this.a / det,
+            (this.c * this.f - this.d * this.e) / det, (this.b * this.e - this.a * this.f) / det
+        ]);
+    }
+
+    transformPoint(p) {
+        return new DOMPoint(this.a * p.x + this.c * p.y + this.e, this.b * p.x + this.d * p.y + this.f);
+    }
+}
+
+function createCanvas() {
+    const context = vm.createContext({ DOMMatrix, DOMPoint, document: {}, window: {}, console });
+    const source = fs.readFileSync(path.join(__dirname, '..', 'canvas.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.DrawingCanvas = DrawingCanvas;`, context);
+
+    const canvas = Object.create(context.DrawingCanvas.prototype);
+    canvas.dragOffset = { x: 0, y: 0 };
+    canvas.history = { reopen() {} };
+    canvas.redrawCanvas = () => {};
+    canvas.drawSelectionBox = () => {};
+    return canvas;
+}
+
+function rotation(degrees) {
+    const radians = degrees * Math.PI / 180;
+    return [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0];
+}
+
+// Where the pointer sits on the object, relative to the object's origin and before its transform
+function grabbedSpot(canvas, obj, pointer) {
+    const local = canvas.toObjectSpace(obj, pointer.x, pointer.y);
+    const origin = canvas.getObjectOrigin(obj);
+    return { x: local.x - origin.x, y: local.y - origin.y };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+        `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+test('a rotated shape stays under the pointer while dragged', () => {
+    const canvas = createCanvas();
+    const shape = { type: 'shape', shape: 'rectangle', startX: 100, startY: 100, endX: 220, endY: 160, transform: rotation(40) };
+    canvas.selectedObject = shape;
+
+    const grab = canvas.getObjectMatrix(shape).transformPoint(new DOMPoint(190, 140));
+    const spot = grabbedSpot(canvas, shape, grab);
+    canvas.startObjectMove(grab);
+
+    const pointer = { x: grab.x + 70, y: grab.y - 35 };
+    canvas.moveSelectedObject(pointer.x, pointer.y);
+
+    assert.ok(canvas.isPointInShape(pointer.x, pointer.y, shape));
+    assertClose(grabbedSpot(canvas, shape, pointer), spot);
+});
+
+test('a skewed and scaled image stays under the pointer while dragged', () => {
+    const canvas = createCanvas();
+    const image = { type: 'image', x: 50, y: 80, width: 120, height: 90, transform: [1.5, 0.2, 0.7, 1.2, 15, -10] };
+    canvas.selectedObject = image;
+
+    const grab = canvas.getObjectMatrix(image).transformPoint(new DOMPoint(150, 150));
+    const spot = grabbedSpot(canvas, image, grab);
+    canvas.startObjectMove(grab);
+
+    const pointer = { x: grab.x - 40, y: grab.y + 55 };
+    canvas.moveSelectedObject(pointer.x, pointer.y);
+
+    assert.ok(canvas.isPointInImage(pointer.x, pointer.y, image));
+    assertClose(grabbedSpot(canvas, image, pointer), spot);
+});
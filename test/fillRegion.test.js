@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FillRegion } = require('../fillRegion');
+
+// Mask from rows of '#' (covered) and '.' (uncovered)
+function maskOf(rows) {
+    return { mask: Uint8Array.from(rows.join(''), c => (c === '#' ? 1 : 0)), width: rows[0].length, height: rows.length };
+}
+
+function rowsOf(region, width, height) {
+    const rows = Array.from({ length: height }, () => Array(width).fill('.'));
+    FillRegion.forEachSpan(region, (x, y, length) => {
+        for (let i = 0; i < length; i++) rows[y][x + i] = '#';
+    });
+    return rows.map(row => row.join(''));
+}
+
+const ring = [
+    '.......',
+    '..###..',
+    '.#...#.',
+    '.#...#.',
+    '..###..',
+    '.......'
+];
+
+test('a region covers the bounding box of the mask with alternating runs', () => {
+    const { mask, width, height } = maskOf(ring);
+    const region = FillRegion.fromMask(mask, width, height);
+
+    assert.deepStrictEqual(region, { x: 1, y: 1, width: 5, height: 4, runs: [1, 3, 1, 1, 3, 2, 3, 1, 1, 3, 1] });
+    assert.ok(FillRegion.isValid(region));
+});
+
+test('spans split at row ends and redraw the mask exactly', () => {
+    const rows = ['##..', '####', '#..#'];
+    const { mask, width, height } = maskOf(rows);
+    const region = FillRegion.fromMask(mask, width, height);
+
+    const spans = [];
+    FillRegion.forEachSpan(region, (x, y, length) => spans.push([x, y, length]));
+    assert.deepStrictEqual(spans, [[0, 0, 2], [0, 1, 4], [0, 2, 1], [3, 2, 1]]);
+    assert.deepStrictEqual(rowsOf(FillRegion.fromMask(maskOf(ring).mask, 7, 6), 7, 6), ring);
+});
+
+test('an empty mask has no region', () => {
+    assert.strictEqual(FillRegion.fromMask(new Uint8Array(12), 4, 3), null);
+});
+
+test('runs that are negative, fractional or not adding up to the area are invalid', () => {
+    const region = { x: 0, y: 0, width: 2, height: 2, runs: [1, 2, 1] };
+
+    assert.ok(FillRegion.isValid(region));
+    assert.ok(!FillRegion.isValid({ ...region, runs: [1, 2] }));
+    assert.ok(!FillRegion.isValid({ ...region, runs: [1, 2, 2] }));
+    assert.ok(!FillRegion.isValid({ ...region, runs: [2, -1, 3] }));
+    assert.ok(!FillRegion.isValid({ ...region, runs: [1.5, 2.5] }));
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// floodFill.js is a browser script, so it is run the way the page runs it
+function loadFloodFill() {
+    const context = vm.createContext({});
+    const source = fs.readFileSync(path.join(__dirname, '..', 'floodFill.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.FloodFill = FloodFill;`, context);
+    return context.FloodFill;
+}
+
+const FloodFill = loadFloodFill();
+
+const PAPER = [255, 255, 255, 255];
+const INK = [0, 0, 0, 255];
+
+// ImageData from rows of characters, each standing for the color given in `colors`
+function imageOf(rows, colors = { '.': PAPER, '#': INK }) {
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * rows.length * 4);
+    rows.join('').split('').forEach((c, i) => data.set(colors[c], i * 4));
+    return { width, height: rows.length, data };
+}
+
+function rowsOf(mask, width) {
+    const rows = [];
+    for (let i = 0; i < mask.length; i += width) {
+        rows.push(Array.from(mask.subarray(i, i + width), covered => (covered ? '*' : '.')).join(''));
+    }
+    return rows;
+}
+
+const wall = [
+    '...#....',
+    '...#....',
+    '...#....',
+    '...#....'
+];
+
+test('a contiguous fill stops at lines and a global fill does not', () => {
+    const image = imageOf(wall);
+
+    assert.deepStrictEqual(rowsOf(FloodFill.computeMask(image, 1, 1), 8), [
+        '***.....',
+        '***.....',
+        '***.....',
+        '***.....'
+    ]);
+    assert.deepStrictEqual(rowsOf(FloodFill.computeMask(image, 1, 1, { mode: 'global' }), 8), [
+        '***.****',
+        '***.****',
+        '***.****',
+        '***.****'
+    ]);
+});
+
+test('a fill reaches around corners', () => {
+    const maze = [
+        '.....',
+        '.###.',
+        '.#.#.',
+        '.#.#.',
+        '...#.'
+    ];
+
+    assert.deepStrictEqual(rowsOf(FloodFill.computeMask(imageOf(maze), 2, 3), 5), [
+        '*****',
+        '*...*',
+        '*.*.*',
+        '*.*.*',
+        '***.*'
+    ]);
+});
+
+test('colors within the tolerance are filled too', () => {
+    const colors = { '.': PAPER, ',': [235, 235, 235, 255], '#': INK };
+    const image = imageOf(['..,,##..'], colors);
+
+    assert.deepStrictEqual(rowsOf(FloodFill.computeMask(image, 0, 0, { tolerance: 0 }), 8), ['**......']);
+    assert.deepStrictEqual(rowsOf(FloodFill.computeMask(image, 0, 0, { tolerance: 15 }), 8), ['****....']);
+});
+
+test('transparent pixels match whatever color they hold', () => {
+    const colors = { '.': [0, 0, 0, 0], ',': [255, 0, 0, 0], '#': INK };
+    const image = imageOf(['..,,#,'], colors);
+
+    assert.deepStrictEqual(rowsOf(FloodFill.computeMask(image, 0, 0, { tolerance: 0 }), 6), ['****..']);
+});
+
+test('gap closing keeps the fill from leaking through a small break and still fills up to the line', () => {
+    const broken = [
+        '...#....',
+        '...#....',
+        '........',
+        '...#....',
+        '...#....'
+    ];
+    const image = imageOf(broken);
+
+    const leaked = FloodFill.computeMask(image, 1, 1);
+    assert.strictEqual(leaked[1 * 8 + 6], 1);
+
+    const closed = FloodFill.computeMask(image, 1, 1, { gapClose: 3 });
+    assert.deepStrictEqual(rowsOf(closed, 8).map(row => row.slice(0, 3)), ['***', '***', '***', '***', '***']);
+    assert.strictEqual(closed[1 * 8 + 6], 0);
+});
+
+test('a click outside the image fills nothing', () => {
+    const mask = FloodFill.computeMask(imageOf(wall), -1, 2);
+
+    assert.ok(mask.every(covered => covered === 0));
+});
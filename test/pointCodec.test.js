@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PointCodec } = require('../pointCodec');
+
+const points = [
+    { x: 100, y: 200 },
+    { x: 100.5, y: 201.25 },
+    { x: 98.3, y: 205 },
+    { x: 120, y: 190.1 }
+];
+
+// Decoded points land on the nearest tenth of a pixel
+function assertNear(actual, expected) {
+    const tolerance = 0.05 + 1e-9;
+    assert.strictEqual(actual.length, expected.length);
+    actual.forEach((point, index) => {
+        assert.ok(Math.abs(point.x - expected[index].x) <= tolerance && Math.abs(point.y - expected[index].y) <= tolerance,
+            `point ${index}: expected ${JSON.stringify(expected[index])}, got ${JSON.stringify(point)}`);
+    });
+}
+
+test('points survive an encode and decode', () => {
+    const batch = PointCodec.encode(points);
+
+    assert.ok(batch.deltas.every(Number.isInteger));
+    assertNear(PointCodec.decode(batch), points);
+    assert.strictEqual(PointCodec.countPoints(batch), points.length);
+});
+
+test('binary deltas decode to the same points as the array form', () => {
+    const batch = PointCodec.encode(points, { binary: true });
+
+    assert.ok(batch.deltas instanceof ArrayBuffer);
+    assert.deepStrictEqual(PointCodec.decode(batch), PointCodec.decode(PointCodec.encode(points)));
+    // Socket.IO hands binary payloads to the server as Node Buffers
+    assert.deepStrictEqual(PointCodec.decode({ ...batch, deltas: Buffer.from(batch.deltas) }), PointCodec.decode(batch));
+});
+
+test('rounding does not add up over a long stroke', () => {
+    const wobbly = Array.from({ length: PointCodec.MAX_BATCH_POINTS }, (_, i) => ({ x: 10 + i * 0.33, y: 10 + Math.sin(i) * 7.77 }));
+
+    assertNear(PointCodec.decode(PointCodec.encode(wobbly, { binary: true })), wobbly);
+});
+
+test('deltas too large for 16 bits stay an array', () => {
+    const jump = [{ x: 0, y: 0 }, { x: 4000, y: 0 }];
+    const batch = PointCodec.encode(jump, { binary: true });
+
+    assert.ok(Array.isArray(batch.deltas));
+    assertNear(PointCodec.decode(batch), jump);
+});
+
+test('pressures round-trip in both forms and missing ones count as full pressure', () => {
+    const pen = [{ x: 0, y: 0, pressure: 0.2 }, { x: 1, y: 1 }, { x: 2, y: 2, pressure: 0.75 }];
+
+    [false, true].forEach(binary => {
+        const decoded = PointCodec.decode(PointCodec.encode(pen, { binary }));
+        assert.deepStrictEqual(decoded.map(point => Math.round(point.pressure * 255)), [51, 255, 191]);
+    });
+    assert.strictEqual(PointCodec.encode(points).pressures, undefined);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../rateLimiter');
+
+test('layer events are charged to the draw budget', () => {
+    const limiter = new RateLimiter({ limits: { draw: { socket: { capacity: 2, refillPerSecond: 0 } } } });
+
+    assert.strictEqual(limiter.check('socket', 'room', 'add-layer', {}).allowed, true);
+    assert.strictEqual(limiter.check('socket', 'room', 'reorder-layers', {}).allowed, true);
+    assert.strictEqual(limiter.check('socket', 'room', 'add-layer', {}).allowed, false);
+});
+
+test('renames, roles, kicks and room settings share the admin budget', () => {
+    const limiter = new RateLimiter({ limits: { admin: { socket: { capacity: 3, refillPerSecond: 0 } } } });
+
+    ['user-name', 'set-user-role', 'kick-user'].forEach(event => {
+        assert.strictEqual(limiter.check('socket', 'room', event, {}).allowed, true);
+    });
+    const result = limiter.check('socket', 'room', 'update-room-settings', {});
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.category, 'admin');
+});
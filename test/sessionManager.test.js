@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SessionManager } = require('../sessionManager');
+
+test('drops the oldest entries once the journal outgrows its byte budget', () => {
+    const sessions = new SessionManager({ journalBytes: 250 });
+    sessions.resetJournal('room', 0);
+
+    for (let version = 1; version <= 5; version++) {
+        sessions.record('room', version, 'draw-shape', { id: `shape-${version}`, data: 'x'.repeat(80) });
+    }
+
+    const missed = sessions.getMissed('room', 3, 5);
+    assert.deepStrictEqual(missed.map(entry => entry.version), [4, 5]);
+    assert.ok(sessions.journals.get('room').bytes <= 250);
+});
+
+test('counts binary point batches at their byte length', () => {
+    const sessions = new SessionManager({ journalBytes: 1024 });
+    sessions.resetJournal('room', 0);
+
+    sessions.record('room', 1, 'draw-points', { strokeId: 's', deltas: new ArrayBuffer(2000) });
+
+    assert.strictEqual(sessions.journals.get('room').entries.length, 0);
+    assert.strictEqual(sessions.getMissed('room', 0, 1), null);
+});
+
+test('a session whose version was evicted gets a full resync', () => {
+    const sessions = new SessionManager({ journalBytes: 250 });
+    sessions.resetJournal('room', 0);
+
+    for (let version = 1; version <= 5; version++) {
+        sessions.record('room', version, 'draw-shape', { id: `shape-${version}`, data: 'x'.repeat(80) });
+    }
+
+    assert.strictEqual(sessions.getMissed('room', 1, 5), null);
+    assert.strictEqual(sessions.getMissed('room', 2, 5), null);
+});
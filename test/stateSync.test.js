@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { StateSync } = require('../stateSync');
+
+test('stores the snapshot the requested socket renders', () => {
+    const sync = new StateSync();
+    sync.markRequested('room', 10, 'editor');
+
+    assert.strictEqual(sync.storeSnapshot('room', 'editor', 10, 'data:image/png;base64,AAAA', 10), true);
+    assert.strictEqual(sync.getSnapshot('room', 10).image, 'data:image/png;base64,AAAA');
+});
+
+test('rejects a snapshot nobody asked for', () => {
+    const sync = new StateSync();
+
+    assert.strictEqual(sync.storeSnapshot('room', 'editor', 10, 'data:image/png;base64,AAAA', 10), false);
+    assert.strictEqual(sync.getSnapshot('room', 10), null);
+});
+
+test('rejects a snapshot from another socket or for another version', () => {
+    const sync = new StateSync();
+    sync.markRequested('room', 10, 'editor');
+
+    assert.strictEqual(sync.storeSnapshot('room', 'intruder', 10, 'data:image/png;base64,AAAA', 10), false);
+    assert.strictEqual(sync.storeSnapshot('room', 'editor', 9, 'data:image/png;base64,AAAA', 10), false);
+    assert.strictEqual(sync.getSnapshot('room', 10), null);
+});
+
+test('a request is used up by the snapshot that answers it', () => {
+    const sync = new StateSync();
+    sync.markRequested('room', 10, 'editor');
+
+    assert.strictEqual(sync.storeSnapshot('room', 'editor', 10, 'data:image/png;base64,AAAA', 10), true);
+    assert.strictEqual(sync.storeSnapshot('room', 'editor', 10, 'data:image/png;base64,BBBB', 10), false);
+    assert.strictEqual(sync.getSnapshot('room', 10).image, 'data:image/png;base64,AAAA');
+});
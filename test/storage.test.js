@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage } = require('../storage');
+
+async function withStorage(run) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'canvas-storage-'));
+    const storage = new FileStorage({ dir });
+    await storage.init();
+    try {
+        await run(storage, dir);
+    } finally {
+        await storage.close();
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('room metadata survives a reopen', () => withStorage(async (storage, dir) => {
+    const meta = { ownerId: 'user-1', roles: [['user-2', 'viewer']], settings: { maxUsers: 7 } };
+    await storage.saveRoomMeta('room', meta);
+    await storage.close();
+
+    const reopened = new FileStorage({ dir });
+    await reopened.init();
+    assert.deepStrictEqual(await reopened.loadRoomMetas(), [{ roomId: 'room', meta }]);
+}));
+
+test('deleting a room removes its metadata', () => withStorage(async (storage) => {
+    await storage.saveRoomMeta('room', { ownerId: 'user-1', roles: [], settings: {} });
+    await storage.deleteRoom('room');
+
+    assert.deepStrictEqual(await storage.loadRoomMetas(), []);
+}));
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { StrokeGeometry } = require('../strokeGeometry');
+
+const zigzag = [
+    { x: 0, y: 0 },
+    { x: 10, y: 20 },
+    { x: 20, y: 0 },
+    { x: 30, y: 20 },
+    { x: 40, y: 0 },
+    { x: 50, y: 20 }
+];
+
+test('each smoothing mode draws a connected path from the first point to the last', () => {
+    StrokeGeometry.SMOOTHING_MODES.forEach(smoothing => {
+        const segments = StrokeGeometry.getSegments(zigzag, smoothing);
+
+        assert.deepStrictEqual(segments[0].from, zigzag[0], smoothing);
+        assert.deepStrictEqual(segments[segments.length - 1].to, zigzag[zigzag.length - 1], smoothing);
+        segments.slice(1).forEach((segment, index) => {
+            assert.deepStrictEqual(segment.from, segments[index].to, smoothing);
+        });
+    });
+});
+
+test('catmull-rom curves pass through every point', () => {
+    const segments = StrokeGeometry.getSegments(zigzag, 'catmull-rom');
+
+    assert.strictEqual(segments.length, zigzag.length - 1);
+    segments.forEach((segment, index) => {
+        assert.deepStrictEqual(StrokeGeometry.pointAt(segment, 0), zigzag[index]);
+        assert.deepStrictEqual(StrokeGeometry.pointAt(segment, 1), zigzag[index + 1]);
+    });
+});
+
+test('a stroke drawn live segment by segment matches one drawn in a single pass', () => {
+    StrokeGeometry.SMOOTHING_MODES.forEach(smoothing => {
+        const live = [];
+        for (let count = 1; count <= zigzag.length; count++) {
+            live.push(...StrokeGeometry.getSegments(zigzag.slice(0, count), smoothing, { start: live.length, final: false }));
+        }
+        live.push(...StrokeGeometry.getSegments(zigzag, smoothing, { start: live.length, final: true }));
+
+        assert.deepStrictEqual(live, StrokeGeometry.getSegments(zigzag, smoothing), smoothing);
+    });
+});
+
+test('segments take the average pressure of their points', () => {
+    const pen = [{ x: 0, y: 0, pressure: 0.2 }, { x: 10, y: 0, pressure: 0.6 }, { x: 20, y: 0 }];
+    const segments = StrokeGeometry.getSegments(pen, 'none');
+
+    assert.ok(Math.abs(segments[0].pressure - 0.4) < 1e-9);
+    assert.ok(Math.abs(segments[1].pressure - 0.8) < 1e-9);
+});
+
+test('simplify drops points on a straight line and keeps corners and ends', () => {
+    const line = Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: i % 2 === 0 ? 0 : 0.3 }));
+    const corner = [...line, { x: 100, y: 50 }, { x: 100, y: 100 }];
+
+    assert.deepStrictEqual(StrokeGeometry.simplify(line, 1), [line[0], line[10]]);
+    assert.deepStrictEqual(StrokeGeometry.simplify(corner, 1), [line[0], line[10], corner[12]]);
+    assert.strictEqual(StrokeGeometry.simplify(line, 0), line);
+});
+
+test('simplify keeps points where the pressure changes', () => {
+    const pen = [
+        { x: 0, y: 0, pressure: 1 },
+        { x: 10, y: 0, pressure: 1 },
+        { x: 20, y: 0, pressure: 0.2 },
+        { x: 30, y: 0, pressure: 1 },
+        { x: 40, y: 0, pressure: 1 }
+    ];
+
+    assert.deepStrictEqual(StrokeGeometry.simplify(pen, 1), pen);
+});
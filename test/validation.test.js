@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateEvent, ValidationError } = require('../validation');
+
+const shape = {
+    shape: 'rectangle',
+    startX: 10,
+    startY: 10,
+    endX: 120,
+    endY: 80,
+    color: '#336699',
+    width: 4
+};
+
+function assertRejected(event, payload, path, context) {
+    assert.throws(() => validateEvent(event, payload, context), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.code, 'invalid-event');
+        assert.strictEqual(error.event, event);
+        assert.strictEqual(error.path, path);
+        return true;
+    });
+}
+
+test('unknown events are rejected', () => {
+    assertRejected('drop-tables', {}, null);
+});
+
+test('fields outside the schema are dropped from the cleaned payload', () => {
+    const cleaned = validateEvent('draw-shape', { ...shape, userId: 'someone-else', undone: true });
+
+    assert.deepStrictEqual(cleaned, shape);
+});
+
+test('missing and mistyped fields are rejected with their path', () => {
+    const { color, ...withoutColor } = shape;
+    assertRejected('draw-shape', withoutColor, 'color');
+    assertRejected('draw-shape', { ...shape, width: '4' }, 'width');
+    assertRejected('draw-shape', { ...shape, shape: 'hexagon' }, 'shape');
+    assertRejected('draw-shape', { ...shape, color: 'url(javascript:alert(1))' }, 'color');
+    assertRejected('draw-shape', { ...shape, id: '../../etc/passwd' }, 'id');
+});
+
+test('coordinates more than one canvas size off the edge are rejected', () => {
+    const context = { canvasWidth: 800, canvasHeight: 600 };
+
+    assert.strictEqual(validateEvent('draw-shape', { ...shape, endX: 1600 }, context).endX, 1600);
+    assertRejected('draw-shape', { ...shape, endX: 1601 }, 'endX', context);
+    assertRejected('draw-shape', { ...shape, startY: -601 }, 'startY', context);
+    assertRejected('draw-shape', { ...shape, startX: Infinity }, 'startX', context);
+});
+
+test('transforms must have six entries and keep the object visible', () => {
+    assertRejected('draw-shape', { ...shape, transform: [1, 0, 0, 1, 0] }, 'transform');
+    assertRejected('draw-shape', { ...shape, transform: [1, 2, 2, 4, 0, 0] }, 'transform');
+});
+
+test('point batches are decoded and every point is range-checked', () => {
+    const batch = { strokeId: 'stroke-1', x: 100, y: 100, deltas: [50, 50, 100, -50] }; // tenths of a pixel
+    assert.deepStrictEqual(validateEvent('draw-points', batch).points.map(({ x, y }) => [x, y]),
+        [[100, 100], [105, 105], [115, 100]]);
+
+    assertRejected('draw-points', { ...batch, deltas: [50, 50, 100] }, 'deltas');
+    assertRejected('draw-points', { ...batch, deltas: [50, 50, 32000, 0] }, 'points[2].x');
+    assertRejected('draw-points', { ...batch, pressures: [10, 20] }, 'pressures');
+});
+
+test('images must be small data URLs of an allowed type', () => {
+    const image = { x: 0, y: 0, width: 10, height: 10, src: 'data:image/png;base64,iVBORw0KGgo=' };
+
+    assert.strictEqual(validateEvent('add-image', image).src, image.src);
+    assertRejected('add-image', { ...image, src: 'data:image/svg+xml;base64,PHN2Zz4=' }, 'src');
+    assertRejected('add-image', image, 'src', { maxImageSize: 16 });
+});
@@ -0,0 +1,546 @@
+/**
+ * Schemas for incoming socket events.
+ *
+ * Every event payload is checked against its schema before a handler sees it. Validation
+ * returns a clean copy holding only the declared fields, so nothing a client adds on top
+ * reaches room history. Coordinates are checked against the room's canvas settings.
+ */
+const { PointCodec } = require('./pointCodec');
+const { FillRegion } = require('./fillRegion');
+
+class ValidationError extends Error {
+    constructor(event, message, path = null) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = 'invalid-event';
+        this.event = event;
+        this.path = path;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            event: this.event,
+            path: this.path,
+            message: this.message
+        };
+    }
+}
+
+const ID_PATTERN = /^[\w-]{1,128}$/;
+const COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+const IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+const TOOLS = ['pencil', 'brush', 'eraser'];
+const SHAPES = ['rectangle', 'circle', 'line', 'triangle', 'star', 'arrow', 'ellipse', 'polygon', 'heart'];
+const BRUSH_TYPES = ['round', 'calligraphy', 'oil', 'watercolor', 'spray', 'chalk'];
+const SMOOTHING_MODES = ['none', 'quadratic', 'catmull-rom'];
+const PATTERNS = ['stripes', 'dots', 'checker', 'crosshatch'];
+const LINE_DASHES = ['solid', 'dashed', 'dotted', 'dash-dot'];
+const LINE_JOINS = ['miter', 'round', 'bevel'];
+const LINE_CAPS = ['butt', 'round', 'square'];
+const ARROW_HEADS = ['none', 'open', 'filled', 'circle'];
+const MAX_GRADIENT_STOPS = 16;
+const MAX_TRANSFORM_VALUE = 100000;
+const FONTS = ['Arial', 'Helvetica', 'Times New Roman', 'Courier New', 'Verdana', 'Georgia', 'Comic Sans MS'];
+
+// Shapes and strokes may run off the canvas edge; anything further out than one canvas size is rejected
+const COORDINATE_MARGIN = 1;
+
+const DEFAULT_MAX_IMAGE_SIZE = 1024 * 1024; // characters of data URL
+
+// ===== FIELD SPECS =====
+
+const optional = spec => ({ ...spec, optional: true });
+const id = () => ({ type: 'string', pattern: ID_PATTERN });
+const color = () => ({ type: 'string', pattern: COLOR_PATTERN, maxLength: 64 });
+const coordinate = axis => ({ type: 'coordinate', axis });
+const number = (min, max) => ({ type: 'number', min, max });
+const oneOf = values => ({ type: 'string', enum: values });
+const text = (minLength, maxLength) => ({ type: 'string', minLength, maxLength });
+const object = fields => ({ type: 'object', fields });
+const array = (items, maxItems) => ({ type: 'array', items, maxItems });
+
+const timestamp = optional(number(0, Number.MAX_SAFE_INTEGER));
+
+const pointFields = {
+    x: coordinate('x'),
+    y: coordinate('y'),
+    pressure: optional(number(0, 1)),
+    width: optional(number(1, 200)),
+    tool: optional(oneOf(TOOLS)),
+    strokeId: optional(id()),
+    timestamp
+};
+
+// Seeded stamp brush settings (brushEngine.js); missing values fall back to the brush defaults
+const brushParams = object({
+    seed: optional(number(0, 0xFFFFFFFF)),
+    spacing: optional(number(0.02, 4)),
+    opacity: optional(number(0.01, 1)),
+    jitter: optional(number(0, 1)),
+    density: optional(number(1, 100)),
+    angle: optional(number(-180, 180))
+});
+
+// Fill paints for shapes and fills (paintStyle.js), one schema per paint type
+const gradientStops = array(object({ offset: number(0, 1), color: color() }), MAX_GRADIENT_STOPS);
+const paintVariants = {
+    solid: object({ type: oneOf(['solid']), color: color() }),
+    linear: object({ type: oneOf(['linear']), angle: number(-360, 360), stops: gradientStops }),
+    radial: object({
+        type: oneOf(['radial']),
+        cx: number(0, 1),
+        cy: number(0, 1),
+        radius: number(0, 2),
+        stops: gradientStops
+    }),
+    conic: object({
+        type: oneOf(['conic']),
+        cx: number(0, 1),
+        cy: number(0, 1),
+        angle: number(-360, 360),
+        stops: gradientStops
+    }),
+    pattern: object({ type: oneOf(['pattern']), pattern: oneOf(PATTERNS), color: color(), size: number(2, 200) }),
+    image: object({ type: oneOf(['image']), src: { type: 'image' }, repeat: oneOf(['stretch', 'tile']) })
+};
+const paint = { type: 'paint', variants: paintVariants };
+
+// A shape's fill may also be 'none', so a style change can take a fill away again
+const shapeFill = { type: 'paint', variants: { ...paintVariants, none: object({ type: oneOf(['none']) }) } };
+
+// Per-shape style; anything left out is drawn with the defaults
+const shapeStyleFields = {
+    fill: optional(shapeFill),
+    fillOpacity: optional(number(0, 1)),
+    outline: optional({ type: 'boolean' }),
+    lineDash: optional(oneOf(LINE_DASHES)),
+    lineJoin: optional(oneOf(LINE_JOINS)),
+    lineCap: optional(oneOf(LINE_CAPS)),
+    cornerRadius: optional(number(0, 1000)),
+    arrowStart: optional(oneOf(ARROW_HEADS)),
+    arrowEnd: optional(oneOf(ARROW_HEADS))
+};
+
+const shapeStyle = object({
+    color: optional(color()),
+    width: optional(number(1, 200)),
+    ...shapeStyleFields
+});
+
+// An object's transform matrix [a, b, c, d, e, f], applied around the object's position (x, y or startX, startY)
+const transform = {
+    type: 'transform',
+    entries: array(number(-MAX_TRANSFORM_VALUE, MAX_TRANSFORM_VALUE), 6)
+};
+
+const geometry = object({
+    x: optional(coordinate('x')),
+    y: optional(coordinate('y')),
+    startX: optional(coordinate('x')),
+    startY: optional(coordinate('y')),
+    endX: optional(coordinate('x')),
+    endY: optional(coordinate('y')),
+    transform: optional(transform)
+});
+
+const SCHEMAS = {
+    'user-name': text(1, 32),
+
+    'draw-start': object({
+        ...pointFields,
+        color: color(),
+        brushType: optional(oneOf(BRUSH_TYPES)),
+        brushParams: optional(brushParams),
+        smoothing: optional(oneOf(SMOOTHING_MODES)),
+        layerId: optional(id())
+    }),
+
+    // Points go to the sender's open stroke with this id; several tabs can draw at once
+    'draw-move': object({ ...pointFields, strokeId: id() }),
+
+    // Decoded into { strokeId, points, timestamp }; every point is range-checked
+    'draw-points': {
+        type: 'pointBatch',
+        batch: object({
+            strokeId: id(),
+            x: coordinate('x'),
+            y: coordinate('y'),
+            deltas: { type: 'deltas', maxPoints: PointCodec.MAX_BATCH_POINTS },
+            pressures: optional({ type: 'pressures' }),
+            timestamp
+        })
+    },
+
+    'draw-end': object({
+        strokeId: id(),
+        timestamp
+    }),
+
+    'draw-shape': object({
+        id: optional(id()),
+        shape: oneOf(SHAPES),
+        startX: coordinate('x'),
+        startY: coordinate('y'),
+        endX: coordinate('x'),
+        endY: coordinate('y'),
+        color: color(),
+        width: number(1, 200),
+        ...shapeStyleFields,
+        transform: optional(transform),
+        layerId: optional(id()),
+        timestamp
+    }),
+
+    'fill-area': object({
+        id: optional(id()),
+        x: coordinate('x'),
+        y: coordinate('y'),
+        color: color(),
+        region: {
+            type: 'region',
+            bounds: object({
+                x: coordinate('x'),
+                y: coordinate('y'),
+                width: number(1, 16000),
+                height: number(1, 16000),
+                runs: array({ type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER }, FillRegion.MAX_RUNS)
+            })
+        },
+        paint: optional(paint),
+        layerId: optional(id()),
+        timestamp
+    }),
+
+    'add-text': object({
+        id: optional(id()),
+        x: coordinate('x'),
+        y: coordinate('y'),
+        text: text(1, 500),
+        fontSize: number(6, 300),
+        fontFamily: oneOf(FONTS),
+        color: color(),
+        transform: optional(transform),
+        layerId: optional(id()),
+        timestamp
+    }),
+
+    'add-image': object({
+        id: optional(id()),
+        x: coordinate('x'),
+        y: coordinate('y'),
+        src: { type: 'image' },
+        width: number(1, 16000),
+        height: number(1, 16000),
+        transform: optional(transform),
+        layerId: optional(id()),
+        timestamp
+    }),
+
+    'move-object': object({
+        id: optional(id()),
+        targetId: id(),
+        from: geometry,
+        to: geometry,
+        timestamp
+    }),
+
+    'style-object': object({
+        id: optional(id()),
+        targetId: id(),
+        from: shapeStyle,
+        to: shapeStyle,
+        timestamp
+    }),
+
+    'delete-object': object({
+        id: optional(id()),
+        targetId: id(),
+        timestamp
+    }),
+
+    'cursor-move': object({
+        x: coordinate('x'),
+        y: coordinate('y'),
+        width: optional(number(0, 200)),
+        tool: optional(text(1, 32)),
+        timestamp
+    }),
+
+    'clear-canvas': object({
+        id: optional(id()),
+        timestamp
+    }),
+
+    'undo-request': object({
+        strokeId: optional(id()),
+        timestamp
+    }),
+
+    'redo-request': object({
+        actionId: optional(id()),
+        timestamp
+    }),
+
+    'add-layer': object({
+        id: id(),
+        name: optional(text(1, 64)),
+        visible: optional({ type: 'boolean' }),
+        locked: optional({ type: 'boolean' }),
+        opacity: optional(number(0, 1)),
+        blendMode: optional(text(1, 32)),
+        order: optional(number(0, 1000))
+    }),
+
+    'update-layer': object({
+        layerId: id(),
+        changes: object({
+            name: optional(text(1, 64)),
+            visible: optional({ type: 'boolean' }),
+            locked: optional({ type: 'boolean' }),
+            opacity: optional(number(0, 1)),
+            blendMode: optional(text(1, 32))
+        })
+    }),
+
+    'delete-layer': object({
+        layerId: id(),
+        content: optional(oneOf(['delete', 'reassign']))
+    }),
+
+    'merge-layers': object({
+        sourceIds: array(id(), 100),
+        targetLayerId: id()
+    }),
+
+    'reorder-layers': object({
+        order: array(id(), 100)
+    }),
+
+    'set-active-layer': id(),
+
+    'room-snapshot': object({
+        version: number(0, Number.MAX_SAFE_INTEGER),
+        image: { type: 'image' }
+    }),
+
+    'set-user-role': object({
+        userId: id(),
+        role: oneOf(['owner', 'editor', 'viewer'])
+    }),
+
+    'kick-user': object({
+        userId: id()
+    }),
+
+    // Values are range-checked by RoomManager.validateRoomSettings
+    'update-room-settings': object({
+        maxUsers: optional(number(1, 500)),
+        canvasWidth: optional(number(100, 8000)),
+        canvasHeight: optional(number(100, 8000)),
+        allowGuests: optional({ type: 'boolean' }),
+        defaultRole: optional(oneOf(['editor', 'viewer']))
+    })
+};
+
+// ===== VALIDATION =====
+
+function fail(context, path, message) {
+    throw new ValidationError(context.event, `${path || 'payload'} ${message}`, path || null);
+}
+
+function validateValue(spec, value, path, context) {
+    if (value === undefined || value === null) {
+        if (spec.optional) return undefined;
+        fail(context, path, 'is required');
+    }
+
+    switch (spec.type) {
+        case 'number':
+        case 'coordinate': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                fail(context, path, 'must be a number');
+            }
+
+            let min = spec.min;
+            let max = spec.max;
+            if (spec.type === 'coordinate') {
+                const size = spec.axis === 'x' ? context.canvasWidth : context.canvasHeight;
+                min = -size * COORDINATE_MARGIN;
+                max = size * (1 + COORDINATE_MARGIN);
+            }
+
+            if (value < min || value > max) {
+                fail(context, path, `must be between ${min} and ${max}`);
+            }
+            return value;
+        }
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                fail(context, path, 'must be a boolean');
+            }
+            return value;
+
+        case 'string':
+            if (typeof value !== 'string') {
+                fail(context, path, 'must be a string');
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                fail(context, path, 'is not an allowed value');
+            }
+            if (spec.minLength !== undefined && value.length < spec.minLength) {
+                fail(context, path, `must be at least ${spec.minLength} characters`);
+            }
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+                fail(context, path, `must be at most ${spec.maxLength} characters`);
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                fail(context, path, 'has an invalid format');
+            }
+            return value;
+
+        case 'image':
+            if (typeof value !== 'string' || !IMAGE_PATTERN.test(value)) {
+                fail(context, path, 'must be a PNG, JPEG, GIF or WebP data URL');
+            }
+            if (value.length > context.maxImageSize) {
+                fail(context, path, `must be at most ${context.maxImageSize} characters`);
+            }
+            return value;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                fail(context, path, 'must be an array');
+            }
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+                fail(context, path, `must have at most ${spec.maxItems} items`);
+            }
+            return value.map((item, index) => validateValue(spec.items, item, `${path}[${index}]`, context));
+
+        case 'deltas': {
+            const deltas = PointCodec.readDeltas(value);
+            if (!deltas) {
+                fail(context, path, 'must be an array or binary data');
+            }
+            if (deltas.length % 2 !== 0) {
+                fail(context, path, 'must hold x and y pairs');
+            }
+            if (deltas.length / 2 + 1 > spec.maxPoints) {
+                fail(context, path, `must have at most ${spec.maxPoints} points`);
+            }
+            if (!deltas.every(Number.isInteger)) {
+                fail(context, path, 'must be integers');
+            }
+            return deltas;
+        }
+
+        case 'pressures': {
+            const pressures = PointCodec.readPressures(value);
+            if (!pressures) {
+                fail(context, path, 'must be an array or binary data');
+            }
+            if (!pressures.every(pressure => Number.isInteger(pressure) && pressure >= 0 && pressure <= 255)) {
+                fail(context, path, 'must be integers between 0 and 255');
+            }
+            return pressures;
+        }
+
+        case 'pointBatch': {
+            const batch = validateValue(spec.batch, value, path, context);
+            if (batch.pressures && batch.pressures.length !== batch.deltas.length / 2 + 1) {
+                fail(context, path ? `${path}.pressures` : 'pressures', 'must have one value per point');
+            }
+            const points = PointCodec.decode(batch);
+            points.forEach((point, index) => {
+                validateValue(coordinate('x'), point.x, `points[${index}].x`, context);
+                validateValue(coordinate('y'), point.y, `points[${index}].y`, context);
+            });
+            const cleaned = { strokeId: batch.strokeId, points };
+            if (batch.timestamp !== undefined) {
+                cleaned.timestamp = batch.timestamp;
+            }
+            return cleaned;
+        }
+
+        case 'region': {
+            const region = validateValue(spec.bounds, value, path, context);
+            if (!Number.isInteger(region.x) || !Number.isInteger(region.y) ||
+                !Number.isInteger(region.width) || !Number.isInteger(region.height)) {
+                fail(context, path, 'must have whole-pixel bounds');
+            }
+            if (!FillRegion.isValid(region)) {
+                fail(context, path ? `${path}.runs` : 'runs', 'must be whole numbers covering the region exactly');
+            }
+            return region;
+        }
+
+        case 'transform': {
+            const matrix = validateValue(spec.entries, value, path, context);
+            if (matrix.length !== 6) {
+                fail(context, path, 'must have 6 entries');
+            }
+            // A matrix that flattens the object would leave nothing to select and transform back
+            if (Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]) < 1e-6) {
+                fail(context, path, 'must not collapse the object');
+            }
+            return matrix;
+        }
+
+        case 'paint': {
+            if (typeof value !== 'object' || Array.isArray(value) || !spec.variants.hasOwnProperty(value.type)) {
+                fail(context, path ? `${path}.type` : 'type', 'is not an allowed paint type');
+            }
+            const cleaned = validateValue(spec.variants[value.type], value, path, context);
+            if (cleaned.stops && cleaned.stops.length < 2) {
+                fail(context, path ? `${path}.stops` : 'stops', 'must have at least 2 stops');
+            }
+            return cleaned;
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                fail(context, path, 'must be an object');
+            }
+
+            const cleaned = {};
+            Object.keys(spec.fields).forEach(key => {
+                const fieldPath = path ? `${path}.${key}` : key;
+                const fieldValue = validateValue(spec.fields[key], value[key], fieldPath, context);
+                if (fieldValue !== undefined) {
+                    cleaned[key] = fieldValue;
+                }
+            });
+            return cleaned;
+        }
+
+        default:
+            throw new Error(`Unknown schema type: ${spec.type}`);
+    }
+}
+
+/**
+ * Validate a socket event payload; returns the cleaned payload or throws a ValidationError.
+ * context: { canvasWidth, canvasHeight, maxImageSize }
+ */
+function validateEvent(event, payload, context = {}) {
+    const spec = SCHEMAS[event];
+    if (!spec) {
+        throw new ValidationError(event, `Unknown event: ${event}`);
+    }
+
+    const fullContext = {
+        canvasWidth: 1600,
+        canvasHeight: 900,
+        maxImageSize: DEFAULT_MAX_IMAGE_SIZE,
+        ...context,
+        event
+    };
+
+    // Events whose fields are all optional may be sent without a payload
+    const value = payload === undefined && spec.type === 'object' ? {} : payload;
+    return validateValue(spec, value, '', fullContext);
+}
+
+module.exports = { validateEvent, ValidationError, SCHEMAS };
@@ -3,14 +3,32 @@
  * Handles all socket communication between clients and server
  */
 class SocketManager {
-    constructor(userName) {
+    // localStorage key of the sign-in token
+    static TOKEN_KEY = 'canvas-auth-token';
+    
+    constructor(userName, roomId = 'default', authToken = null) {
         this.socket = null;
+        this.authToken = authToken;
         this.isConnected = false;
         this.pendingEvents = [];
         this.currentUser = null;
+        this.permissions = [];
         this.userName = userName;
+        this.roomId = roomId;
         this.currentStrokeId = null;
         
+        // Presented on reconnect so the server can resume the session and send only what was missed
+        this.sessionId = null;
+        this.lastVersion = null;
+        
+        // History being streamed in after init: { id, roomState, actions, total }
+        this.sync = null;
+        
+        // Points of the current stroke waiting for the next animation frame, sent as one batch
+        this.queuedPoints = [];
+        this.pointFrame = null;
+        this.pointEncoding = 'json';
+        
         this.connect();
     }
     
@@ -18,7 +36,24 @@ class SocketManager {
      * Establish connection to WebSocket server
      */
     connect() {
-        this.socket = io();
+        this.socket = io({
+            query: { room: this.roomId },
+            // Evaluated on every (re)connect, so it always carries the latest session and version
+            auth: (callback) => {
+                const auth = {};
+                if (this.authToken) auth.token = this.authToken;
+                if (this.sessionId) auth.sessionId = this.sessionId;
+                if (typeof this.lastVersion === 'number') auth.lastVersion = this.lastVersion;
+                callback(auth);
+            }
+        });
+        
+        // Room broadcasts carry the room version after the change as a second argument
+        this.socket.onAny((event, payload, version) => {
+            if (typeof version === 'number') {
+                this.lastVersion = version;
+            }
+        });
         
         this.socket.on('connect', () => {
             console.log('Connected to server');
@@ -39,18 +74,75 @@ class SocketManager {
         this.socket.on('connect_error', (error) => {
             console.error('Connection error:', error);
             this.updateConnectionStatus(false);
+            
+            // A rejected token is dropped and the user carries on as a guest
+            if (this.authToken && /token/i.test(error.message)) {
+                localStorage.removeItem(SocketManager.TOKEN_KEY);
+                this.authToken = null;
+                this.sessionId = null;
+                this.showError('Your sign-in has expired; continuing as a guest.');
+                this.socket.connect();
+            }
         });
         
         // Initialize with server state
         this.socket.on('init', (data) => {
             console.log('Received initial state from server');
             this.currentUser = data.currentUser;
+            this.roomId = data.roomId || this.roomId;
+            this.updateRoomDisplay();
+            this.applyPermissions(data.permissions || []);
             this.handleInit(data);
         });
         
+        // Reconnected within the grace period: same identity, replay only the missed events
+        this.socket.on('resume', (data) => {
+            console.log(`Resumed session, catching up on ${data.missed.length} events`);
+            this.sessionId = data.sessionId;
+            this.currentUser = data.currentUser;
+            this.applyPermissions(data.permissions || []);
+            this.renderUserList(data.users);
+            this.replayEvents(data.missed);
+            this.lastVersion = data.version;
+        });
+        
+        this.socket.on('sync-chunk', (data, acknowledge) => {
+            if (this.sync && data.syncId === this.sync.id) {
+                this.sync.actions.push(...data.actions);
+                this.updateSyncProgress(data.received, data.total);
+            }
+            acknowledge();
+        });
+        
+        // History is complete: load it, then apply what happened in the room while it streamed
+        this.socket.on('sync-complete', (data) => {
+            if (!this.sync || data.syncId !== this.sync.id) return;
+            
+            const { roomState, actions } = this.sync;
+            this.sync = null;
+            this.currentUser = data.currentUser;
+            this.renderUserList(data.users);
+            
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleInitialState({ ...roomState, strokes: actions });
+            }
+            this.applyPermissions(data.permissions || []);
+            this.replayEvents(data.missed);
+            this.lastVersion = data.version;
+            this.updateConnectionStatus(this.isConnected);
+        });
+        
+        // The server keeps a render of the room to show joiners while their history loads
+        this.socket.on('snapshot-request', () => {
+            if (window.drawingCanvas && !this.sync && typeof this.lastVersion === 'number') {
+                this.emitRoomSnapshot(this.lastVersion, window.drawingCanvas.getSnapshot());
+            }
+        });
+        
         // Drawing events
         this.socket.on('draw-start', (stroke) => {
-            if (window.drawingCanvas && stroke.userId !== this.socket.id) {
+            // The server never echoes a stroke to its sender; own strokes only arrive in a sync catch-up
+            if (window.drawingCanvas) {
                 window.drawingCanvas.handleRemoteDrawStart(stroke);
             }
         });
@@ -61,39 +153,65 @@ class SocketManager {
             }
         });
         
+        this.socket.on('draw-points', (data) => {
+            if (window.drawingCanvas && data.strokeId) {
+                window.drawingCanvas.handleRemoteDrawPoints(data.strokeId, PointCodec.decode(data));
+            }
+        });
+        
         this.socket.on('draw-end', (data) => {
             if (window.drawingCanvas && data.strokeId) {
-                window.drawingCanvas.handleRemoteDrawEnd(data.strokeId);
+                window.drawingCanvas.handleRemoteDrawEnd(data.strokeId, data.deltas ? PointCodec.decode(data) : null);
             }
         });
         
+        // The server never echoes these to the socket that sent them; the same user's other tabs do get them
         this.socket.on('draw-shape', (shapeData) => {
-            if (window.drawingCanvas && shapeData.userId !== this.socket.id) {
+            if (window.drawingCanvas) {
                 window.drawingCanvas.handleRemoteDrawShape(shapeData);
             }
         });
         
         this.socket.on('fill-area', (fillData) => {
-            if (window.drawingCanvas && fillData.userId !== this.socket.id) {
+            if (window.drawingCanvas) {
                 window.drawingCanvas.handleRemoteFillArea(fillData);
             }
         });
         
         this.socket.on('add-text', (textData) => {
-            if (window.drawingCanvas && textData.userId !== this.socket.id) {
+            if (window.drawingCanvas) {
                 window.drawingCanvas.handleRemoteAddText(textData);
             }
         });
         
         this.socket.on('add-image', (imageData) => {
-            if (window.drawingCanvas && imageData.userId !== this.socket.id) {
+            if (window.drawingCanvas) {
                 window.drawingCanvas.handleRemoteAddImage(imageData);
             }
         });
         
+        this.socket.on('move-object', (moveData) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleRemoteMoveObject(moveData);
+            }
+        });
+        
+        this.socket.on('style-object', (styleData) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleRemoteStyleObject(styleData);
+            }
+        });
+        
+        this.socket.on('delete-object', (deleteData) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleRemoteDeleteObject(deleteData);
+            }
+        });
+        
         // Cursor events
         this.socket.on('cursor-move', (data) => {
-            if (window.drawingCanvas && data.userId !== this.socket.id) {
+            // This user's cursor in another tab isn't shown
+            if (window.drawingCanvas && !(this.currentUser && data.userId === this.currentUser.id)) {
                 window.drawingCanvas.handleRemoteCursorMove(data.userId, data.cursor, data.color, data.name);
             }
         });
@@ -115,21 +233,22 @@ class SocketManager {
         });
         
         // Canvas actions
-        this.socket.on('canvas-cleared', () => {
+        this.socket.on('canvas-cleared', (clearAction) => {
             if (window.drawingCanvas) {
-                window.drawingCanvas.handleCanvasCleared();
+                window.drawingCanvas.handleCanvasCleared(clearAction);
             }
         });
         
-        this.socket.on('stroke-undone', (strokeId) => {
+        // Undos and redos from this user's other tabs apply here too
+        this.socket.on('stroke-undone', (data) => {
             if (window.drawingCanvas) {
-                window.drawingCanvas.handleRemoteUndo(strokeId);
+                window.drawingCanvas.handleRemoteUndo(data.actionId);
             }
         });
         
-        this.socket.on('stroke-redone', (stroke) => {
+        this.socket.on('stroke-redone', (data) => {
             if (window.drawingCanvas) {
-                window.drawingCanvas.handleRemoteRedo(stroke);
+                window.drawingCanvas.handleRemoteRedo(data.action);
             }
         });
         
@@ -140,6 +259,30 @@ class SocketManager {
             }
         });
         
+        this.socket.on('layer-updated', (data) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleLayerUpdated(data);
+            }
+        });
+        
+        this.socket.on('layer-deleted', (data) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleLayerDeleted(data);
+            }
+        });
+        
+        this.socket.on('layers-merged', (data) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleLayersMerged(data);
+            }
+        });
+        
+        this.socket.on('layers-reordered', (data) => {
+            if (window.drawingCanvas) {
+                window.drawingCanvas.handleLayersReordered(data);
+            }
+        });
+        
         this.socket.on('active-layer-changed', (layerId) => {
             if (window.drawingCanvas) {
                 window.drawingCanvas.handleActiveLayerChanged(layerId);
@@ -149,12 +292,53 @@ class SocketManager {
         // Error handling
         this.socket.on('error', (error) => {
             console.error('Socket error:', error);
+            
+            // Events the server refused carry a code and the event name
+            if (error && error.code) {
+                this.showError(`Server rejected ${error.event}: ${error.message}`);
+                return;
+            }
             this.showError('Connection error: ' + error.message);
         });
         
         // Room events
-        this.socket.on('room-full', () => {
-            this.showError('Room is full. Please try again later.');
+        // A saved canvas was loaded into this room; replace local state like a fresh init
+        this.socket.on('canvas-loaded', (data) => {
+            this.handleInit(data);
+            this.showNotification('A saved canvas was loaded into this room');
+        });
+        
+        this.socket.on('room-full', (data) => {
+            const roomName = data && data.roomId ? `Room "${data.roomId}"` : 'Room';
+            this.showError(`${roomName} is full. Please try again later.`);
+        });
+        
+        this.socket.on('room-closed', () => {
+            this.showError('This room has been closed by an administrator.');
+        });
+        
+        // Roles and room administration
+        this.socket.on('role-changed', (data) => {
+            this.updateUserRole(data.userId, data.role);
+            
+            if (this.currentUser && data.userId === this.currentUser.id) {
+                this.currentUser.role = data.role;
+                this.applyPermissions(data.permissions || []);
+                this.showNotification(`You are now ${data.role === 'owner' ? 'the owner' : `a ${data.role}`} in this room`);
+            }
+        });
+        
+        this.socket.on('kicked', () => {
+            this.showError('You were removed from this room by its owner.');
+        });
+        
+        this.socket.on('room-settings-updated', () => {
+            this.showNotification('Room settings were updated');
+        });
+        
+        this.socket.on('rate-limited', (data) => {
+            const what = data && data.scope === 'room' ? 'This room is very busy' : 'You are sending updates too fast';
+            this.showError(`${what}; some changes were not shared.`);
         });
     }
     
@@ -162,7 +346,8 @@ class SocketManager {
      * Emit drawing start event
      */
     emitDrawStart(coords) {
-        this.currentStrokeId = `stroke-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.flushPoints();
+        this.currentStrokeId = coords.strokeId || `stroke-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         
         const eventData = {
             ...coords,
@@ -181,16 +366,40 @@ class SocketManager {
      * Emit drawing move event
      */
     emitDrawMove(coords) {
-        const eventData = {
-            ...coords,
-            strokeId: this.currentStrokeId,
-            timestamp: Date.now()
-        };
+        const point = { x: coords.x, y: coords.y };
+        if (typeof coords.pressure === 'number') {
+            point.pressure = coords.pressure;
+        }
+        this.queuedPoints.push(point);
         
-        if (this.isConnected) {
-            this.socket.emit('draw-move', eventData);
-        } else {
-            this.pendingEvents.push({ type: 'draw-move', data: eventData });
+        if (this.pointFrame === null) {
+            this.pointFrame = requestAnimationFrame(() => this.flushPoints());
+        }
+    }
+    
+    /**
+     * Send the queued points as delta-encoded draw-points batches
+     */
+    flushPoints() {
+        if (this.pointFrame !== null) {
+            cancelAnimationFrame(this.pointFrame);
+            this.pointFrame = null;
+        }
+        
+        const binary = this.pointEncoding === 'binary';
+        while (this.queuedPoints.length > 0) {
+            const points = this.queuedPoints.splice(0, PointCodec.MAX_BATCH_POINTS);
+            const eventData = {
+                strokeId: this.currentStrokeId,
+                ...PointCodec.encode(points, { binary }),
+                timestamp: Date.now()
+            };
+            
+            if (this.isConnected) {
+                this.socket.emit('draw-points', eventData);
+            } else {
+                this.pendingEvents.push({ type: 'draw-points', data: eventData });
+            }
         }
     }
     
@@ -198,6 +407,8 @@ class SocketManager {
      * Emit drawing end event
      */
     emitDrawEnd() {
+        this.flushPoints();
+        
         const eventData = {
             strokeId: this.currentStrokeId,
             timestamp: Date.now()
@@ -275,6 +486,54 @@ class SocketManager {
         }
     }
     
+    /**
+     * Emit object move event
+     */
+    emitMoveObject(moveData) {
+        const eventData = {
+            ...moveData,
+            timestamp: Date.now()
+        };
+        
+        if (this.isConnected) {
+            this.socket.emit('move-object', eventData);
+        } else {
+            this.pendingEvents.push({ type: 'move-object', data: eventData });
+        }
+    }
+    
+    /**
+     * Emit object style change event
+     */
+    emitStyleObject(styleData) {
+        const eventData = {
+            ...styleData,
+            timestamp: Date.now()
+        };
+        
+        if (this.isConnected) {
+            this.socket.emit('style-object', eventData);
+        } else {
+            this.pendingEvents.push({ type: 'style-object', data: eventData });
+        }
+    }
+    
+    /**
+     * Emit object delete event
+     */
+    emitDeleteObject(deleteData) {
+        const eventData = {
+            ...deleteData,
+            timestamp: Date.now()
+        };
+        
+        if (this.isConnected) {
+            this.socket.emit('delete-object', eventData);
+        } else {
+            this.pendingEvents.push({ type: 'delete-object', data: eventData });
+        }
+    }
+    
     /**
      * Emit cursor movement event
      */
@@ -290,9 +549,10 @@ class SocketManager {
     /**
      * Emit clear canvas event
      */
-    emitClearCanvas() {
+    emitClearCanvas(clearData) {
         if (this.isConnected) {
             this.socket.emit('clear-canvas', {
+                ...clearData,
                 timestamp: Date.now()
             });
         }
@@ -331,6 +591,42 @@ class SocketManager {
         }
     }
     
+    /**
+     * Emit layer property change (name, visible, locked, opacity)
+     */
+    emitUpdateLayer(layerId, changes) {
+        if (this.isConnected) {
+            this.socket.emit('update-layer', { layerId, changes });
+        }
+    }
+    
+    /**
+     * Emit delete layer event; content is 'delete' or 'reassign' (moved to the layer below)
+     */
+    emitDeleteLayer(layerId, content) {
+        if (this.isConnected) {
+            this.socket.emit('delete-layer', { layerId, content });
+        }
+    }
+    
+    /**
+     * Emit merge layers event
+     */
+    emitMergeLayers(sourceIds, targetLayerId) {
+        if (this.isConnected) {
+            this.socket.emit('merge-layers', { sourceIds, targetLayerId });
+        }
+    }
+    
+    /**
+     * Emit layer order, bottom to top
+     */
+    emitReorderLayers(order) {
+        if (this.isConnected) {
+            this.socket.emit('reorder-layers', { order });
+        }
+    }
+    
     /**
      * Emit set active layer event
      */
@@ -340,6 +636,33 @@ class SocketManager {
         }
     }
     
+    /**
+     * Owner actions: assign a role, remove a user, change room settings
+     */
+    emitSetUserRole(userId, role) {
+        if (this.isConnected) {
+            this.socket.emit('set-user-role', { userId, role });
+        }
+    }
+    
+    emitKickUser(userId) {
+        if (this.isConnected) {
+            this.socket.emit('kick-user', { userId });
+        }
+    }
+    
+    emitUpdateRoomSettings(settings) {
+        if (this.isConnected) {
+            this.socket.emit('update-room-settings', settings);
+        }
+    }
+    
+    emitRoomSnapshot(version, image) {
+        if (this.isConnected) {
+            this.socket.emit('room-snapshot', { version, image });
+        }
+    }
+    
     /**
      * Update user name
      */
@@ -371,6 +694,17 @@ class SocketManager {
         }
     }
     
+    /**
+     * Show the room this client joined in the header
+     */
+    updateRoomDisplay() {
+        const roomElement = document.getElementById('room-name');
+        if (roomElement) {
+            roomElement.textContent = this.roomId;
+            roomElement.title = `Share ${window.location.origin}/r/${encodeURIComponent(this.roomId)} to invite others`;
+        }
+    }
+    
     /**
      * Process pending events after reconnection
      */
@@ -396,7 +730,50 @@ class SocketManager {
     handleInit(data) {
         console.log('Initializing with server data:', data);
         
-        // Initialize user list
+        if (data.sessionId) {
+            this.sessionId = data.sessionId;
+        }
+        this.pointEncoding = data.pointEncoding || 'json';
+        
+        this.renderUserList(data.users);
+        
+        // The history follows in sync-chunk messages; until it is in there is nothing to resume from
+        // and nothing to draw on, so the canvas stays read-only and shows the room snapshot if any
+        this.lastVersion = null;
+        this.sync = {
+            id: data.sync.id,
+            roomState: data.roomState,
+            actions: [],
+            total: data.sync.total
+        };
+        this.applyPermissions(this.permissions);
+        
+        if (window.drawingCanvas && data.sync.snapshot) {
+            window.drawingCanvas.showSnapshot(data.sync.snapshot.image);
+        }
+        this.updateSyncProgress(0, data.sync.total);
+    }
+    
+    /**
+     * Feed journaled room events to their listeners as if they had just arrived
+     */
+    replayEvents(entries) {
+        entries.forEach(entry => {
+            this.socket.listeners(entry.event).forEach(listener => listener(entry.payload, entry.version));
+        });
+    }
+    
+    updateSyncProgress(received, total) {
+        const statusElement = document.getElementById('connection-status');
+        if (statusElement && total > 0) {
+            statusElement.textContent = `Loading history ${Math.floor((received / total) * 100)}%`;
+        }
+    }
+    
+    /**
+     * Rebuild the user list, current user first
+     */
+    renderUserList(users) {
         const usersList = document.getElementById('users-list');
         if (usersList) {
             usersList.innerHTML = '';
@@ -407,19 +784,14 @@ class SocketManager {
             }
             
             // Add other users
-            if (data.users) {
-                data.users.forEach(user => {
-                    if (user.id !== this.socket.id) {
+            if (users) {
+                users.forEach(user => {
+                    if (!this.currentUser || user.id !== this.currentUser.id) {
                         this.addUserToList(user);
                     }
                 });
             }
         }
-        
-        // Initialize layers
-        if (window.drawingCanvas && data.roomState) {
-            window.drawingCanvas.handleInitialState(data.roomState);
-        }
     }
     
     /**
@@ -435,11 +807,33 @@ class SocketManager {
         const userElement = document.createElement('div');
         userElement.className = `user-item ${isCurrentUser ? 'you' : ''}`;
         userElement.id = `user-${user.id}`;
-        userElement.innerHTML = `
-            <div class="user-color" style="background-color: ${user.color || '#4CAF50'}"></div>
-            <span class="user-name">${user.name || (isCurrentUser ? 'You' : `User ${user.id.slice(-4)}`)}</span>
-            ${isCurrentUser ? '<span class="you-badge">You</span>' : ''}
-        `;
+        
+        // Names and colors come from other users, so they only ever go in as text and style values
+        const colorElement = document.createElement('div');
+        colorElement.className = 'user-color';
+        colorElement.style.backgroundColor = user.color || '#4CAF50';
+        
+        const nameElement = document.createElement('span');
+        nameElement.className = 'user-name';
+        nameElement.textContent = user.name || (isCurrentUser ? 'You' : `User ${user.id.slice(-4)}`);
+        
+        const roleElement = document.createElement('span');
+        roleElement.className = 'user-role';
+        roleElement.textContent = user.role || '';
+        
+        userElement.append(colorElement, nameElement, roleElement);
+        if (isCurrentUser) {
+            const badge = document.createElement('span');
+            badge.className = 'you-badge';
+            badge.textContent = 'You';
+            userElement.appendChild(badge);
+        }
+        userElement.dataset.userId = user.id;
+        userElement.dataset.role = user.role || '';
+        
+        if (!isCurrentUser) {
+            this.renderUserControls(userElement);
+        }
         
         usersList.appendChild(userElement);
         
@@ -452,6 +846,93 @@ class SocketManager {
         }
     }
     
+    /**
+     * Role picker and kick button, shown to owners next to everyone else
+     */
+    renderUserControls(userElement) {
+        const existing = userElement.querySelector('.user-controls');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const userId = userElement.dataset.userId;
+        const role = userElement.dataset.role;
+        if (!this.can('roles') && !this.can('kick')) return;
+        
+        const controls = document.createElement('span');
+        controls.className = 'user-controls';
+        
+        if (this.can('roles')) {
+            const select = document.createElement('select');
+            select.className = 'user-role-select';
+            select.title = 'Role';
+            ['owner', 'editor', 'viewer'].forEach(option => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option.charAt(0).toUpperCase() + option.slice(1);
+                select.appendChild(element);
+            });
+            select.value = role;
+            select.addEventListener('change', () => {
+                if (select.value === 'owner' && !confirm('Make this user the owner? You will become an editor.')) {
+                    select.value = userElement.dataset.role;
+                    return;
+                }
+                this.emitSetUserRole(userId, select.value);
+            });
+            controls.appendChild(select);
+        }
+        
+        if (this.can('kick')) {
+            const kickBtn = document.createElement('button');
+            kickBtn.className = 'user-kick-btn';
+            kickBtn.title = 'Remove from room';
+            kickBtn.innerHTML = '<i class="fas fa-user-slash"></i>';
+            kickBtn.addEventListener('click', () => {
+                if (confirm('Remove this user from the room?')) {
+                    this.emitKickUser(userId);
+                }
+            });
+            controls.appendChild(kickBtn);
+        }
+        
+        userElement.appendChild(controls);
+    }
+    
+    updateUserRole(userId, role) {
+        const userElement = document.getElementById(`user-${userId}`);
+        if (!userElement) return;
+        
+        userElement.dataset.role = role;
+        userElement.querySelector('.user-role').textContent = role;
+        if (!userElement.classList.contains('you')) {
+            this.renderUserControls(userElement);
+        }
+    }
+    
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+    
+    /**
+     * Show only the controls the current role allows ([data-requires] names the permission)
+     */
+    applyPermissions(permissions) {
+        this.permissions = permissions;
+        
+        document.querySelectorAll('[data-requires]').forEach(element => {
+            element.classList.toggle('role-hidden', !this.can(element.dataset.requires));
+        });
+        
+        if (window.drawingCanvas) {
+            window.drawingCanvas.setReadOnly(!this.can('draw') || this.sync !== null);
+        }
+        
+        document.querySelectorAll('.user-item:not(.you)').forEach(userElement => {
+            this.renderUserControls(userElement);
+        });
+    }
+    
     /**
      * Remove user from user list
      */
@@ -506,10 +987,17 @@ class SocketManager {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
-        notification.innerHTML = `
-            <span class="notification-message">${message}</span>
-            <button class="notification-close">&times;</button>
-        `;
+        
+        // Messages often include user names, so they are set as text
+        const messageElement = document.createElement('span');
+        messageElement.className = 'notification-message';
+        messageElement.textContent = message;
+        
+        const closeButton = document.createElement('button');
+        closeButton.className = 'notification-close';
+        closeButton.textContent = '×';
+        
+        notification.append(messageElement, closeButton);
         
         // Add to notifications container
         const container = document.getElementById('notifications-container') || this.createNotificationsContainer();
@@ -523,7 +1011,7 @@ class SocketManager {
         }, 3000);
         
         // Close button handler
-        notification.querySelector('.notification-close').addEventListener('click', () => {
+        closeButton.addEventListener('click', () => {
             notification.remove();
         });
     }